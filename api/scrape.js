@@ -1,6 +1,31 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const iconv = require('iconv-lite');
+const path = require('path');
+const { resolveSnapshotMode, createPageSnapshotStore } = require('../lib/page-snapshots');
+const { fetchWithRetry, createCircuitBreaker } = require('../lib/upstream');
+const { createRateLimiter } = require('../lib/rate-limiter');
+
+// 取得ページのスナップショット（SNAPSHOT_MODE=capture で保存、replay で保存済みページから再現）
+const pageSnapshots = createPageSnapshotStore(process.env.SNAPSHOT_DIR || path.join(__dirname, '..', 'data', 'snapshots'));
+
+// 取得先のベースURL（AUCFAN_BASE_URL でモックサーバーなどに変更可能）
+const AUCFAN_BASE_URL = (process.env.AUCFAN_BASE_URL || 'https://aucfan.com').replace(/\/+$/, '');
+
+// オークファンの障害が続く間は即座に失敗させる
+const breaker = createCircuitBreaker({
+  name: 'aucfan',
+  label: 'オークファン',
+  failureThreshold: process.env.AUCFAN_BREAKER_THRESHOLD,
+  resetTimeoutMs: process.env.AUCFAN_BREAKER_RESET_MS
+});
+
+// オークファンへの取得の流量制限（同時に呼ばれても順番待ちさせる）
+const limiter = createRateLimiter({
+  ratePerSecond: process.env.OUTBOUND_RATE_PER_SEC,
+  burst: process.env.OUTBOUND_BURST,
+  maxConcurrency: process.env.OUTBOUND_MAX_CONCURRENCY
+});
 
 // HTTPクライアントの設定
 const client = axios.create({
@@ -62,35 +87,67 @@ function decodeResponse(buffer) {
   }
 }
 
+/**
+ * オークファンの検索結果ページのHTMLを取得（スナップショットの保存・再生に対応）
+ * @param {string} query 検索クエリ
+ * @param {Object} options
+ * @returns {Promise<{html: string, snapshot: Object|null, queue: Object|null}>} queue は取得時の順番待ち（最初に前にいた件数・待った時間の合計・リクエスト数）
+ */
+async function fetchAucfanHTML(query, options) {
+  const snapshotMode = resolveSnapshotMode(options.snapshotMode);
+  
+  if (snapshotMode === 'replay') {
+    const stored = options.snapshotId ? pageSnapshots.load(options.snapshotId) : pageSnapshots.latest('aucfan', query);
+    if (!stored) {
+      throw new Error(`再生するスナップショットがありません: ${options.snapshotId || query}`);
+    }
+    console.log(`📼 スナップショットを再生: ${stored.id}（${stored.capturedAt}取得）`);
+    return { html: stored.html, snapshot: { id: stored.id, capturedAt: stored.capturedAt, replayed: true }, queue: null };
+  }
+  
+  // クエリをURLエンコード
+  const encodedQuery = encodeURIComponent(query);
+  
+  // オークファンのURL構築
+  const aucfanURL = `${AUCFAN_BASE_URL}/search1/q-${encodedQuery}/`;
+  
+  console.log(`🔍 検索URL: ${aucfanURL}`);
+  
+  // HTTPリクエストを送信（responseTypeをarraybufferに設定、一時的な失敗は再試行し、再試行も1回ずつ順番待ちさせる）
+  let queue = null;
+  const response = await breaker.execute(() => fetchWithRetry(() => limiter.schedule(ticket => {
+    queue = queue
+      ? { ...queue, waitedMs: queue.waitedMs + ticket.waitedMs, requests: queue.requests + 1 }
+      : { ...ticket, requests: 1 };
+    return client.get(aucfanURL, {
+      responseType: 'arraybuffer'
+    });
+  }), { retries: process.env.AUCFAN_RETRIES, baseDelayMs: process.env.AUCFAN_RETRY_BASE_MS, label: 'オークファン' }));
+  
+  if (response.status !== 200) {
+    throw new Error(`HTTPエラー: ${response.status}`);
+  }
+  
+  // レスポンスをBufferに変換し、文字エンコーディングを適切に処理
+  const html = decodeResponse(Buffer.from(response.data));
+  
+  const saved = snapshotMode === 'capture'
+    ? pageSnapshots.save('aucfan', query, { url: aucfanURL, html, status: response.status, headers: response.headers })
+    : null;
+  return { html, snapshot: saved ? { id: saved.id, capturedAt: saved.capturedAt, replayed: false } : null, queue };
+}
+
 /**
  * オークファンから相場情報を取得
  * @param {string} query 検索クエリ
+ * @param {Object} [options]
+ * @param {string} [options.snapshotMode] 取得ページのスナップショット（off / capture / replay、省略時は SNAPSHOT_MODE）
+ * @param {string} [options.snapshotId] replay で再生するスナップショット（省略時はクエリの最新）
  * @returns {Promise<Object>} 相場情報
  */
-async function scrapeAucfan(query) {
+async function scrapeAucfan(query, options = {}) {
   try {
-    // クエリをURLエンコード
-    const encodedQuery = encodeURIComponent(query);
-    
-    // オークファンのURL構築
-    const aucfanURL = `https://aucfan.com/search1/q-${encodedQuery}/`;
-    
-    console.log(`🔍 検索URL: ${aucfanURL}`);
-    
-    // HTTPリクエストを送信（responseTypeをarraybufferに設定）
-    const response = await client.get(aucfanURL, {
-      responseType: 'arraybuffer'
-    });
-    
-    if (response.status !== 200) {
-      throw new Error(`HTTPエラー: ${response.status}`);
-    }
-    
-    // レスポンスをBufferに変換
-    const buffer = Buffer.from(response.data);
-    
-    // 文字エンコーディングを適切に処理
-    const html = decodeResponse(buffer);
+    const { html, snapshot, queue } = await fetchAucfanHTML(query, options);
     
     // Cheerioでパース
     const $ = cheerio.load(html);
@@ -118,13 +175,13 @@ async function scrapeAucfan(query) {
       // URL取得
       let linkURL = $item.find('a').first().attr('href');
       if (linkURL && !linkURL.startsWith('http')) {
-        linkURL = 'https://aucfan.com' + linkURL;
+        linkURL = AUCFAN_BASE_URL + linkURL;
       }
       
       // 画像URL取得
       let imageURL = $item.find('img').first().attr('src');
       if (imageURL && !imageURL.startsWith('http')) {
-        imageURL = 'https://aucfan.com' + imageURL;
+        imageURL = AUCFAN_BASE_URL + imageURL;
       }
       
       if (title && price > 0) {
@@ -180,7 +237,9 @@ async function scrapeAucfan(query) {
       count: results.length,
       avgPrice,
       maxPrice,
-      minPrice
+      minPrice,
+      ...(snapshot ? { snapshot } : {}),
+      ...(queue ? { queue } : {})
     };
     
   } catch (error) {
@@ -223,10 +282,7 @@ function evaluatePurchase(currentPrice, avgPrice, maxPrice, minPrice) {
  */
 async function processQuery(modelNumber, currentPrice) {
   try {
-    // 1秒待機（スクレイピングのマナー）
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // オークファンから相場を取得
+    // オークファンから相場を取得（取得の間隔は limiter で制御）
     const result = await scrapeAucfan(modelNumber);
     
     // 仕入れ判定を追加
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * CSV一括評価のコマンドライン実行
+ *
+ * 使い方:
+ *   node cli.js <入力CSV> [--out 出力CSV] [--encoding shift_jis] [--concurrency 2]
+ *               [--cost-profile 名前] [--shipping-size 60] [--sources aucfan] [--rule-set 名前]
+ *               [--statistic median] [--condition used] [--bundle-mode exclude]
+ *
+ * 入力CSVは「型番, オークション価格, ロットID(任意)」の列を持つ（見出し行は任意）
+ * 出力CSVには judgment / totalCost / avgPrice / profit / profitRate / count などの列が追加される
+ */
+const fs = require('fs');
+const path = require('path');
+const { readCSVLots, evaluateCSV, validateSearchOptions, BATCH_MAX_LOTS } = require('./server');
+
+const USAGE = '使い方: node cli.js <入力CSV> [--out 出力CSV] [--encoding shift_jis] [--concurrency 2] [--cost-profile 名前] [--shipping-size 60] [--sources aucfan] [--rule-set 名前] [--statistic median] [--condition used] [--bundle-mode exclude]';
+
+// 全行共通の評価オプション（/api/search/csv のクエリパラメータと同じ）
+const OPTION_FLAGS = {
+  '--cost-profile': 'costProfile',
+  '--shipping-size': 'shippingSize',
+  '--sources': 'sources',
+  '--rule-set': 'ruleSet',
+  '--statistic': 'statistic',
+  '--condition': 'condition',
+  '--bundle-mode': 'bundleMode'
+};
+
+function parseArgs(argv) {
+  const args = { input: null, out: null, encoding: 'utf8', concurrency: undefined, options: {} };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out' || arg === '-o') {
+      args.out = argv[++i];
+    } else if (arg === '--encoding' || arg === '-e') {
+      args.encoding = argv[++i];
+    } else if (arg === '--concurrency' || arg === '-c') {
+      args.concurrency = parseInt(argv[++i]) || undefined;
+    } else if (OPTION_FLAGS[arg]) {
+      args.options[OPTION_FLAGS[arg]] = argv[++i];
+    } else if (!args.input) {
+      args.input = arg;
+    }
+  }
+  
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  if (!args.input) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  
+  // 相場を取得する前に、不正なオプションで全行が失敗しないよう検証
+  const validationError = validateSearchOptions(args.options);
+  if (validationError) {
+    console.error(`❌ ${validationError.error}`);
+    if (validationError.available) {
+      console.error(`   指定可能: ${validationError.available.join(', ')}`);
+    }
+    process.exit(1);
+  }
+  
+  const table = readCSVLots(fs.readFileSync(args.input));
+  
+  if (table.lots.length === 0) {
+    console.error('❌ CSVに評価対象の行がありません');
+    process.exit(1);
+  }
+  
+  if (table.lots.length > BATCH_MAX_LOTS) {
+    console.error(`❌ 一度に評価できるのは${BATCH_MAX_LOTS}ロットまでです（指定: ${table.lots.length}ロット）`);
+    process.exit(1);
+  }
+  
+  const { csv, summary } = await evaluateCSV(table, {
+    ...args.options,
+    encoding: args.encoding,
+    concurrency: args.concurrency
+  });
+  
+  const parsed = path.parse(args.input);
+  const outPath = args.out || path.join(parsed.dir, `${parsed.name}-result${parsed.ext || '.csv'}`);
+  fs.writeFileSync(outPath, csv);
+  
+  console.log(`✅ 評価完了: 成功${summary.succeeded}件, 失敗${summary.failed}件 → ${outPath}`);
+  summary.ranking.slice(0, 5).forEach(lot => {
+    console.log(`  ${lot.rank}. [${lot.lotId}] ${lot.modelNumber}: ${lot.judgment} (利益率${lot.profitRate}%)`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌ CSV評価エラー:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+/**
+ * 運用アラートの送信先（LINE管理者へのプッシュ / 外部Webhook）
+ * @param {Object} [options]
+ * @param {Object} [options.lineClient] LINE Messaging API クライアント
+ * @param {string} [options.adminUserId] 通知先のLINEユーザーID
+ * @param {string} [options.webhookURL] JSONをPOSTするWebhook URL
+ * @param {Object} [options.httpClient] axiosインスタンス
+ */
+function createAlertNotifier(options = {}) {
+  const httpClient = options.httpClient || axios;
+  const channels = [];
+  
+  if (options.lineClient && options.adminUserId) {
+    channels.push('line');
+  }
+  if (options.webhookURL) {
+    channels.push('webhook');
+  }
+  
+  /**
+   * アラートを設定済みの全送信先に送る（一部が失敗しても残りは送る）
+   * @param {Object} alert { type, message, ... }
+   */
+  async function notify(alert) {
+    if (channels.length === 0) {
+      console.log('📣 アラート送信先が未設定のためログのみ出力');
+      return [];
+    }
+    
+    const tasks = [];
+    if (channels.includes('line')) {
+      tasks.push(options.lineClient.pushMessage(options.adminUserId, { type: 'text', text: alert.message }));
+    }
+    if (channels.includes('webhook')) {
+      tasks.push(httpClient.post(options.webhookURL, alert, { timeout: 10000 }));
+    }
+    
+    const settled = await Promise.allSettled(tasks);
+    settled.forEach((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        console.error(`❌ アラート送信失敗 (${channels[index]}):`, outcome.reason.message);
+      }
+    });
+    
+    console.log(`📣 アラート送信: ${alert.type} → ${channels.join(', ')}`);
+    return channels;
+  }
+  
+  return { notify, channels };
+}
+
+module.exports = {
+  createAlertNotifier
+};
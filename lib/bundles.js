@@ -0,0 +1,110 @@
+/**
+ * まとめ売り・セット売りの検出と1個あたり価格への換算
+ *
+ * 数量が読み取れるまとめ売りは1個あたりの価格に換算するか除外し（BUNDLE_MODE）、
+ * 数量の分からないまとめ売りは換算できないため常に除外する
+ */
+
+const BUNDLE_MODES = ['normalize', 'exclude'];
+const DEFAULT_BUNDLE_MODE = 'normalize';
+
+// 数量を表す単位（例: 3台、2点セット、5個）
+// 単位は数字の直後のみ（「iPhone 13 本体」を13個と読まない）、「本体」の「本」や型番の一部の数字（PS5・S22）は除く
+const QUANTITY_PATTERN = /(?<![A-Za-z\d])(\d{1,3})(台|個|点|本(?!体)|枚|着|足|組|冊|セット)(?!目)/g;
+
+// 数量の分からないまとめ売りの表記
+const BUNDLE_KEYWORDS = ['まとめ', '大量', '詰め合わせ', '詰合せ', 'セット売り', 'バラ売り不可'];
+
+// 「セット」を含むが単品の表記（付属品が揃っていることを示す）
+const SINGLE_SET_KEYWORDS = ['フルセット', '付属品セット', '付属品完備セット', 'セットアップ'];
+
+/**
+ * 商品名からまとめ売りの数量を判別
+ * @returns {{quantity: number|null, isBundle: boolean}} quantity は数量が読み取れない場合 null
+ */
+function detectQuantity(title) {
+  const text = String(title || '').normalize('NFKC');
+  let quantity = 1;
+  
+  for (const match of text.matchAll(QUANTITY_PATTERN)) {
+    quantity = Math.max(quantity, parseInt(match[1], 10));
+  }
+  if (quantity > 1) {
+    return { quantity, isBundle: true };
+  }
+  
+  const single = SINGLE_SET_KEYWORDS.reduce((rest, keyword) => rest.split(keyword).join(''), text);
+  if (BUNDLE_KEYWORDS.some(keyword => single.includes(keyword))) {
+    return { quantity: null, isBundle: true };
+  }
+  
+  return { quantity: 1, isBundle: false };
+}
+
+/**
+ * まとめ売りの扱いを取得（省略時は BUNDLE_MODE 環境変数、既定は normalize）
+ */
+function resolveBundleMode(mode) {
+  const value = mode || process.env.BUNDLE_MODE || DEFAULT_BUNDLE_MODE;
+  if (!BUNDLE_MODES.includes(value)) {
+    throw new Error(`未対応のまとめ売りの扱いです: ${value}（指定可能: ${BUNDLE_MODES.join(', ')}）`);
+  }
+  return value;
+}
+
+/**
+ * 仕入れロットの数量を検証（省略時は1）
+ */
+function resolveQuantity(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new Error(`数量は1以上の整数で指定してください: ${value}`);
+  }
+  return quantity;
+}
+
+/**
+ * まとめ売りを1個あたりの価格に換算、または除外する
+ * 換算したデータには bundle: { quantity, totalPrice } を付ける
+ * @param {Object[]} results
+ * @param {string} mode normalize / exclude
+ * @returns {{results: Object[], excluded: Object[], normalizedCount: number}}
+ */
+function normalizeBundles(results, mode) {
+  const kept = [];
+  const excluded = [];
+  let normalizedCount = 0;
+  
+  results.forEach(item => {
+    const { quantity, isBundle } = detectQuantity(item.title);
+    if (!isBundle) {
+      kept.push(item);
+      return;
+    }
+    
+    if (mode === 'exclude' || quantity === null) {
+      excluded.push({ ...item, bundle: { quantity, totalPrice: item.price } });
+      return;
+    }
+    
+    normalizedCount++;
+    kept.push({ ...item, price: Math.round(item.price / quantity), bundle: { quantity, totalPrice: item.price } });
+  });
+  
+  if (excluded.length > 0 || normalizedCount > 0) {
+    console.log(`📦 まとめ売り: 換算${normalizedCount}件, 除外${excluded.length}件 (${mode})`);
+  }
+  
+  return { results: kept, excluded, normalizedCount };
+}
+
+module.exports = {
+  BUNDLE_MODES,
+  DEFAULT_BUNDLE_MODE,
+  detectQuantity,
+  resolveBundleMode,
+  resolveQuantity,
+  normalizeBundles
+};
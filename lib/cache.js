@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 検索クエリを正規化（全角/半角・大文字小文字・空白の揺れを吸収）
+ */
+function normalizeQuery(query) {
+  return String(query || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * 検索結果のキャッシュキーを作成（既定の条件と異なる指定だけをキーに加える）
+ * @param {string} normalized 正規化済みのクエリ
+ * @param {string[]} sourceNames 使用するソース名
+ * @param {Object} [variant]
+ * @param {boolean} [variant.includeListings] 出品中を含むか
+ * @param {number|null} [variant.relevanceThreshold] 既定と異なる関連度の閾値
+ * @param {string|null} [variant.condition] 状態の指定
+ * @param {Object} [variant.attributes] バリエーション属性の指定
+ * @param {string|null} [variant.bundleMode] 既定と異なるまとめ売りの扱い
+ * @param {boolean} [variant.explain] 採用・除外の理由を含むか
+ * @param {string|null} [variant.replay] 再生するスナップショット（最新なら 'latest'）
+ */
+function buildCacheKey(normalized, sourceNames, variant = {}) {
+  const attributes = variant.attributes || {};
+  const attributeKey = Object.keys(attributes).map(name => `${name}=${attributes[name]}`).join(',');
+  
+  return [
+    `${normalized}|${sourceNames.join(',')}`,
+    variant.includeListings ? '|listings' : '',
+    variant.relevanceThreshold !== undefined && variant.relevanceThreshold !== null ? `|relevance${variant.relevanceThreshold}` : '',
+    variant.condition ? `|condition:${variant.condition}` : '',
+    attributeKey ? `|variant:${attributeKey}` : '',
+    variant.bundleMode ? `|bundles:${variant.bundleMode}` : '',
+    variant.explain ? '|explain' : '',
+    variant.replay ? `|replay:${variant.replay}` : ''
+  ].join('');
+}
+
+/**
+ * メモリ上にキャッシュを保持するバックエンド
+ */
+function createMemoryBackend() {
+  const store = new Map();
+  
+  return {
+    name: 'memory',
+    get: (key) => store.get(key),
+    set: (key, entry) => { store.set(key, entry); },
+    delete: (key) => store.delete(key),
+    keys: () => Array.from(store.keys()),
+    clear: () => { store.clear(); }
+  };
+}
+
+/**
+ * JSONファイルにキャッシュを保存するバックエンド（再起動後も保持）
+ * 変更のたびにファイル全体を書き直さないよう、flushDelayMs の間の変更をまとめて保存する（終了時は未保存分を保存）
+ * @param {string} filePath 保存先ファイル
+ * @param {Object} [options]
+ * @param {number} [options.flushDelayMs] 変更から保存までの待ち時間（0 で変更のたびに保存）
+ */
+function createFileBackend(filePath, options = {}) {
+  const store = new Map();
+  const flushDelayMs = options.flushDelayMs !== undefined ? options.flushDelayMs : 1000;
+  let timer = null;
+  
+  try {
+    if (fs.existsSync(filePath)) {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.entries(saved).forEach(([key, entry]) => store.set(key, entry));
+      console.log(`🗄️ キャッシュファイル読込: ${store.size}件 (${filePath})`);
+    }
+  } catch (error) {
+    console.error('⚠️ キャッシュファイルの読込に失敗（空の状態で開始）:', error.message);
+  }
+  
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(store)));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      console.error('⚠️ キャッシュファイルの保存に失敗:', error.message);
+    }
+  }
+  
+  /**
+   * 未保存の変更をすぐに保存
+   */
+  function flush() {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = null;
+    process.removeListener('exit', flush);
+    persist();
+  }
+  
+  function schedulePersist() {
+    if (flushDelayMs <= 0) {
+      persist();
+      return;
+    }
+    if (timer) return;
+    timer = setTimeout(flush, flushDelayMs);
+    timer.unref();
+    process.once('exit', flush);
+  }
+  
+  return {
+    name: 'file',
+    get: (key) => store.get(key),
+    set: (key, entry) => { store.set(key, entry); schedulePersist(); },
+    delete: (key) => {
+      const deleted = store.delete(key);
+      if (deleted) schedulePersist();
+      return deleted;
+    },
+    keys: () => Array.from(store.keys()),
+    clear: () => { store.clear(); schedulePersist(); },
+    flush
+  };
+}
+
+/**
+ * TTL + stale-while-revalidate 方式の結果キャッシュを生成
+ * @param {Object} [options]
+ * @param {Object} [options.backend] createMemoryBackend / createFileBackend の戻り値
+ * @param {number} [options.ttl] 新鮮とみなす秒数（0でキャッシュ無効）
+ * @param {number} [options.staleTTL] 期限切れ後も古い値を返しつつ裏で更新する秒数
+ * @param {Function} [options.now] 現在時刻（テスト用）
+ */
+function createResultCache(options = {}) {
+  const backend = options.backend || createMemoryBackend();
+  const now = options.now || Date.now;
+  const ttl = (options.ttl !== undefined ? options.ttl : 3600) * 1000;
+  const staleTTL = (options.staleTTL !== undefined ? options.staleTTL : 0) * 1000;
+  const inflight = new Map();
+  
+  function load(key, query, loader) {
+    if (inflight.has(key)) {
+      return inflight.get(key);
+    }
+    
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(value => {
+        if (ttl > 0) {
+          backend.set(key, { query, value, storedAt: now() });
+        }
+        return value;
+      })
+      .finally(() => inflight.delete(key));
+    
+    inflight.set(key, promise);
+    return promise;
+  }
+  
+  function describe(key, entry, status) {
+    return {
+      hit: status === 'fresh' || status === 'stale',
+      stale: status === 'stale',
+      status,
+      key,
+      backend: backend.name,
+      cachedAt: entry ? new Date(entry.storedAt).toISOString() : null,
+      expiresAt: entry ? new Date(entry.storedAt + ttl).toISOString() : null,
+      ageSeconds: entry ? Math.round((now() - entry.storedAt) / 1000) : 0
+    };
+  }
+  
+  /**
+   * キャッシュを通して値を取得
+   * @param {string} key キャッシュキー
+   * @param {string} query パージ用の正規化済みクエリ
+   * @param {Function} loader キャッシュがない場合の取得処理
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] キャッシュを使わずに取得し直して保存する
+   * @returns {Promise<{value: any, cache: Object}>}
+   */
+  async function wrap(key, query, loader, options = {}) {
+    if (options.refresh) {
+      console.log(`🔄 キャッシュを使わずに再取得: ${key}`);
+      const value = await load(key, query, loader);
+      return { value, cache: describe(key, null, 'refresh') };
+    }
+    
+    const entry = ttl > 0 ? backend.get(key) : undefined;
+    
+    if (entry) {
+      const age = now() - entry.storedAt;
+      
+      if (age < ttl) {
+        console.log(`⚡ キャッシュヒット: ${key}`);
+        return { value: entry.value, cache: describe(key, entry, 'fresh') };
+      }
+      
+      if (age < ttl + staleTTL) {
+        console.log(`♻️ 期限切れキャッシュを返却し裏で更新: ${key}`);
+        load(key, query, loader).catch(error => {
+          console.error(`⚠️ キャッシュ再検証に失敗 (${key}):`, error.message);
+        });
+        return { value: entry.value, cache: describe(key, entry, 'stale') };
+      }
+      
+      backend.delete(key);
+    }
+    
+    const value = await load(key, query, loader);
+    return { value, cache: describe(key, null, 'miss') };
+  }
+  
+  /**
+   * 指定クエリ（全ソース組み合わせ）または全体のキャッシュを削除
+   * @param {string} [query] 省略時は全件削除
+   * @returns {number} 削除件数
+   */
+  function purge(query) {
+    const keys = backend.keys();
+    
+    if (!query) {
+      backend.clear();
+      return keys.length;
+    }
+    
+    const normalized = normalizeQuery(query);
+    let removed = 0;
+    keys.forEach(key => {
+      const entry = backend.get(key);
+      if (entry && entry.query === normalized && backend.delete(key)) {
+        removed++;
+      }
+    });
+    return removed;
+  }
+  
+  function stats() {
+    return {
+      backend: backend.name,
+      entries: backend.keys().length,
+      ttlSeconds: ttl / 1000,
+      staleSeconds: staleTTL / 1000
+    };
+  }
+  
+  return { wrap, purge, stats };
+}
+
+module.exports = {
+  normalizeQuery,
+  buildCacheKey,
+  createMemoryBackend,
+  createFileBackend,
+  createResultCache
+};
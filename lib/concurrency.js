@@ -0,0 +1,57 @@
+/**
+ * 指定ミリ秒待機
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 同時実行数を制限しながら配列の各要素を処理
+ * 1件の失敗で全体を止めず、Promise.allSettled と同じ形式で結果を返す
+ * @param {Array} items 処理対象
+ * @param {Function} worker (item, index) => Promise
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] 同時実行数
+ * @param {number} [options.delayMs] 各処理の開始間隔（ミリ秒）
+ * @returns {Promise<Array<{status: string, value?: any, reason?: Error}>>}
+ */
+async function mapWithConcurrency(items, worker, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 1);
+  const delayMs = Math.max(0, options.delayMs || 0);
+  const settled = new Array(items.length);
+  let nextIndex = 0;
+  let nextStartAt = 0;
+  
+  // 開始時刻を予約して、全ワーカー合計で delayMs 間隔を保つ
+  async function waitForTurn() {
+    const now = Date.now();
+    const startAt = Math.max(now, nextStartAt);
+    nextStartAt = startAt + delayMs;
+    if (startAt > now) {
+      await sleep(startAt - now);
+    }
+  }
+  
+  async function runWorker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await waitForTurn();
+      
+      try {
+        settled[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        settled[index] = { status: 'rejected', reason: error };
+      }
+    }
+  }
+  
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, runWorker);
+  await Promise.all(workers);
+  
+  return settled;
+}
+
+module.exports = {
+  sleep,
+  mapWithConcurrency
+};
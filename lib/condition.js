@@ -0,0 +1,117 @@
+const { describePrices } = require('./stats');
+
+/**
+ * 商品の状態（新品・未使用・中古・ジャンク）の判別と、状態を揃えた相場の算出
+ */
+
+// 状態の定義（表示名と判別キーワード）
+const CONDITIONS = {
+  new: { label: '新品', keywords: ['新品', '未開封', 'シュリンク付'] },
+  unused: { label: '未使用', keywords: ['未使用', '未着用', '使用なし'] },
+  used: { label: '中古', keywords: ['中古', '美品', '使用感', '傷あり', '傷有', '目立った傷', 'USED', '良品'] },
+  junk: { label: 'ジャンク', keywords: ['ジャンク', '動作未確認', '動作不良', '故障', '不動', '部品取り', '難あり', '訳あり', '現状品'] }
+};
+
+const UNKNOWN_CONDITION = 'unknown';
+
+// 「新品」「未使用」を含むが中古扱いの表記（ジャンクの次に判定する）
+const NEAR_NEW_USED_KEYWORDS = ['新品同様', 'ほぼ新品', '新品に近い', 'ほぼ未使用', '未使用に近い', '数回使用'];
+
+// 状態を揃えた相場に必要な最低件数（不足時は状態不明のデータ、さらに全データへ広げる）
+const CONDITION_MIN_SAMPLES = 3;
+
+/**
+ * 商品名・テキストから状態を判別（ジャンク → 中古扱いの表記 → 新品 → 未使用 → 中古 の順）
+ * @returns {string} new / unused / used / junk / unknown
+ */
+function classifyCondition(text) {
+  const upper = String(text || '').normalize('NFKC').toUpperCase();
+  const has = keywords => keywords.some(keyword => upper.includes(keyword.toUpperCase()));
+  
+  if (has(CONDITIONS.junk.keywords)) return 'junk';
+  if (has(NEAR_NEW_USED_KEYWORDS)) return 'used';
+  if (has(CONDITIONS.new.keywords)) return 'new';
+  if (has(CONDITIONS.unused.keywords)) return 'unused';
+  if (has(CONDITIONS.used.keywords)) return 'used';
+  return UNKNOWN_CONDITION;
+}
+
+/**
+ * 状態名を解決（キー・表示名のどちらでも指定可）
+ */
+function resolveCondition(name) {
+  if (!name) return null;
+  
+  const value = String(name).trim();
+  const key = Object.keys(CONDITIONS).find(condition =>
+    condition === value.toLowerCase() || CONDITIONS[condition].label === value
+  );
+  if (!key) {
+    throw new Error(`未対応の商品状態です: ${value}（指定可能: ${Object.keys(CONDITIONS).map(condition => `${condition}/${CONDITIONS[condition].label}`).join(', ')}）`);
+  }
+  return key;
+}
+
+/**
+ * 商品データに状態を付ける（ソースが判別済みならそれを使い、なければ商品名から判別）
+ */
+function withCondition(item) {
+  const condition = CONDITIONS[item.condition] ? item.condition : classifyCondition(item.title);
+  return { ...item, condition };
+}
+
+/**
+ * 相場の算出に使うデータを状態で絞り込む
+ * 同じ状態が最低件数に満たなければ状態不明のデータを加え、それでも不足なら全データを使う
+ * @returns {{results: Object[], match: string}} match は exact / with_unknown / all
+ */
+function selectByCondition(results, condition) {
+  if (!condition) return { results, match: 'all' };
+  
+  const exact = results.filter(item => item.condition === condition);
+  if (exact.length >= CONDITION_MIN_SAMPLES) {
+    return { results: exact, match: 'exact' };
+  }
+  
+  const withUnknown = results.filter(item => item.condition === condition || item.condition === UNKNOWN_CONDITION);
+  if (withUnknown.length >= CONDITION_MIN_SAMPLES) {
+    return { results: withUnknown, match: 'with_unknown' };
+  }
+  
+  return { results, match: 'all' };
+}
+
+/**
+ * 状態別の件数と価格（件数0の状態は含めない）
+ */
+function summarizeByCondition(results) {
+  const breakdown = {};
+  
+  [...Object.keys(CONDITIONS), UNKNOWN_CONDITION].forEach(condition => {
+    const prices = results.filter(item => item.condition === condition).map(item => item.price);
+    if (prices.length === 0) return;
+    
+    const stats = describePrices(prices);
+    breakdown[condition] = {
+      label: CONDITIONS[condition] ? CONDITIONS[condition].label : '状態不明',
+      count: prices.length,
+      avgPrice: stats.avgPrice,
+      medianPrice: stats.medianPrice,
+      minPrice: stats.minPrice,
+      maxPrice: stats.maxPrice
+    };
+  });
+  
+  return breakdown;
+}
+
+module.exports = {
+  CONDITIONS,
+  UNKNOWN_CONDITION,
+  CONDITION_MIN_SAMPLES,
+  classifyCondition,
+  resolveCondition,
+  withCondition,
+  selectByCondition,
+  summarizeByCondition
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+
+// 組み込みのコストプロファイル（従来の「手数料5% + 消費税10%」）
+const DEFAULT_PROFILE_NAME = 'default';
+const BUILTIN_PROFILES = {
+  default: {
+    label: '標準（手数料5%・消費税10%）',
+    feeRate: 0.05,
+    fixedFee: 0,
+    shipping: 0,
+    taxRate: 0.10,
+    taxableItems: ['auctionPrice', 'handlingFee']
+  }
+};
+
+// 課税対象として指定できる費目
+const TAXABLE_ITEMS = ['auctionPrice', 'handlingFee', 'fixedFee', 'shipping'];
+
+/**
+ * プロファイル定義を検証して既定値を補う
+ */
+function normalizeProfile(name, definition) {
+  const profile = {
+    ...BUILTIN_PROFILES.default,
+    ...definition,
+    name
+  };
+  
+  ['feeRate', 'fixedFee', 'shipping', 'taxRate'].forEach(field => {
+    const value = Number(profile[field]);
+    if (isNaN(value) || value < 0) {
+      throw new Error(`コストプロファイル「${name}」の${field}が不正です: ${profile[field]}`);
+    }
+    profile[field] = value;
+  });
+  
+  const unknown = (profile.taxableItems || []).filter(item => !TAXABLE_ITEMS.includes(item));
+  if (unknown.length > 0) {
+    throw new Error(`コストプロファイル「${name}」の課税対象が不正です: ${unknown.join(', ')}`);
+  }
+  
+  if (!definition.label) {
+    profile.label = name;
+  }
+  
+  return profile;
+}
+
+/**
+ * 組み込みプロファイル + 設定ファイルのプロファイルを読み込む
+ * @param {string} [filePath] JSONファイル（{ "名前": { feeRate, fixedFee, shipping, taxRate, taxableItems } }）
+ */
+function loadCostProfiles(filePath) {
+  let definitions = { ...BUILTIN_PROFILES };
+  
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      definitions = { ...definitions, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`コストプロファイルの読込に失敗しました (${filePath}): ${error.message}`);
+    }
+  }
+  
+  const profiles = {};
+  Object.entries(definitions).forEach(([name, definition]) => {
+    profiles[name] = normalizeProfile(name, definition);
+  });
+  
+  console.log(`💴 コストプロファイル: ${Object.keys(profiles).join(', ')}`);
+  return profiles;
+}
+
+/**
+ * 仕入れ原価の内訳を計算
+ * @param {number} auctionPrice 落札価格
+ * @param {Object} profile コストプロファイル
+ */
+function calculateCost(auctionPrice, profile) {
+  const handlingFee = Math.round(auctionPrice * profile.feeRate);
+  const amounts = {
+    auctionPrice,
+    handlingFee,
+    fixedFee: profile.fixedFee,
+    shipping: profile.shipping
+  };
+  
+  const taxable = profile.taxableItems.reduce((sum, item) => sum + amounts[item], 0);
+  const consumptionTax = Math.round(taxable * profile.taxRate);
+  const totalCost = auctionPrice + handlingFee + profile.fixedFee + profile.shipping + consumptionTax;
+  
+  return {
+    ...amounts,
+    consumptionTax,
+    totalCost
+  };
+}
+
+/**
+ * 利益率（%、整数に丸め）
+ * @param {number} saleValue 販売見込額
+ * @param {number} totalCost 仕入れ総原価
+ */
+function calculateProfitRate(saleValue, totalCost) {
+  return totalCost > 0 ? Math.round(((saleValue - totalCost) / totalCost) * 100) : 0;
+}
+
+/**
+ * 目標利益率を満たす最大の落札価格を求める（calculateCost の逆算）
+ * 手数料・消費税の端数処理まで判定と一致させるため、円単位の二分探索で求める
+ * @param {number} saleValue 販売見込額
+ * @param {number} targetProfitRate 目標利益率（%）
+ * @param {Object} profile コストプロファイル
+ * @returns {number|null} 条件を満たす落札価格がなければ null
+ */
+function findMaxAuctionPrice(saleValue, targetProfitRate, profile) {
+  const meets = (price) => calculateProfitRate(saleValue, calculateCost(price, profile).totalCost) >= targetProfitRate;
+  
+  if (saleValue <= 0 || !meets(1)) {
+    return null;
+  }
+  
+  let low = 1;
+  let high = Math.max(2, Math.ceil(saleValue / Math.max(0.01, 1 + targetProfitRate / 100)) + 1);
+  while (meets(high)) {
+    low = high;
+    high *= 2;
+  }
+  
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (meets(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return low;
+}
+
+/**
+ * 落札価格以外の費用項目を表示名付きで列挙（メッセージ表示用）
+ * 固定手数料・送料は0円なら省略
+ */
+function describeCostItems(profile, breakdown) {
+  const items = [
+    { label: `手数料(${Math.round(profile.feeRate * 1000) / 10}%)`, amount: breakdown.handlingFee }
+  ];
+  
+  if (breakdown.fixedFee > 0) {
+    items.push({ label: '固定手数料', amount: breakdown.fixedFee });
+  }
+  if (breakdown.shipping > 0) {
+    items.push({ label: '送料', amount: breakdown.shipping });
+  }
+  
+  items.push({ label: `消費税(${Math.round(profile.taxRate * 1000) / 10}%)`, amount: breakdown.consumptionTax });
+  
+  return items;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  loadCostProfiles,
+  calculateCost,
+  calculateProfitRate,
+  findMaxAuctionPrice,
+  describeCostItems
+};
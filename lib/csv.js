@@ -0,0 +1,191 @@
+const iconv = require('iconv-lite');
+
+// 入力CSVの列名として認識する見出し（小文字・空白除去後で比較）
+const COLUMN_ALIASES = {
+  modelNumber: ['modelnumber', 'model', '型番', '商品', '品名', '商品名'],
+  auctionPrice: ['auctionprice', 'price', '価格', '落札価格', '入札価格', 'オークション価格', '現在価格'],
+  lotId: ['lotid', 'lot', 'lotno', 'ロット', 'ロット番号', 'ロットid', 'lot番号', '出品番号'],
+  condition: ['condition', '状態', '商品状態', 'コンディション'],
+  quantity: ['quantity', 'qty', '数量', '個数']
+};
+
+// 評価結果として末尾に追加する列
+const RESULT_COLUMNS = ['judgment', 'reason', 'totalCost', 'avgPrice', 'marketPrice', 'confidence', 'profit', 'profitRate', 'count', 'ruleSet', 'error'];
+
+/**
+ * CSV文字列を行・列の配列に変換（ダブルクォート・改行入りセル対応）
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  
+  // 空行を除外
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * 行・列の配列をCSV文字列に変換（Excel向けにCRLF改行）
+ */
+function toCSV(rows) {
+  return rows.map(row => row.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * 見出し行から各項目の列位置を判定（見出しがなければ null）
+ */
+function detectColumns(headerRow) {
+  const normalized = headerRow.map(value => value.trim().toLowerCase().replace(/[\s_\-]/g, ''));
+  const columns = {};
+  
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = normalized.findIndex(value => aliases.includes(value));
+    if (index >= 0) columns[field] = index;
+  });
+  
+  return columns.modelNumber !== undefined ? columns : null;
+}
+
+/**
+ * CSVの行からロット一覧を読み取る
+ * 見出しがない場合は「型番, オークション価格, ロットID」の列順とみなす
+ * @returns {{header: string[], rows: string[][], lots: Object[]}}
+ */
+function readLots(rows) {
+  if (rows.length === 0) {
+    return { header: [], rows: [], lots: [] };
+  }
+  
+  let columns = detectColumns(rows[0]);
+  let header;
+  let dataRows;
+  
+  if (columns) {
+    header = rows[0];
+    dataRows = rows.slice(1);
+  } else {
+    columns = { modelNumber: 0, auctionPrice: 1, lotId: 2 };
+    const width = Math.max(...rows.map(r => r.length));
+    header = ['modelNumber', 'auctionPrice', 'lotId'].slice(0, width);
+    for (let i = header.length; i < width; i++) {
+      header.push(`column${i + 1}`);
+    }
+    dataRows = rows;
+  }
+  
+  const lots = dataRows.map((row, index) => ({
+    lotId: columns.lotId !== undefined && row[columns.lotId] ? row[columns.lotId].trim() : String(index + 1),
+    modelNumber: (row[columns.modelNumber] || '').trim(),
+    auctionPrice: parseInt((row[columns.auctionPrice] || '').replace(/[^\d]/g, '')),
+    condition: columns.condition !== undefined && row[columns.condition] ? row[columns.condition].trim() : undefined,
+    quantity: columns.quantity !== undefined && row[columns.quantity] ? row[columns.quantity].trim() : undefined
+  }));
+  
+  return { header, rows: dataRows, lots };
+}
+
+/**
+ * 元の行の末尾に評価結果の列を追加
+ * @param {string[]} header 元の見出し
+ * @param {string[][]} rows 元のデータ行
+ * @param {Object[]} lotResults evaluateLots の lots
+ */
+function appendResultColumns(header, rows, lotResults) {
+  const width = header.length;
+  const output = [[...header, ...RESULT_COLUMNS]];
+  
+  rows.forEach((row, index) => {
+    const padded = [...row, ...new Array(Math.max(0, width - row.length)).fill('')].slice(0, width);
+    const lot = lotResults[index];
+    
+    if (lot && lot.ok) {
+      const { result } = lot;
+      output.push([
+        ...padded,
+        result.judgment.decision,
+        result.judgment.reason,
+        result.totalCost,
+        result.avgPrice,
+        result.marketPrice,
+        result.confidence ? result.confidence.score : '',
+        result.profit,
+        result.profitRate,
+        result.count,
+        result.judgment.ruleSet ? result.judgment.ruleSet.name : '',
+        ''
+      ]);
+    } else {
+      output.push([...padded, ...new Array(RESULT_COLUMNS.length - 1).fill(''), lot ? lot.error : '']);
+    }
+  });
+  
+  return output;
+}
+
+/**
+ * CSV文字列を指定の文字コードでエンコード
+ * UTF-8の場合はExcelで文字化けしないようBOMを付与
+ * @param {string} text
+ * @param {string} [encoding] 'utf8' | 'shift_jis'
+ */
+function encodeCSV(text, encoding) {
+  if (isShiftJIS(encoding)) {
+    return iconv.encode(text, 'shift_jis');
+  }
+  return Buffer.from('\uFEFF' + text, 'utf8');
+}
+
+/**
+ * Shift_JIS指定かどうか（sjis / shift-jis / cp932 などの表記揺れを許容）
+ */
+function isShiftJIS(encoding) {
+  return /^(shift[_\-]?jis|sjis|cp932|windows-31j)$/i.test(String(encoding || '').trim());
+}
+
+module.exports = {
+  RESULT_COLUMNS,
+  parseCSV,
+  toCSV,
+  readLots,
+  appendResultColumns,
+  encodeCSV,
+  isShiftJIS
+};
@@ -0,0 +1,84 @@
+/**
+ * 抽出データの重複除外
+ *
+ * 同じ商品が複数の要素やソースから重複して取り出されると件数と平均が歪むため、
+ * URLがあればURLで、なければ正規化した商品名＋価格＋プラットフォームで同一商品とみなす
+ */
+
+/**
+ * 比較用にURLを正規化（フラグメント・末尾スラッシュを除き、ホストを小文字にする）
+ */
+function normalizeURL(url) {
+  if (!url) return '';
+  
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.host = parsed.host.toLowerCase();
+    return parsed.toString().replace(/\/+(\?|$)/, '$1');
+  } catch (error) {
+    return String(url).trim().replace(/#.*$/, '').replace(/\/+$/, '');
+  }
+}
+
+/**
+ * 比較用に商品名を正規化（全角半角・大文字小文字・空白・記号の違いを無視）
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s　]+/g, '')
+    .replace(/[!-\/:-@\[-`{-~・、。「」【】『』（）]/g, '');
+}
+
+/**
+ * 重複判定のキー（URL優先、なければ 商品名＋価格＋プラットフォーム）
+ */
+function dedupeKey(item) {
+  const url = normalizeURL(item.url);
+  if (url) return `url:${url}`;
+  return `item:${normalizeTitle(item.title)}|${item.price}|${item.platform || ''}`;
+}
+
+/**
+ * 重複した商品データを1件にまとめる
+ * 先に出現したデータを残し、欠けている項目（日付・画像・落札状況など）だけ後の重複から補う
+ * @param {Object[]} results
+ * @returns {{results: Object[], removed: number}}
+ */
+function dedupeResults(results) {
+  const merged = new Map();
+  
+  results.forEach(item => {
+    const key = dedupeKey(item);
+    const existing = merged.get(key);
+    
+    if (!existing) {
+      merged.set(key, { ...item });
+      return;
+    }
+    
+    Object.keys(item).forEach(field => {
+      if (!existing[field] || existing[field] === 'unknown') {
+        existing[field] = item[field];
+      }
+    });
+  });
+  
+  const deduped = Array.from(merged.values());
+  const removed = results.length - deduped.length;
+  
+  if (removed > 0) {
+    console.log(`🧩 重複除外: ${results.length}件 → ${deduped.length}件（${removed}件の重複）`);
+  }
+  
+  return { results: deduped, removed };
+}
+
+module.exports = {
+  normalizeURL,
+  normalizeTitle,
+  dedupeKey,
+  dedupeResults
+};
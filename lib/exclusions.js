@@ -0,0 +1,187 @@
+const fs = require('fs');
+
+/**
+ * 広告・ノイズデータの除外ルール
+ *
+ * ルールは名前付きで、keyword（商品名のキーワード）/ regex（商品名の正規表現）/
+ * price（価格帯）/ platform（プラットフォーム）の4種類。設定ファイルの並び順に判定し、
+ * 最初に一致したルール名を除外理由として記録する。設定ファイルは変更を検知して再読込する
+ */
+
+const RULE_TYPES = ['keyword', 'regex', 'price', 'platform'];
+
+// 組み込みルール（設定ファイルで同名のルールを定義すると上書き、enabled: false で無効化）
+const BUILTIN_EXCLUSION_RULES = [
+  { name: 'min-price', type: 'price', min: 300, description: '300円未満は広告・付属品とみなす' }
+];
+
+/**
+ * ルール定義を検証して判定用の形に変換
+ */
+function compileRule(definition, index) {
+  const name = definition && definition.name;
+  if (!name) {
+    throw new Error(`除外ルール${index + 1}件目に name がありません`);
+  }
+  if (!RULE_TYPES.includes(definition.type)) {
+    throw new Error(`除外ルール「${name}」の type が不正です（指定可能: ${RULE_TYPES.join(', ')}）`);
+  }
+  
+  const rule = {
+    name,
+    type: definition.type,
+    description: definition.description || '',
+    enabled: definition.enabled !== false
+  };
+  
+  if (definition.type === 'keyword') {
+    if (!Array.isArray(definition.keywords) || definition.keywords.length === 0) {
+      throw new Error(`除外ルール「${name}」に keywords がありません`);
+    }
+    rule.keywords = definition.keywords.map(String);
+    const lowered = rule.keywords.map(keyword => keyword.toLowerCase());
+    rule.test = item => lowered.some(keyword => item.title.toLowerCase().includes(keyword));
+  } else if (definition.type === 'regex') {
+    let pattern;
+    try {
+      pattern = new RegExp(definition.pattern, definition.flags !== undefined ? definition.flags : 'i');
+    } catch (error) {
+      throw new Error(`除外ルール「${name}」の正規表現が不正です: ${error.message}`);
+    }
+    rule.pattern = pattern.source;
+    rule.flags = pattern.flags;
+    rule.test = item => pattern.test(item.title);
+  } else if (definition.type === 'price') {
+    const min = definition.min !== undefined ? Number(definition.min) : null;
+    const max = definition.max !== undefined ? Number(definition.max) : null;
+    if ((min === null && max === null) || Number.isNaN(min) || Number.isNaN(max)) {
+      throw new Error(`除外ルール「${name}」には数値の min か max が必要です`);
+    }
+    rule.min = min;
+    rule.max = max;
+    rule.test = item => (min !== null && item.price < min) || (max !== null && item.price > max);
+  } else {
+    if (!Array.isArray(definition.platforms) || definition.platforms.length === 0) {
+      throw new Error(`除外ルール「${name}」に platforms がありません`);
+    }
+    rule.platforms = definition.platforms.map(String);
+    rule.test = item => rule.platforms.includes(item.platform);
+  }
+  
+  return rule;
+}
+
+/**
+ * 組み込み + 設定ファイルの除外ルールを読み込む
+ * @param {string} [filePath] JSONファイル（{ "rules": [{ name, type, ... }] }）
+ */
+function loadExclusionRules(filePath) {
+  let definitions = BUILTIN_EXCLUSION_RULES.slice();
+  
+  if (filePath && fs.existsSync(filePath)) {
+    let fileRules;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      fileRules = Array.isArray(parsed) ? parsed : parsed.rules;
+    } catch (error) {
+      throw new Error(`除外ルールの読込に失敗しました (${filePath}): ${error.message}`);
+    }
+    if (!Array.isArray(fileRules)) {
+      throw new Error(`除外ルールの読込に失敗しました (${filePath}): rules 配列がありません`);
+    }
+    
+    const overridden = new Set(fileRules.map(rule => rule && rule.name));
+    definitions = [...definitions.filter(rule => !overridden.has(rule.name)), ...fileRules];
+  }
+  
+  const rules = definitions.map(compileRule);
+  const names = rules.map(rule => rule.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw new Error(`除外ルール「${duplicate}」が重複しています`);
+  }
+  
+  return rules;
+}
+
+/**
+ * 除外ルールの管理（読込・変更検知による再読込・ルール別の除外件数）
+ * 再読込に失敗した場合は直前のルールを使い続ける
+ * @param {string} [filePath]
+ * @param {Object} [options]
+ * @param {boolean} [options.watch] 設定ファイルの変更を検知して再読込する（既定 true）
+ * @param {number} [options.intervalMs] 変更検知の間隔
+ * @param {Function} [options.onReload] 再読込に成功したときに呼ぶ（キャッシュ済み結果の破棄など）
+ */
+function createExclusionRules(filePath, options = {}) {
+  let rules = loadExclusionRules(filePath);
+  let loadedAt = new Date();
+  let lastError = null;
+  const hits = {};
+  
+  console.log(`🧹 除外ルール: ${rules.filter(rule => rule.enabled).map(rule => rule.name).join(', ')}`);
+  
+  function reload() {
+    try {
+      rules = loadExclusionRules(filePath);
+      loadedAt = new Date();
+      lastError = null;
+      console.log(`🔄 除外ルールを再読込: ${rules.filter(rule => rule.enabled).length}件有効`);
+      if (options.onReload) options.onReload(rules);
+    } catch (error) {
+      lastError = error.message;
+      console.error('❌ 除外ルールの再読込に失敗（直前のルールを継続）:', error.message);
+    }
+    return { ok: !lastError, error: lastError };
+  }
+  
+  let watching = false;
+  if (filePath && options.watch !== false) {
+    // 常駐させないよう persistent: false（テストやCLIの終了を妨げない）
+    fs.watchFile(filePath, { persistent: false, interval: options.intervalMs || 2000 }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) reload();
+    });
+    watching = true;
+  }
+  
+  /**
+   * 商品データに一致する最初の有効ルール（一致しなければ null）
+   */
+  function match(item) {
+    const rule = rules.find(candidate => candidate.enabled && candidate.test(item));
+    if (!rule) return null;
+    
+    hits[rule.name] = (hits[rule.name] || 0) + 1;
+    return rule;
+  }
+  
+  /**
+   * ルール一覧と、起動後のルール別除外件数
+   */
+  function describe() {
+    return {
+      file: filePath || null,
+      watching,
+      loadedAt: loadedAt.toISOString(),
+      lastError,
+      rules: rules.map(rule => {
+        const { test, ...definition } = rule;
+        return { ...definition, hits: hits[rule.name] || 0 };
+      })
+    };
+  }
+  
+  function close() {
+    if (watching) fs.unwatchFile(filePath);
+    watching = false;
+  }
+  
+  return { match, reload, describe, close };
+}
+
+module.exports = {
+  RULE_TYPES,
+  BUILTIN_EXCLUSION_RULES,
+  loadExclusionRules,
+  createExclusionRules
+};
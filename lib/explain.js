@@ -0,0 +1,143 @@
+/**
+ * 相場算出の説明（explain モード）
+ *
+ * 抽出した全データについて、相場に採用したか、どの段階・理由で除外したかを記録する
+ * データには列挙されない Symbol で抽出時の番号を付けておき、各段階のコピー後も追跡する
+ */
+const { dedupeKey } = require('./dedupe');
+
+const ITEM_INDEX = Symbol('explainItemIndex');
+
+// 除外段階（パイプラインの実行順）
+const EXPLAIN_STAGES = {
+  duplicate: '重複除外',
+  relevance: '関連度フィルタ',
+  bundle: 'まとめ売り',
+  listing: '出品中の除外',
+  rule: '除外ルール',
+  recent: '直近1年フィルタ',
+  outlier: '統計的外れ値',
+  condition: '状態の絞り込み',
+  variant: 'バリエーションの絞り込み'
+};
+
+// filterValidPrices の excludedBy から除外段階を判別
+const FILTER_STAGES = {
+  'recent-only': 'recent',
+  'iqr-outlier': 'outlier'
+};
+
+/**
+ * filterValidPrices の除外データの段階と理由
+ */
+function describeFilterExclusion(item) {
+  const stage = FILTER_STAGES[item.excludedBy] || 'rule';
+  if (stage === 'recent') {
+    return { stage, reason: '直近1年より前の取引' };
+  }
+  if (stage === 'outlier') {
+    const range = item.bounds ? `（有効範囲 ${item.bounds.lower.toLocaleString()}円〜${item.bounds.upper.toLocaleString()}円）` : '';
+    return { stage, reason: `統計的外れ値${range}` };
+  }
+  return { stage, reason: `除外ルール「${item.excludedBy}」に一致` };
+}
+
+/**
+ * 抽出データ1回分の説明を記録するオブジェクトを作成
+ * @param {Object[]} results 抽出した全データ（重複除外前）
+ * @returns {{items: Object[], markDuplicates: Function, markExcluded: Function, markDropped: Function, build: Function}}
+ *   items は追跡用の番号を付けたデータ（パイプラインにはこちらを渡す）
+ */
+function createExplainer(results) {
+  const items = results.map((item, index) => ({ ...item, [ITEM_INDEX]: index }));
+  const fates = new Map();
+  
+  function exclude(item, stage, reason, details = {}) {
+    const index = item[ITEM_INDEX];
+    if (index === undefined || fates.has(index)) return;
+    fates.set(index, { item, stage, reason, ...details });
+  }
+  
+  /**
+   * 重複除外で残らなかったデータに、先に抽出された同一商品の番号を記録
+   * @param {Object[]} uniqueResults dedupeResults の結果
+   */
+  function markDuplicates(uniqueResults) {
+    const kept = new Set(uniqueResults.map(item => item[ITEM_INDEX]));
+    const firstIndex = new Map();
+    
+    items.forEach((item, index) => {
+      const key = dedupeKey(item);
+      if (!firstIndex.has(key)) firstIndex.set(key, index);
+      if (!kept.has(index)) {
+        exclude(item, 'duplicate', `同じ商品のデータ（index: ${firstIndex.get(key)}）を抽出済み（URL、または商品名・価格・プラットフォームが一致）`, { duplicateOf: firstIndex.get(key) });
+      }
+    });
+  }
+  
+  /**
+   * 除外リストのデータを記録（理由は除外データから作成）
+   * @param {Object[]} excluded
+   * @param {Function} describe (item) => { stage, reason }
+   */
+  function markExcluded(excluded, describe) {
+    excluded.forEach(item => {
+      const { stage, reason } = describe(item);
+      exclude(item, stage, reason);
+    });
+  }
+  
+  /**
+   * 段階の前後を比べ、後に残らなかったデータを記録
+   * @param {Object[]} before
+   * @param {Object[]} after
+   * @param {string} stage
+   * @param {string} reason
+   */
+  function markDropped(before, after, stage, reason) {
+    const remaining = new Set(after.map(item => item[ITEM_INDEX]));
+    before
+      .filter(item => !remaining.has(item[ITEM_INDEX]))
+      .forEach(item => exclude(item, stage, reason));
+  }
+  
+  /**
+   * 説明を組み立てる（最終的な相場データに含まれるものは採用、それ以外は最初に除外された段階）
+   * @param {Object[]} finalResults 相場の算出に使ったデータ
+   * @param {Object} [extra] 説明に含める追加情報（IQRの範囲など）
+   */
+  function build(finalResults, extra = {}) {
+    const kept = new Map(finalResults.map(item => [item[ITEM_INDEX], item]));
+    const byStage = {};
+    
+    const entries = items.map((original, index) => {
+      if (kept.has(index)) {
+        return { index, ...kept.get(index), fate: 'kept', stage: null, reason: null };
+      }
+      
+      const fate = fates.get(index) || { item: original, stage: 'unknown', reason: '除外段階を特定できません' };
+      const { item, ...details } = fate;
+      byStage[details.stage] = (byStage[details.stage] || 0) + 1;
+      return { index, ...item, fate: 'excluded', ...details, stageLabel: EXPLAIN_STAGES[details.stage] || details.stage };
+    });
+    
+    return {
+      ...extra,
+      counts: {
+        total: entries.length,
+        kept: kept.size,
+        excluded: entries.length - kept.size,
+        byStage
+      },
+      items: entries
+    };
+  }
+  
+  return { items, markDuplicates, markExcluded, markDropped, build };
+}
+
+module.exports = {
+  EXPLAIN_STAGES,
+  describeFilterExclusion,
+  createExplainer
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeQuery } = require('./cache');
+
+// 変化率がこの範囲内なら横ばいとみなす（%）
+const FLAT_THRESHOLD = 5;
+
+/**
+ * 相場スナップショットをJSON Lines形式で保存する履歴ストアを生成
+ * @param {string} filePath 保存先ファイル
+ */
+function createHistoryStore(filePath) {
+  /**
+   * 検索結果のスナップショットを追記
+   */
+  function record(result) {
+    if (!result || !result.count) return null;
+    
+    const snapshot = {
+      query: normalizeQuery(result.query),
+      timestamp: new Date().toISOString(),
+      count: result.count,
+      avgPrice: result.avgPrice,
+      medianPrice: result.medianPrice,
+      maxPrice: result.maxPrice,
+      minPrice: result.minPrice,
+      sources: (result.sources || []).map(source => source.name)
+    };
+    
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.appendFileSync(filePath, JSON.stringify(snapshot) + '\n');
+    } catch (error) {
+      console.error('⚠️ 価格履歴の保存に失敗:', error.message);
+      return null;
+    }
+    
+    return snapshot;
+  }
+  
+  /**
+   * 指定クエリのスナップショットを古い順に取得
+   */
+  function getSnapshots(query) {
+    if (!fs.existsSync(filePath)) return [];
+    
+    const normalized = normalizeQuery(query);
+    const snapshots = [];
+    
+    fs.readFileSync(filePath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        const snapshot = JSON.parse(line);
+        if (snapshot.query === normalized) {
+          snapshots.push(snapshot);
+        }
+      } catch (e) {
+        // 壊れた行は無視
+      }
+    });
+    
+    return snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+  
+  return { record, getSnapshots };
+}
+
+/**
+ * スナップショットを月別に集計
+ */
+function aggregateMonthly(snapshots) {
+  const months = new Map();
+  
+  snapshots.forEach(snapshot => {
+    const month = snapshot.timestamp.substring(0, 7);
+    if (!months.has(month)) {
+      months.set(month, []);
+    }
+    months.get(month).push(snapshot);
+  });
+  
+  return Array.from(months.entries()).map(([month, items]) => ({
+    month,
+    snapshots: items.length,
+    avgPrice: Math.round(items.reduce((sum, s) => sum + s.avgPrice, 0) / items.length),
+    maxPrice: Math.max(...items.map(s => s.maxPrice)),
+    minPrice: Math.min(...items.map(s => s.minPrice)),
+    sampleCount: items.reduce((sum, s) => sum + s.count, 0)
+  }));
+}
+
+/**
+ * 平均価格の推移から傾向を判定（最小二乗法の傾き）
+ * 月が2つ以上あれば月別平均、なければスナップショット単位で判定
+ */
+function detectTrend(snapshots, monthly) {
+  const points = monthly.length >= 2
+    ? monthly.map(m => m.avgPrice)
+    : snapshots.map(s => s.avgPrice);
+  
+  if (points.length < 2) {
+    return { direction: 'unknown', label: '➖ データ不足', changeRate: 0, basis: 'none' };
+  }
+  
+  const n = points.length;
+  const meanX = (n - 1) / 2;
+  const meanY = points.reduce((sum, p) => sum + p, 0) / n;
+  let numerator = 0;
+  let denominator = 0;
+  points.forEach((p, i) => {
+    numerator += (i - meanX) * (p - meanY);
+    denominator += (i - meanX) ** 2;
+  });
+  
+  const slope = numerator / denominator;
+  // 期間全体での変化量を平均価格に対する割合で表す
+  const changeRate = meanY > 0 ? Math.round((slope * (n - 1) / meanY) * 1000) / 10 : 0;
+  
+  let direction = 'flat';
+  let label = '➡️ 横ばい';
+  if (changeRate > FLAT_THRESHOLD) {
+    direction = 'up';
+    label = '📈 上昇傾向';
+  } else if (changeRate < -FLAT_THRESHOLD) {
+    direction = 'down';
+    label = '📉 下落傾向';
+  }
+  
+  return {
+    direction,
+    label,
+    changeRate,
+    basis: monthly.length >= 2 ? 'monthly' : 'snapshot'
+  };
+}
+
+/**
+ * 価格推移（時系列・月別集計・傾向）をまとめる
+ */
+function summarizeHistory(query, snapshots) {
+  const monthly = aggregateMonthly(snapshots);
+  
+  return {
+    query: normalizeQuery(query),
+    snapshotCount: snapshots.length,
+    series: snapshots.map(s => ({
+      timestamp: s.timestamp,
+      avgPrice: s.avgPrice,
+      maxPrice: s.maxPrice,
+      minPrice: s.minPrice,
+      count: s.count
+    })),
+    monthly,
+    trend: detectTrend(snapshots, monthly)
+  };
+}
+
+module.exports = {
+  createHistoryStore,
+  aggregateMonthly,
+  detectTrend,
+  summarizeHistory
+};
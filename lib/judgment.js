@@ -0,0 +1,174 @@
+const fs = require('fs');
+const { detectBrandAndCategory, canonicalBrand } = require('./keywords');
+
+// 判定段階（利益率の下限が高い順）。下限値は判定ルールセットごとに設定する
+const JUDGMENT_TIERS = [
+  { key: 'recommend', emoji: '🟢', decision: '仕入れ推奨' },
+  { key: 'consider', emoji: '🟡', decision: '仕入れ検討' },
+  { key: 'caution', emoji: '🟠', decision: '慎重検討' }
+];
+
+// 組み込みの判定ルールセット（従来の 50% / 20% / 0%・最低3件）
+const DEFAULT_RULE_SET_NAME = 'default';
+const BUILTIN_RULE_SETS = {
+  default: {
+    label: '標準',
+    thresholds: { recommend: 50, consider: 20, caution: 0 },
+    minSamples: 3
+  }
+};
+
+/**
+ * ルールセット定義を検証して既定値を補う
+ */
+function normalizeRuleSet(name, definition) {
+  const base = BUILTIN_RULE_SETS.default;
+  const ruleSet = {
+    name,
+    label: definition.label || name,
+    brands: definition.brands || [],
+    categories: definition.categories || [],
+    keywords: definition.keywords || [],
+    thresholds: { ...base.thresholds, ...(definition.thresholds || {}) },
+    minSamples: definition.minSamples !== undefined ? Number(definition.minSamples) : base.minSamples
+  };
+  
+  const values = JUDGMENT_TIERS.map(tier => Number(ruleSet.thresholds[tier.key]));
+  if (values.some(value => isNaN(value))) {
+    throw new Error(`判定ルール「${name}」の閾値が不正です`);
+  }
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] > values[i - 1]) {
+      throw new Error(`判定ルール「${name}」の閾値は ${JUDGMENT_TIERS.map(t => t.key).join(' ≧ ')} の順にしてください`);
+    }
+  }
+  if (isNaN(ruleSet.minSamples) || ruleSet.minSamples < 1) {
+    throw new Error(`判定ルール「${name}」の minSamples が不正です`);
+  }
+  
+  JUDGMENT_TIERS.forEach((tier, index) => {
+    ruleSet.thresholds[tier.key] = values[index];
+  });
+  
+  return ruleSet;
+}
+
+/**
+ * 組み込み + 設定ファイルの判定ルールセットを読み込む
+ * 設定ファイルの並び順がマッチングの優先順になる
+ * @param {string} [filePath] JSONファイル（{ "名前": { label, brands, categories, keywords, thresholds, minSamples } }）
+ */
+function loadJudgmentRules(filePath) {
+  let definitions = { ...BUILTIN_RULE_SETS };
+  
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      definitions = { ...definitions, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`判定ルールの読込に失敗しました (${filePath}): ${error.message}`);
+    }
+  }
+  
+  const rules = {};
+  Object.entries(definitions).forEach(([name, definition]) => {
+    rules[name] = normalizeRuleSet(name, definition);
+  });
+  
+  console.log(`⚖️ 判定ルール: ${Object.keys(rules).join(', ')}`);
+  return rules;
+}
+
+/**
+ * 商品名に合う判定ルールセットを選ぶ
+ * ブランド・カテゴリは extractKeywords と同じ一覧で判別し、"*" は任意のブランド/カテゴリに一致
+ * ブランドは表記ゆれを英字表記に揃えて比較する（"ルイヴィトン" は "LOUIS VUITTON" に一致）
+ * @param {string} productName 型番・商品名
+ * @param {Object} rules loadJudgmentRules の戻り値
+ * @param {Object} [override]
+ * @param {string} [override.ruleSet] ルールセット名の直接指定
+ * @param {Object} [override.thresholds] 閾値の上書き（recommend / consider / caution / minSamples）
+ * @returns {Object} ルールセット（matchedBy に選択理由）
+ */
+function selectRuleSet(productName, rules, override = {}) {
+  let selected = null;
+  let matchedBy = 'default';
+  
+  if (override.ruleSet) {
+    selected = rules[override.ruleSet];
+    if (!selected) {
+      throw new Error(`未登録の判定ルールです: ${override.ruleSet}（利用可能: ${Object.keys(rules).join(', ')}）`);
+    }
+    matchedBy = 'request';
+  } else {
+    const { brand, category } = detectBrandAndCategory(productName);
+    const lowerName = String(productName || '').toLowerCase();
+    const matches = (list, value) => !!value && list.some(item => item === '*' || item.toUpperCase() === value.toUpperCase());
+    
+    for (const ruleSet of Object.values(rules)) {
+      if (ruleSet.name === DEFAULT_RULE_SET_NAME) continue;
+      
+      if (matches(ruleSet.brands.map(canonicalBrand), canonicalBrand(brand))) {
+        selected = ruleSet;
+        matchedBy = `brand:${brand}`;
+      } else if (matches(ruleSet.categories, category)) {
+        selected = ruleSet;
+        matchedBy = `category:${category}`;
+      } else {
+        const keyword = ruleSet.keywords.find(k => lowerName.includes(k.toLowerCase()));
+        if (keyword) {
+          selected = ruleSet;
+          matchedBy = `keyword:${keyword}`;
+        }
+      }
+      
+      if (selected) break;
+    }
+    
+    selected = selected || rules[DEFAULT_RULE_SET_NAME];
+  }
+  
+  if (override.thresholds) {
+    const { minSamples, ...thresholds } = override.thresholds;
+    selected = normalizeRuleSet(selected.name, {
+      ...selected,
+      thresholds: { ...selected.thresholds, ...thresholds },
+      minSamples: minSamples !== undefined ? minSamples : selected.minSamples
+    });
+    matchedBy = `${matchedBy}+override`;
+  }
+  
+  return { ...selected, matchedBy };
+}
+
+/**
+ * ルールセットの閾値を適用した判定段階の一覧
+ */
+function getTiers(ruleSet) {
+  return JUDGMENT_TIERS.map(tier => ({
+    emoji: tier.emoji,
+    decision: tier.decision,
+    minProfitRate: ruleSet.thresholds[tier.key]
+  }));
+}
+
+/**
+ * レスポンス用のルールセット概要
+ */
+function describeRuleSet(ruleSet) {
+  return {
+    name: ruleSet.name,
+    label: ruleSet.label,
+    matchedBy: ruleSet.matchedBy || 'default',
+    thresholds: ruleSet.thresholds,
+    minSamples: ruleSet.minSamples
+  };
+}
+
+module.exports = {
+  JUDGMENT_TIERS,
+  DEFAULT_RULE_SET_NAME,
+  loadJudgmentRules,
+  selectRuleSet,
+  getTiers,
+  describeRuleSet
+};
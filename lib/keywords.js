@@ -0,0 +1,46 @@
+// 商品名から判別するブランド・カテゴリ
+const BRAND_KEYWORDS = ['LOUIS VUITTON', 'ルイヴィトン', 'CHANEL', 'シャネル', 'HERMES', 'エルメス', 'GUCCI', 'グッチ', 'PRADA', 'プラダ'];
+const CATEGORY_KEYWORDS = ['バッグ', 'bag', '財布', 'wallet', '時計', 'watch', 'iPhone', 'iPad'];
+
+// 同じブランドの表記ゆれ（英字表記をキーにする）
+const BRAND_ALIASES = {
+  'LOUIS VUITTON': ['LOUIS VUITTON', 'ルイヴィトン', 'ルイ・ヴィトン', 'ヴィトン'],
+  CHANEL: ['CHANEL', 'シャネル'],
+  HERMES: ['HERMES', 'エルメス'],
+  GUCCI: ['GUCCI', 'グッチ'],
+  PRADA: ['PRADA', 'プラダ']
+};
+
+/**
+ * 商品名に含まれるブランド・カテゴリを判別（大文字小文字は区別しない）
+ * @param {string} productName
+ * @returns {{brand: string|undefined, category: string|undefined}}
+ */
+function detectBrandAndCategory(productName) {
+  const upper = String(productName || '').toUpperCase();
+  
+  return {
+    brand: BRAND_KEYWORDS.find(brand => upper.includes(brand.toUpperCase())),
+    category: CATEGORY_KEYWORDS.find(category => upper.includes(category.toUpperCase()))
+  };
+}
+
+/**
+ * ブランド表記を英字表記に揃える（未登録ならそのまま返す）
+ */
+function canonicalBrand(brand) {
+  if (!brand) return brand;
+  const upper = brand.toUpperCase();
+  const found = Object.keys(BRAND_ALIASES).find(key =>
+    BRAND_ALIASES[key].some(alias => alias.toUpperCase() === upper)
+  );
+  return found || brand;
+}
+
+module.exports = {
+  BRAND_KEYWORDS,
+  BRAND_ALIASES,
+  CATEGORY_KEYWORDS,
+  detectBrandAndCategory,
+  canonicalBrand
+};
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeQuery } = require('./cache');
+
+/**
+ * 取得したページ（復号済みHTML・URL・レスポンスヘッダー）のスナップショット
+ *
+ * capture: ネットワークから取得したページを保存する
+ * replay: ネットワークに接続せず、保存済みのページから相場を算出する（判定の再現・オフラインでの調査用）
+ */
+const SNAPSHOT_MODES = ['off', 'capture', 'replay'];
+
+/**
+ * スナップショットの扱いを解決（省略時は SNAPSHOT_MODE、既定は off）
+ */
+function resolveSnapshotMode(value) {
+  const mode = value || process.env.SNAPSHOT_MODE || 'off';
+  if (!SNAPSHOT_MODES.includes(mode)) {
+    throw new Error(`未対応のスナップショットモードです: ${mode}（${SNAPSHOT_MODES.join(' / ')}）`);
+  }
+  return mode;
+}
+
+/**
+ * クエリからファイル名用のハッシュを作成（正規化したクエリが同じなら同じ値）
+ */
+function queryHash(query) {
+  return crypto.createHash('sha1').update(normalizeQuery(query)).digest('hex').slice(0, 10);
+}
+
+/**
+ * レスポンスヘッダーをプレーンなオブジェクトに変換（axios の AxiosHeaders にも対応）
+ */
+function toPlainHeaders(headers) {
+  if (!headers) return {};
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  return Object.fromEntries(Object.entries(plain).map(([name, value]) => [name.toLowerCase(), Array.isArray(value) ? value.join(', ') : String(value)]));
+}
+
+/**
+ * ディレクトリにページスナップショットを保存するストアを生成
+ * ファイル名は <ソース名>-<取得日時>-<クエリのハッシュ>.json（IDと同じ）
+ * @param {string} dir 保存先ディレクトリ
+ */
+function createPageSnapshotStore(dir) {
+  function filePath(id) {
+    if (!/^[\w.-]+$/.test(id)) {
+      throw new Error(`スナップショットIDが不正です: ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+  }
+  
+  function listIds() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length))
+      .sort();
+  }
+  
+  /**
+   * 取得したページを保存
+   * @param {string} sourceName
+   * @param {string} query
+   * @param {Object} page ソースの fetch の戻り値 { url, html, status, headers }
+   * @returns {Object|null} 保存したスナップショットの概要（失敗時は null）
+   */
+  function save(sourceName, query, page) {
+    const capturedAt = new Date().toISOString();
+    const id = `${sourceName}-${capturedAt.replace(/[-:]/g, '').replace('.', '')}-${queryHash(query)}`;
+    const snapshot = {
+      id,
+      source: sourceName,
+      query,
+      url: page.url || '',
+      capturedAt,
+      status: page.status || null,
+      headers: toPlainHeaders(page.headers),
+      html: page.html || ''
+    };
+    
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePath(id), JSON.stringify(snapshot, null, 2));
+    } catch (error) {
+      console.error('⚠️ ページスナップショットの保存に失敗:', error.message);
+      return null;
+    }
+    
+    console.log(`📸 ページスナップショット保存: ${id}`);
+    return describe(snapshot);
+  }
+  
+  /**
+   * IDを指定してスナップショットを読み込む（なければ null）
+   */
+  function load(id) {
+    const file = filePath(id);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  
+  /**
+   * ソースとクエリが一致する最新のスナップショット（なければ null）
+   */
+  function latest(sourceName, query) {
+    const suffix = `-${queryHash(query)}`;
+    const id = listIds()
+      .filter(name => name.startsWith(`${sourceName}-`) && name.endsWith(suffix))
+      .pop();
+    return id ? load(id) : null;
+  }
+  
+  /**
+   * 保存済みスナップショットの概要を新しい順に返す（HTMLは含めない）
+   * @param {Object} [filter]
+   * @param {string} [filter.source]
+   * @param {string} [filter.query]
+   * @param {number} [filter.limit]
+   */
+  function list(filter = {}) {
+    const suffix = filter.query ? `-${queryHash(filter.query)}` : '';
+    return listIds()
+      .filter(name => !filter.source || name.startsWith(`${filter.source}-`))
+      .filter(name => name.endsWith(suffix))
+      .reverse()
+      .slice(0, filter.limit || 50)
+      .map(id => describe(load(id)));
+  }
+  
+  function describe(snapshot) {
+    return {
+      id: snapshot.id,
+      source: snapshot.source,
+      query: snapshot.query,
+      url: snapshot.url,
+      capturedAt: snapshot.capturedAt,
+      status: snapshot.status,
+      htmlLength: snapshot.html.length
+    };
+  }
+  
+  return { dir, save, load, latest, list };
+}
+
+module.exports = {
+  SNAPSHOT_MODES,
+  resolveSnapshotMode,
+  toPlainHeaders,
+  createPageSnapshotStore
+};
@@ -0,0 +1,146 @@
+/**
+ * パーサーの抽出方式を集計し、サイトのレイアウト変更（セレクタのずれ）を検知する
+ *
+ * 直近の取得結果のうち、直接抽出以外（セレクタ・全文検索）のフォールバックに頼った割合や
+ * 0件抽出（検索結果なしページを除く）の割合が閾値を超えたらアラートを送る
+ */
+
+const DEFAULT_SETTINGS = {
+  windowSize: 50,
+  minSamples: 10,
+  fallbackRateThreshold: 0.3,
+  emptyRateThreshold: 0.5,
+  cooldownMs: 60 * 60 * 1000
+};
+
+// フォールバック扱いにしない結果（これ以外の selector・fulltext などはすべてフォールバックとして数える）
+// empty は0件抽出率として別に集計する
+const NON_FALLBACK_STRATEGIES = ['direct', 'no_results', 'empty'];
+
+/**
+ * 抽出方式の集計とアラート判定
+ * @param {Object} [options]
+ * @param {number} [options.windowSize] 割合を計算する直近の件数
+ * @param {number} [options.minSamples] アラート判定に必要な最低件数
+ * @param {number} [options.fallbackRateThreshold] フォールバック率の閾値（0〜1）
+ * @param {number} [options.emptyRateThreshold] 0件抽出率の閾値（0〜1）
+ * @param {number} [options.cooldownMs] 同じアラートを再送しない期間
+ * @param {Function} [options.notify] (alert) => Promise アラート送信
+ */
+function createParserHealth(options = {}) {
+  const settings = { ...DEFAULT_SETTINGS };
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (options[key] !== undefined && !isNaN(options[key])) {
+      settings[key] = Number(options[key]);
+    }
+  });
+  
+  const sources = new Map();
+  const lastAlertAt = new Map();
+  const recentAlerts = [];
+  
+  function getSource(name) {
+    if (!sources.has(name)) {
+      sources.set(name, { totals: {}, window: [] });
+    }
+    return sources.get(name);
+  }
+  
+  /**
+   * 直近の結果からフォールバック率・0件抽出率を計算（検索結果なしページは除外）
+   */
+  function calculateRates(window) {
+    const samples = window.filter(strategy => strategy !== 'no_results');
+    const count = samples.length;
+    
+    return {
+      samples: count,
+      fallbackRate: count > 0 ? samples.filter(s => !NON_FALLBACK_STRATEGIES.includes(s)).length / count : 0,
+      emptyRate: count > 0 ? samples.filter(s => s === 'empty').length / count : 0
+    };
+  }
+  
+  function checkAlerts(sourceName, rates) {
+    if (rates.samples < settings.minSamples) return [];
+    
+    const checks = [
+      { type: 'fallback_rate', rate: rates.fallbackRate, threshold: settings.fallbackRateThreshold, label: 'フォールバック率' },
+      { type: 'empty_rate', rate: rates.emptyRate, threshold: settings.emptyRateThreshold, label: '0件抽出率' }
+    ];
+    
+    const now = Date.now();
+    return checks
+      .filter(check => check.rate >= check.threshold)
+      .filter(check => {
+        const key = `${sourceName}|${check.type}`;
+        if (now - (lastAlertAt.get(key) || 0) < settings.cooldownMs) return false;
+        lastAlertAt.set(key, now);
+        return true;
+      })
+      .map(check => ({
+        type: check.type,
+        source: sourceName,
+        rate: Math.round(check.rate * 1000) / 1000,
+        threshold: check.threshold,
+        samples: rates.samples,
+        timestamp: new Date(now).toISOString(),
+        message: `⚠️ パーサー異常の可能性: ${sourceName} の${check.label}が${Math.round(check.rate * 100)}%（閾値${Math.round(check.threshold * 100)}%、直近${rates.samples}件）。サイトのレイアウト変更を確認してください`
+      }));
+  }
+  
+  /**
+   * 1回の取得で使われた抽出方式を記録し、閾値を超えたらアラートを送る
+   * @returns {Object[]} 送信したアラート
+   */
+  function record(sourceName, strategy) {
+    if (!strategy) return [];
+    
+    const entry = getSource(sourceName);
+    entry.totals[strategy] = (entry.totals[strategy] || 0) + 1;
+    entry.window.push(strategy);
+    if (entry.window.length > settings.windowSize) {
+      entry.window.shift();
+    }
+    
+    const alerts = checkAlerts(sourceName, calculateRates(entry.window));
+    alerts.forEach(alert => {
+      console.warn(alert.message);
+      recentAlerts.push(alert);
+      if (recentAlerts.length > 20) recentAlerts.shift();
+      
+      if (options.notify) {
+        Promise.resolve(options.notify(alert)).catch(error => {
+          console.error('❌ パーサーアラート送信エラー:', error.message);
+        });
+      }
+    });
+    
+    return alerts;
+  }
+  
+  /**
+   * 抽出方式ごとの累計件数と直近の割合
+   */
+  function stats() {
+    const result = {};
+    sources.forEach((entry, name) => {
+      result[name] = {
+        totals: { ...entry.totals },
+        recent: calculateRates(entry.window)
+      };
+    });
+    
+    return {
+      settings,
+      sources: result,
+      recentAlerts: recentAlerts.slice()
+    };
+  }
+  
+  return { record, stats };
+}
+
+module.exports = {
+  NON_FALLBACK_STRATEGIES,
+  createParserHealth
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const { DEFAULT_STATISTIC, describePrices, pickStatistic } = require('./stats');
+
+// 組み込みの販売プラットフォーム設定（販売手数料と配送サイズ別の送料）
+const BUILTIN_CONFIG = {
+  defaultShippingSize: '60',
+  minSamples: 3,
+  platforms: {
+    'メルカリ': {
+      feeRate: 0.10,
+      fixedFee: 0,
+      shipping: { nekopos: 210, compact: 520, '60': 750, '80': 850, '100': 1050, '120': 1200, '140': 1450, '160': 1700 }
+    },
+    'ヤフオク': {
+      feeRate: 0.10,
+      fixedFee: 0,
+      shipping: { nekopos: 200, compact: 520, '60': 750, '80': 850, '100': 1050, '120': 1200, '140': 1450, '160': 1700 }
+    }
+  }
+};
+
+/**
+ * 販売プラットフォーム設定を読み込む（ファイルの内容で組み込み設定を上書き）
+ * @param {string} [filePath] JSONファイル
+ */
+function loadSellPlatforms(filePath) {
+  let config = BUILTIN_CONFIG;
+  
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      config = {
+        ...BUILTIN_CONFIG,
+        ...saved,
+        platforms: { ...BUILTIN_CONFIG.platforms, ...(saved.platforms || {}) }
+      };
+    } catch (error) {
+      throw new Error(`販売プラットフォーム設定の読込に失敗しました (${filePath}): ${error.message}`);
+    }
+  }
+  
+  Object.entries(config.platforms).forEach(([name, platform]) => {
+    if (isNaN(Number(platform.feeRate)) || !platform.shipping) {
+      throw new Error(`販売プラットフォーム「${name}」の設定が不正です`);
+    }
+  });
+  
+  console.log(`🏪 販売プラットフォーム: ${Object.keys(config.platforms).join(', ')}`);
+  return config;
+}
+
+/**
+ * 全プラットフォームで指定できる配送サイズの一覧
+ */
+function listShippingSizes(config) {
+  const platforms = Object.values(config.platforms);
+  return Object.keys(platforms[0].shipping).filter(size =>
+    platforms.every(platform => platform.shipping[size] !== undefined)
+  );
+}
+
+/**
+ * 配送サイズが全プラットフォームで定義されているか
+ */
+function isKnownShippingSize(config, size) {
+  return listShippingSizes(config).includes(String(size));
+}
+
+/**
+ * 配送サイズを検証（省略時は defaultShippingSize）
+ * 未定義のサイズを送料0円として扱うと手取りを過大に見積もるため、エラーにする
+ * @returns {string}
+ */
+function resolveShippingSize(config, size) {
+  const shippingSize = String(size || config.defaultShippingSize);
+  if (!isKnownShippingSize(config, shippingSize)) {
+    throw new Error(`未対応の配送サイズです: ${shippingSize}（指定可能: ${listShippingSizes(config).join(', ')}）`);
+  }
+  return shippingSize;
+}
+
+/**
+ * プラットフォーム別の手取り見込みを計算し、最も手取りの多い販路を選ぶ
+ * @param {Object[]} results 相場データ（platform フィールドで分類）
+ * @param {number} totalCost 仕入れ総原価
+ * @param {Object} config loadSellPlatforms の戻り値
+ * @param {Object} [options]
+ * @param {string} [options.shippingSize] 配送サイズ（省略時は defaultShippingSize）
+ * @param {string} [options.statistic] 販売価格に使う統計値（mean / median / p25 / p75）
+ */
+function calculateNetProceeds(results, totalCost, config, options = {}) {
+  const shippingSize = resolveShippingSize(config, options.shippingSize);
+  const statistic = options.statistic || DEFAULT_STATISTIC;
+  
+  const channels = Object.entries(config.platforms).map(([name, platform]) => {
+    const prices = results.filter(r => r.platform === name).map(r => r.price);
+    if (prices.length === 0) return null;
+    
+    const stats = describePrices(prices);
+    const marketPrice = pickStatistic(stats, statistic);
+    const sellingFee = Math.round(marketPrice * platform.feeRate) + (platform.fixedFee || 0);
+    const shipping = platform.shipping[shippingSize];
+    const netPayout = marketPrice - sellingFee - shipping;
+    const profit = netPayout - totalCost;
+    
+    return {
+      platform: name,
+      count: prices.length,
+      avgPrice: stats.avgPrice,
+      medianPrice: stats.medianPrice,
+      marketPrice,
+      feeRate: platform.feeRate,
+      sellingFee,
+      shipping,
+      netPayout,
+      profit,
+      profitRate: totalCost > 0 ? Math.round((profit / totalCost) * 100) : 0
+    };
+  }).filter(Boolean);
+  
+  // 件数が十分な販路を優先し、なければ件数が最も多い販路を採用
+  const reliable = channels.filter(channel => channel.count >= config.minSamples);
+  let best = null;
+  if (reliable.length > 0) {
+    best = reliable.reduce((a, b) => (b.netPayout > a.netPayout ? b : a));
+  } else if (channels.length > 0) {
+    best = channels.reduce((a, b) => (b.count > a.count ? b : a));
+  }
+  
+  return {
+    shippingSize,
+    statistic,
+    channels: channels.sort((a, b) => b.netPayout - a.netPayout),
+    best
+  };
+}
+
+module.exports = {
+  loadSellPlatforms,
+  listShippingSizes,
+  isKnownShippingSize,
+  resolveShippingSize,
+  calculateNetProceeds
+};
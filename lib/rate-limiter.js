@@ -0,0 +1,154 @@
+/**
+ * 外部サイトへのリクエストの流量制限（プロセス全体で共有するトークンバケット＋待ち行列）
+ *
+ * トークンは毎秒 ratePerSecond 個ずつ（最大 burst 個まで）たまり、1リクエストにつき1個使う
+ * トークンがない・同時実行数が上限のときは到着順（FIFO）に待たせる
+ */
+
+const DEFAULT_LIMITS = {
+  ratePerSecond: 1,
+  burst: 1,
+  maxConcurrency: 2
+};
+
+// 所要時間の実績がないときの見込み（ミリ秒）
+const DEFAULT_EXPECTED_DURATION_MS = 3000;
+
+/**
+ * 流量制限を生成
+ * @param {Object} [options]
+ * @param {number} [options.ratePerSecond] 1秒あたりのリクエスト数
+ * @param {number} [options.burst] 連続して送れるリクエスト数（トークンの上限）
+ * @param {number} [options.maxConcurrency] 同時実行数の上限
+ * @param {number} [options.expectedDurationMs] 待ち時間の見積もりに使う所要時間の初期値
+ * @param {Function} [options.now] 現在時刻（テスト用）
+ */
+function createRateLimiter(options = {}) {
+  const settings = { ...DEFAULT_LIMITS };
+  Object.keys(DEFAULT_LIMITS).forEach(key => {
+    if (options[key] !== undefined && Number(options[key]) > 0) {
+      settings[key] = Number(options[key]);
+    }
+  });
+  settings.burst = Math.max(1, settings.burst);
+  settings.maxConcurrency = Math.max(1, Math.floor(settings.maxConcurrency));
+  const now = options.now || Date.now;
+  
+  const queue = [];
+  let tokens = settings.burst;
+  let lastRefill = now();
+  let running = 0;
+  let timer = null;
+  let averageDurationMs = Number(options.expectedDurationMs) > 0 ? Number(options.expectedDurationMs) : DEFAULT_EXPECTED_DURATION_MS;
+  const totals = { scheduled: 0, completed: 0, failed: 0 };
+  let maxWaitedMs = 0;
+  
+  function refill() {
+    const current = now();
+    tokens = Math.min(settings.burst, tokens + (current - lastRefill) / 1000 * settings.ratePerSecond);
+    lastRefill = current;
+  }
+  
+  /**
+   * 待ち行列の k 番目（0始まり）のリクエストが開始するまでの見込み時間
+   */
+  function estimateWaitMs(position) {
+    refill();
+    const deficit = position + 1 - tokens;
+    const tokenWait = deficit > 0 ? deficit / settings.ratePerSecond * 1000 : 0;
+    
+    const free = settings.maxConcurrency - running;
+    const rounds = position < free ? 0 : Math.floor((position - free) / settings.maxConcurrency) + 1;
+    
+    return Math.round(Math.max(tokenWait, rounds * averageDurationMs));
+  }
+  
+  function start(job) {
+    tokens -= 1;
+    running++;
+    const startedAt = now();
+    const waitedMs = startedAt - job.enqueuedAt;
+    maxWaitedMs = Math.max(maxWaitedMs, waitedMs);
+    
+    Promise.resolve()
+      .then(() => job.task({ ahead: job.ahead, waitedMs }))
+      .then(value => {
+        totals.completed++;
+        job.resolve(value);
+      }, error => {
+        totals.failed++;
+        job.reject(error);
+      })
+      .finally(() => {
+        running--;
+        averageDurationMs = averageDurationMs * 0.7 + (now() - startedAt) * 0.3;
+        drain();
+      });
+  }
+  
+  function drain() {
+    refill();
+    while (queue.length > 0 && running < settings.maxConcurrency && tokens >= 1) {
+      start(queue.shift());
+    }
+    
+    // 同時実行数に空きがあり、トークン待ちのときはたまる時刻に再開（空き待ちは完了時に再開）
+    if (queue.length > 0 && running < settings.maxConcurrency && !timer) {
+      const delay = Math.ceil((1 - tokens) / settings.ratePerSecond * 1000);
+      timer = setTimeout(() => {
+        timer = null;
+        drain();
+      }, delay);
+    }
+  }
+  
+  /**
+   * 流量制限を通して実行（順番が来るまで待つ）
+   * @param {Function} task ({ ahead, waitedMs }) => Promise（ahead は登録時に前にいた件数、waitedMs は実際に待った時間）
+   * @param {Object} [options]
+   * @param {Function} [options.onQueued] ({ ahead, waitMs }) => void 登録時の順番と待ち時間の見込みを受け取る
+   * @returns {Promise} task の戻り値
+   */
+  function schedule(task, options = {}) {
+    totals.scheduled++;
+    return new Promise((resolve, reject) => {
+      const ahead = queue.length;
+      if (options.onQueued) {
+        options.onQueued({ ahead, waitMs: estimateWaitMs(ahead) });
+      }
+      queue.push({ task, resolve, reject, ahead, enqueuedAt: now() });
+      drain();
+    });
+  }
+  
+  /**
+   * 今リクエストを登録した場合の順番と待ち時間の見込み
+   * @returns {{ahead: number, waitMs: number}} ahead は前にいる件数
+   */
+  function estimate() {
+    return { ahead: queue.length, waitMs: estimateWaitMs(queue.length) };
+  }
+  
+  function stats() {
+    refill();
+    return {
+      ratePerSecond: settings.ratePerSecond,
+      burst: settings.burst,
+      maxConcurrency: settings.maxConcurrency,
+      running,
+      queued: queue.length,
+      availableTokens: Math.round(tokens * 100) / 100,
+      estimatedWaitMs: estimateWaitMs(queue.length),
+      averageDurationMs: Math.round(averageDurationMs),
+      maxWaitedMs,
+      totals: { ...totals }
+    };
+  }
+  
+  return { schedule, estimate, stats };
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  createRateLimiter
+};
@@ -0,0 +1,187 @@
+const { BRAND_ALIASES, detectBrandAndCategory, canonicalBrand } = require('./keywords');
+
+/**
+ * 検索クエリに対する商品名の関連度スコア
+ *
+ * 型番・数字を含む語とブランドを重視して一致率を0〜100で算出し、
+ * クエリにない付属品・部品の語（ケース、フィルム、箱のみ など）を含む商品は減点する
+ */
+
+const DEFAULT_RELEVANCE_THRESHOLD = 50;
+
+// 本体ではない付属品・部品を示す語（直後に「付」が続く場合は本体の付属品として扱わない）
+const ACCESSORY_KEYWORDS = [
+  'ケース', 'カバー', 'フィルム', '保護ガラス', 'ガラスフィルム', 'スキンシール',
+  '箱のみ', '空箱', '外箱のみ', '化粧箱', '説明書のみ',
+  'ジャンク部品', '部品取り', '部品', 'パーツ', '交換用', '互換',
+  '充電器', 'ケーブル', 'アダプタ', 'ストラップ', 'モックアップ', 'ダミー'
+];
+
+// 重み（型番・数字を含む語は一般語の3倍、ブランドは2倍）
+const MODEL_TOKEN_WEIGHT = 3;
+const WORD_TOKEN_WEIGHT = 1;
+const BRAND_WEIGHT = 2;
+const ACCESSORY_PENALTY = 60;
+
+/**
+ * 比較用に正規化（全角半角・大文字小文字を揃える）
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFKC').toLowerCase();
+}
+
+/**
+ * クエリを照合用の語に分ける（ブランド表記は別に判定するため除く）
+ * @returns {{brand: string|undefined, tokens: {text: string, model: boolean}[]}}
+ */
+function tokenizeQuery(query) {
+  const { brand: detected } = detectBrandAndCategory(query);
+  const brand = canonicalBrand(detected);
+  let text = normalizeText(query);
+  
+  if (brand && BRAND_ALIASES[brand]) {
+    BRAND_ALIASES[brand].forEach(alias => {
+      text = text.split(normalizeText(alias)).join(' ');
+    });
+  }
+  
+  const tokens = [...new Set(text.split(/[\s\-_\+\/・,、]+/).filter(Boolean))]
+    .map(token => ({ text: token, model: /\d/.test(token) }));
+  
+  return { brand, tokens };
+}
+
+/**
+ * 正規化済みの商品名に語が含まれるか
+ * 空白の有無は無視し、数字だけの語は前後が数字でない場合のみ一致（「13」が「128GB」に一致しないように）
+ */
+function containsToken(normalizedTitle, token) {
+  if (/^\d+$/.test(token)) {
+    return new RegExp(`(^|\\D)${token}(\\D|$)`).test(normalizedTitle);
+  }
+  return normalizedTitle.replace(/\s+/g, '').includes(token);
+}
+
+/**
+ * 商品名に含まれる付属品・部品の語（クエリに含まれる語は除く）
+ */
+function findAccessoryWords(title, query) {
+  const normalizedTitle = normalizeText(title);
+  const normalizedQuery = normalizeText(query);
+  
+  const found = ACCESSORY_KEYWORDS.filter(keyword => {
+    const word = normalizeText(keyword);
+    if (normalizedQuery.includes(word)) return false;
+    
+    let index = normalizedTitle.indexOf(word);
+    while (index !== -1) {
+      if (normalizedTitle[index + word.length] !== '付') return true;
+      index = normalizedTitle.indexOf(word, index + 1);
+    }
+    return false;
+  });
+  
+  // 「ジャンク部品」と「部品」のように重なる語は長い方だけ残す
+  return found.filter(word => !found.some(other => other !== word && other.includes(word)));
+}
+
+/**
+ * 商品名のクエリに対する関連度
+ * @param {string} title
+ * @param {string} query
+ * @returns {{score: number, matched: string[], missing: string[], accessories: string[]}}
+ */
+function scoreRelevance(title, query) {
+  const { brand, tokens } = tokenizeQuery(query);
+  const normalizedTitle = normalizeText(title);
+  const matched = [];
+  const missing = [];
+  let totalWeight = 0;
+  let matchedWeight = 0;
+  
+  if (brand && BRAND_ALIASES[brand]) {
+    totalWeight += BRAND_WEIGHT;
+    const hasBrand = BRAND_ALIASES[brand].some(alias => containsToken(normalizedTitle, normalizeText(alias).replace(/\s+/g, '')));
+    if (hasBrand) {
+      matchedWeight += BRAND_WEIGHT;
+      matched.push(brand);
+    } else {
+      missing.push(brand);
+    }
+  }
+  
+  tokens.forEach(token => {
+    const weight = token.model ? MODEL_TOKEN_WEIGHT : WORD_TOKEN_WEIGHT;
+    totalWeight += weight;
+    if (containsToken(normalizedTitle, token.text)) {
+      matchedWeight += weight;
+      matched.push(token.text);
+    } else {
+      missing.push(token.text);
+    }
+  });
+  
+  const accessories = findAccessoryWords(title, query);
+  let score = totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : 100;
+  if (accessories.length > 0) {
+    score = Math.max(0, score - ACCESSORY_PENALTY);
+  }
+  
+  return { score, matched, missing, accessories };
+}
+
+/**
+ * 関連度の閾値を検証（0〜100、省略時は RELEVANCE_THRESHOLD 環境変数、既定は50）
+ */
+function resolveRelevanceThreshold(value) {
+  const raw = value !== undefined && value !== null && value !== '' ? value : process.env.RELEVANCE_THRESHOLD;
+  if (raw === undefined || raw === '') return DEFAULT_RELEVANCE_THRESHOLD;
+  
+  const threshold = Number(raw);
+  if (isNaN(threshold) || threshold < 0 || threshold > 100) {
+    throw new Error(`関連度の閾値は0〜100で指定してください: ${raw}`);
+  }
+  return threshold;
+}
+
+/**
+ * 各商品に関連度を付け、閾値未満の商品を除外する
+ * @param {Object[]} results
+ * @param {string} query
+ * @param {number} threshold
+ * @returns {{results: Object[], excluded: Object[]}} 除外した商品には除外理由も付ける
+ */
+function filterByRelevance(results, query, threshold) {
+  const kept = [];
+  const excluded = [];
+  
+  results.forEach(item => {
+    const relevance = scoreRelevance(item.title, query);
+    if (relevance.score >= threshold) {
+      kept.push({ ...item, relevance: relevance.score });
+      return;
+    }
+    
+    const reasons = [];
+    if (relevance.missing.length > 0) reasons.push(`不一致: ${relevance.missing.join(', ')}`);
+    if (relevance.accessories.length > 0) reasons.push(`付属品・部品: ${relevance.accessories.join(', ')}`);
+    excluded.push({ ...item, relevance: relevance.score, reasons });
+  });
+  
+  if (excluded.length > 0) {
+    console.log(`🎯 関連度フィルタ: ${results.length}件 → ${kept.length}件（閾値${threshold}）`);
+    excluded.forEach(item => {
+      console.log(`🚫 関連度不足: ${item.title} (${item.relevance}) - ${item.reasons.join(' / ')}`);
+    });
+  }
+  
+  return { results: kept, excluded };
+}
+
+module.exports = {
+  DEFAULT_RELEVANCE_THRESHOLD,
+  ACCESSORY_KEYWORDS,
+  scoreRelevance,
+  resolveRelevanceThreshold,
+  filterByRelevance
+};
@@ -0,0 +1,663 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const iconv = require('iconv-lite');
+const { classifyCondition } = require('../condition');
+const { fetchWithRetry, createCircuitBreaker } = require('../upstream');
+
+const DEFAULT_BASE_URL = 'https://aucfan.com';
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// HTTPクライアントの設定（リダイレクト対応、リクエストヘッダーはここで一括指定）
+const httpClient = axios.create({
+  timeout: DEFAULT_TIMEOUT_MS,
+  maxRedirects: 3,
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'ja,en-US;q=0.5,en;q=0.3',
+    'Accept-Encoding': 'gzip, deflate',
+    'DNT': '1',
+    'Connection': 'keep-alive',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache'
+  }
+});
+
+/**
+ * 価格文字列から数値を抽出
+ */
+function extractPrice(priceText) {
+  if (!priceText) return 0;
+  
+  const numStr = priceText.replace(/[^\d]/g, '');
+  const price = parseInt(numStr);
+  return isNaN(price) ? 0 : price;
+}
+
+// 落札済み・出品中を判別するキーワード（出品中を先に判定する）
+const LISTING_KEYWORDS = ['出品中', '販売中', '入札受付中', '開催中', '終了予定', '残り時間'];
+const SOLD_KEYWORDS = ['落札', '売り切れ', '売切', 'SOLD', '取引終了', '販売終了', '終了日'];
+
+/**
+ * テキストから終了日・落札日を抽出（年付きは YYYY-MM-DD に揃える）
+ */
+function extractDate(text) {
+  if (!text) return '';
+  
+  const full = text.match(/(20\d{2})\s*[年\/\-.]\s*(\d{1,2})\s*[月\/\-.]\s*(\d{1,2})/);
+  if (full) {
+    return `${full[1]}-${full[2].padStart(2, '0')}-${full[3].padStart(2, '0')}`;
+  }
+  
+  const short = text.match(/(\d{1,2})月(\d{1,2})日/);
+  return short ? short[0] : '';
+}
+
+/**
+ * テキストから落札済み(sold) / 出品中(listing) を判別（判別できなければ unknown）
+ */
+function detectSaleStatus(text) {
+  const upper = String(text || '').toUpperCase();
+  
+  if (LISTING_KEYWORDS.some(keyword => upper.includes(keyword))) return 'listing';
+  if (SOLD_KEYWORDS.some(keyword => upper.includes(keyword))) return 'sold';
+  return 'unknown';
+}
+
+/**
+ * 相対URLを検索結果ページ基準の絶対URLに変換
+ */
+function resolveURL(href, pageURL) {
+  const value = String(href || '').trim();
+  if (!value || /^(javascript:|mailto:|data:|#)/i.test(value)) return '';
+  
+  try {
+    return new URL(value, pageURL || DEFAULT_BASE_URL).href;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 商品要素から詳細URL・サムネイル・終了日・落札状況・商品状態を抽出
+ * リンクは要素内か要素を囲む a タグ、画像は要素内のものだけを採用（隣の商品の画像を拾わないように）
+ */
+function extractItemDetails($, $el, pageURL) {
+  const $innerLink = $el.is('a[href]') ? $el : $el.find('a[href]').first();
+  const $link = $innerLink.length ? $innerLink : $el.closest('a[href]');
+  const $img = $el.find('img').first();
+  
+  const text = $el.text();
+  const datetime = $el.find('time[datetime]').first().attr('datetime');
+  
+  return {
+    url: resolveURL($link.attr('href'), pageURL),
+    imageURL: resolveURL($img.attr('data-src') || $img.attr('data-original') || $img.attr('src'), pageURL),
+    date: extractDate(datetime) || extractDate(text),
+    status: detectSaleStatus(text),
+    condition: classifyCondition(text)
+  };
+}
+
+/**
+ * 文字エンコーディングを適切に処理（日本語強化版）
+ */
+function decodeResponse(buffer) {
+  try {
+    const utf8Text = buffer.toString('utf8');
+    if (!utf8Text.includes('�')) {
+      return utf8Text;
+    }
+  } catch (e) {
+    // エラーの場合は続行
+  }
+  
+  try {
+    const sjisText = iconv.decode(buffer, 'shift_jis');
+    if (!sjisText.includes('�')) {
+      return sjisText;
+    }
+    
+    const eucText = iconv.decode(buffer, 'euc-jp');
+    if (!eucText.includes('�')) {
+      return eucText;
+    }
+    
+    return sjisText;
+  } catch (e) {
+    return buffer.toString('utf8');
+  }
+}
+
+// 抽出方式（後ろほど精度の低いフォールバック）
+const EXTRACTION_STRATEGIES = ['direct', 'selector', 'fulltext'];
+
+// 1ページから取り出す最大件数
+const MAX_ITEMS = 100;
+
+// 商品コンテナ判定用のテキストフラグ
+const FLAG_YEN = 1;
+const FLAG_MERCARI = 2;
+const FLAG_YAHOO = 4;
+const PLATFORM_FLAGS = FLAG_MERCARI | FLAG_YAHOO;
+
+// 商品コンテナを広げるときに越えない要素
+const CONTAINER_STOP_TAGS = new Set(['html', 'body']);
+
+// 補完抽出で試すセレクタ（直接抽出で0件のときのみ）
+const FALLBACK_SELECTORS = [
+  'table tr',
+  '.product-item',
+  '.search-result',
+  '.result-item',
+  'div[class*="item"]',
+  'li[class*="product"]'
+];
+
+/**
+ * デバッグモードか（options.debug、未指定なら PARSER_DEBUG=1）
+ */
+function isDebugMode(options) {
+  return options.debug !== undefined ? !!options.debug : process.env.PARSER_DEBUG === '1';
+}
+
+/**
+ * テキストに含まれる価格・プラットフォーム表記のフラグ
+ */
+function textFlags(text) {
+  let flags = 0;
+  if (text.includes('円')) flags |= FLAG_YEN;
+  if (text.includes('メルカリ')) flags |= FLAG_MERCARI;
+  if (text.includes('ヤフオク') || text.includes('Yahoo')) flags |= FLAG_YAHOO;
+  return flags;
+}
+
+/**
+ * テキスト中の「〜円」から相場として妥当な最初の価格を取り出す（なければ0）
+ */
+function findPrice(text) {
+  const priceMatches = text.match(/(\d{1,3}(?:,\d{3})*|\d+)円/g);
+  if (!priceMatches) return 0;
+  
+  for (const match of priceMatches) {
+    const price = extractPrice(match);
+    if (price > 300 && price < 10000000) {
+      return price;
+    }
+  }
+  return 0;
+}
+
+/**
+ * 商品名として使えるテキストか（価格・日付・プラットフォーム名だけの断片や広告文を除く）
+ */
+function isTitleCandidate(part) {
+  return part.length > 10 && part.length < 200 &&
+    !part.match(/^\d+[円,]/) &&
+    !part.match(/^\d{4}[-\/]/) &&
+    !part.match(/^(メルカリ|ヤフオク|Yahoo)$/) &&
+    !part.includes('初月無料') &&
+    !part.includes('プレミアム');
+}
+
+/**
+ * 要素から商品名を取り出す（リンクテキストを優先し、なければテキストの断片から探す）
+ */
+function pickTitle($el, text) {
+  const linkText = $el.is('a') ? $el.text().trim() : $el.find('a').first().text().trim();
+  if (linkText && linkText.length > 10 && linkText.length < 200) {
+    return linkText;
+  }
+  
+  const parts = text.trim().split(/[\n\r]+|\s{2,}/).map(part => part.trim());
+  return parts.find(isTitleCandidate) || '';
+}
+
+/**
+ * DOMを1回だけ走査し、価格とプラットフォーム表記を含む商品コンテナを集める
+ * 両方を含む最小の要素を起点に、商品を1件だけ含む範囲まで親要素へ広げる
+ * （祖先要素が同じ商品を重複して拾わないように、複数商品を含む要素は対象外）
+ */
+function findItemContainers(root) {
+  const stats = new Map();
+  const minimal = [];
+  
+  function visit(node) {
+    let flags = 0;
+    let candidates = 0;
+    
+    for (const child of node.children || []) {
+      if (child.type === 'text') {
+        flags |= textFlags(child.data);
+      } else if (child.type === 'tag') {
+        const childStats = visit(child);
+        flags |= childStats.flags;
+        candidates += childStats.candidates;
+      }
+    }
+    
+    if (candidates === 0 && (flags & FLAG_YEN) && (flags & PLATFORM_FLAGS)) {
+      candidates = 1;
+      minimal.push(node);
+    }
+    
+    const nodeStats = { flags, candidates };
+    stats.set(node, nodeStats);
+    return nodeStats;
+  }
+  
+  visit(root);
+  
+  return minimal.map(node => {
+    let container = node;
+    while (container.parent && container.parent.type === 'tag' &&
+           !CONTAINER_STOP_TAGS.has(container.parent.name) &&
+           stats.get(container.parent).candidates === 1) {
+      container = container.parent;
+    }
+    return container;
+  });
+}
+
+/**
+ * 商品コンテナから商品データを取り出す（メルカリShops・Yahoo!ショッピングは除外）
+ */
+function extractFromContainer($, $el, pageURL) {
+  const text = $el.text();
+  
+  if (text.includes('メルカリShops') || text.includes('メルカリshops')) return null;
+  
+  let platform;
+  if (text.includes('メルカリ')) {
+    platform = 'メルカリ';
+  } else if (text.includes('ショッピング') || text.includes('shopping')) {
+    return null;
+  } else {
+    platform = 'ヤフオク';
+  }
+  
+  const price = findPrice(text);
+  if (price === 0) return null;
+  
+  const title = pickTitle($el, text);
+  if (!title) return null;
+  
+  return {
+    title: title.substring(0, 100),
+    price,
+    ...extractItemDetails($, $el, pageURL),
+    platform
+  };
+}
+
+/**
+ * セレクタベースの補完抽出（プラットフォーム表記のない表・リスト形式向け）
+ */
+function extractBySelectors($, pageURL, results) {
+  for (const selector of FALLBACK_SELECTORS) {
+    const elements = $(selector);
+    if (elements.length === 0) continue;
+    
+    console.log(`🔍 補完セレクタ: ${selector} (${elements.length}要素)`);
+    
+    elements.each((index, element) => {
+      if (results.length >= MAX_ITEMS) return false;
+      
+      const $item = $(element);
+      const itemText = $item.text();
+      
+      // メルカリShopsのみ除外、価格必須
+      if (itemText.includes('メルカリShops') || itemText.includes('メルカリshops') || !itemText.includes('円')) {
+        return true;
+      }
+      
+      // 表の行はセル単位で商品名を探す
+      let title = '';
+      if (element.tagName.toLowerCase() === 'tr') {
+        $item.find('td').each((cellIndex, cell) => {
+          const $cell = $(cell);
+          const cellText = $cell.text().trim();
+          const cellLink = $cell.find('a').text().trim();
+          
+          if (cellLink && cellLink.length > 10 && cellLink.length < 200) {
+            title = cellLink;
+            return false;
+          } else if (cellText && cellText.length > 10 && cellText.length < 200 &&
+                     !cellText.match(/^\d+[円,]/) &&
+                     !cellText.match(/^\d{4}[-\/]/) &&
+                     !cellText.match(/^(メルカリ|ヤフオク|Yahoo)$/)) {
+            title = cellText;
+            return false;
+          }
+        });
+      }
+      
+      if (!title) {
+        const titleCandidates = [
+          $item.find('a').first().text().trim(),
+          $item.find('.title, .product-title, .item-title').text().trim(),
+          $item.find('h3, h4, h5').text().trim(),
+          itemText.trim()
+        ];
+        title = titleCandidates.find(candidate => candidate && candidate.length > 10 && candidate.length < 200) || '';
+      }
+      
+      const price = findPrice(itemText);
+      
+      let platform = 'その他';
+      if (itemText.includes('メルカリ')) {
+        platform = 'メルカリ';
+      } else if (itemText.includes('ヤフオク') || itemText.includes('Yahoo')) {
+        platform = 'ヤフオク';
+      }
+      
+      if (title && title.length > 5 && price > 300) {
+        results.push({
+          title: title.substring(0, 100),
+          price,
+          ...extractItemDetails($, $item, pageURL),
+          platform
+        });
+      }
+    });
+    
+    if (results.length > 10) {
+      console.log(`✅ 補完セレクタ「${selector}」で追加取得、合計${results.length}件`);
+      break;
+    }
+  }
+}
+
+/**
+ * HTMLを行単位で走査する最終フォールバック（DOM構造に依存しない）
+ */
+function extractByLines(html, pageURL, results) {
+  const relevantLines = html.split('\n').filter(line =>
+    line.includes('円') &&
+    (line.includes('メルカリ') || line.includes('ヤフオク') || line.includes('Yahoo')) &&
+    !line.includes('メルカリShops')
+  );
+  
+  console.log(`📄 関連する行数: ${relevantLines.length}`);
+  
+  for (let i = 0; i < Math.min(relevantLines.length, 50) && results.length < 50; i++) {
+    const line = relevantLines[i];
+    
+    const price = findPrice(line);
+    if (price === 0) continue;
+    
+    // タイトル抽出（HTMLタグを除去して区切り文字で分割）
+    const cleanLine = line.replace(/<[^>]*>/g, '').trim();
+    const parts = cleanLine.split(/[|｜\t]+/).map(part => part.trim());
+    
+    let title = parts.find(isTitleCandidate) || '';
+    if (!title && cleanLine.length > 20 && cleanLine.length < 300) {
+      title = cleanLine.substring(0, 100);
+    }
+    
+    if (title) {
+      const platform = line.includes('メルカリ') ? 'メルカリ' : 'ヤフオク';
+      const hrefMatch = line.match(/<a[^>]+href=["']([^"']+)["']/i);
+      const imgMatch = line.match(/<img[^>]+(?:data-src|src)=["']([^"']+)["']/i);
+      
+      results.push({
+        title: title.substring(0, 100),
+        price,
+        date: extractDate(cleanLine),
+        url: resolveURL(hrefMatch && hrefMatch[1], pageURL),
+        imageURL: resolveURL(imgMatch && imgMatch[1], pageURL),
+        status: detectSaleStatus(cleanLine),
+        condition: classifyCondition(cleanLine),
+        platform
+      });
+    }
+  }
+}
+
+/**
+ * ページ構造の診断出力（デバッグモードのみ。セレクタ調整時の手掛かり用）
+ */
+function logDiagnostics($, html, results) {
+  console.log('🔍 HTML構造詳細分析:');
+  
+  $('table').each((index, table) => {
+    const rows = $(table).find('tr');
+    console.log(`📊 テーブル${index + 1}: ${rows.length}行`);
+    rows.slice(0, 3).each((rowIndex, row) => {
+      const $row = $(row);
+      console.log(`  行${rowIndex + 1}: ${$row.find('td, th').length}セル - "${$row.text().trim().substring(0, 100)}..."`);
+    });
+  });
+  
+  const classNames = new Set();
+  $('*[class]').each((index, element) => {
+    ($(element).attr('class') || '').split(' ').forEach(cls => {
+      if (cls.length > 0) classNames.add(cls);
+    });
+  });
+  const relevantClasses = Array.from(classNames).filter(cls => /product|item|result|list|auction|search/.test(cls));
+  console.log('🎯 関連するクラス名:', relevantClasses.slice(0, 20));
+  console.log(`🔗 リンク数: ${$('a').length}`);
+  
+  if (results.length === 0) {
+    console.log('📄 HTMLサンプル（最初の2000文字）:');
+    console.log(html.substring(0, 2000));
+    
+    const relevantLines = html.split('\n').filter(line =>
+      line.includes('メルカリ') || line.includes('ヤフオク') || line.includes('Yahoo')
+    ).slice(0, 10);
+    
+    console.log('🔍 関連する行（最大10行）:');
+    relevantLines.forEach((line, index) => {
+      console.log(`${index + 1}: ${line.trim().substring(0, 150)}...`);
+    });
+  }
+}
+
+/**
+ * オークファンの検索結果HTMLから商品データを抽出（メルカリ・ヤフオク限定）
+ * 抽出方式ごとの取得件数と、最終的に採用した方式も返す
+ *   strategy: 'direct' | 'selector' | 'fulltext'（フォールバックで1件でも補った場合はその方式）
+ *             'no_results'（検索結果なしページ） | 'empty'（抽出0件）
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {string} [options.pageURL] 検索結果ページのURL（相対リンクの解決に使用）
+ * @param {boolean} [options.debug] ページ構造の診断を出力（省略時は PARSER_DEBUG=1 で有効）
+ * @returns {{items: Object[], strategy: string, counts: Object}}
+ */
+function parseAucfanPage(html, options = {}) {
+  const pageURL = options.pageURL || DEFAULT_BASE_URL;
+  const debug = isDebugMode(options);
+  const counts = { direct: 0, selector: 0, fulltext: 0 };
+  console.log(`📄 HTML長: ${html.length}文字`);
+  
+  if (html.includes('検索結果が見つかりません') || html.includes('該当する商品が見つかりません')) {
+    console.log('❌ 検索結果なし');
+    return { items: [], strategy: 'no_results', counts };
+  }
+  
+  const $ = cheerio.load(html);
+  const results = [];
+  
+  // 1. 直接抽出: 商品コンテナを1回の走査で集めて各コンテナから取り出す
+  const containers = findItemContainers($.root()[0]);
+  for (const container of containers) {
+    if (results.length >= MAX_ITEMS) break;
+    
+    const item = extractFromContainer($, $(container), pageURL);
+    if (item) {
+      if (debug) {
+        console.log(`📝 直接抽出 ${results.length + 1}: ${item.platform} - ${item.title.substring(0, 40)}... - ${item.price}円`);
+      }
+      results.push(item);
+    }
+  }
+  counts.direct = results.length;
+  console.log(`✅ 直接抽出完了: ${results.length}件（商品コンテナ${containers.length}件）`);
+  
+  // 2. 補完: セレクタベース（直接抽出で0件のときのみ）
+  if (results.length === 0) {
+    console.log('🔄 セレクタベースの補完抽出を実行');
+    extractBySelectors($, pageURL, results);
+  }
+  counts.selector = results.length - counts.direct;
+  
+  // 3. 最終フォールバック: 行単位の全文検索
+  if (results.length < 5) {
+    console.log('🔄 最終フォールバック: 全文検索で残りのデータを収集');
+    extractByLines(html, pageURL, results);
+  }
+  counts.fulltext = results.length - counts.direct - counts.selector;
+  
+  // 各データに抽出した方式を記録（explain モードで確認できるように）
+  results.forEach((item, index) => {
+    item.extractedBy = index < counts.direct ? 'direct' : index < counts.direct + counts.selector ? 'selector' : 'fulltext';
+  });
+  
+  console.log(`✅ 総取得件数: ${results.length}件（フィルタ前）`);
+  
+  if (debug) {
+    logDiagnostics($, html, results);
+  }
+  
+  if (results.length === 0) {
+    console.log(`❌ データ抽出に失敗しました${debug ? '' : '（PARSER_DEBUG=1 で詳細を出力）'}`);
+  } else {
+    const mercariCount = results.filter(r => r.platform === 'メルカリ').length;
+    const yahooCount = results.filter(r => r.platform === 'ヤフオク').length;
+    const soldCount = results.filter(r => r.status === 'sold').length;
+    const listingCount = results.filter(r => r.status === 'listing').length;
+    console.log(`📊 抽出サマリー: メルカリ${mercariCount}件, ヤフオク${yahooCount}件 (落札${soldCount}件, 出品中${listingCount}件)`);
+  }
+  
+  const strategy = results.length === 0
+    ? 'empty'
+    : EXTRACTION_STRATEGIES.slice().reverse().find(name => counts[name] > 0);
+  console.log(`🧭 抽出方式: ${strategy} (直接${counts.direct}件, セレクタ${counts.selector}件, 全文${counts.fulltext}件)`);
+  
+  return { items: results, strategy, counts };
+}
+
+/**
+ * オークファンの検索結果HTMLから商品データを抽出（商品データ配列のみ返す）
+ * @param {string} html
+ * @param {Object} [options] parseAucfanPage と同じ
+ */
+function parseAucfanResults(html, options = {}) {
+  return parseAucfanPage(html, options).items;
+}
+
+/**
+ * オークファンの検索URLを構築
+ */
+function buildSearchURL(baseURL, query) {
+  return `${baseURL.replace(/\/+$/, '')}/search1/q-${encodeURIComponent(query)}/`;
+}
+
+/**
+ * オークファン用のソースアダプタを生成
+ * @param {Object} [options]
+ * @param {string} [options.baseURL] 取得先のベースURL（省略時は AUCFAN_BASE_URL、テスト用のモックサーバーを指定可能）
+ * @param {number} [options.timeout] 取得のタイムアウト（ミリ秒、省略時は AUCFAN_TIMEOUT_MS、既定15秒）
+ * @param {Object} [options.client] axiosインスタンス
+ * @param {Object} [options.retry] 再試行の設定（省略時は AUCFAN_RETRIES / AUCFAN_RETRY_BASE_MS）
+ * @param {Object} [options.breaker] サーキットブレーカー（省略時は AUCFAN_BREAKER_THRESHOLD / AUCFAN_BREAKER_RESET_MS で生成）
+ */
+function createAucfanSource(options = {}) {
+  const baseURL = options.baseURL || process.env.AUCFAN_BASE_URL || DEFAULT_BASE_URL;
+  const timeout = Number(options.timeout || process.env.AUCFAN_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const client = options.client || httpClient;
+  const retry = options.retry || {
+    retries: process.env.AUCFAN_RETRIES,
+    baseDelayMs: process.env.AUCFAN_RETRY_BASE_MS
+  };
+  const breaker = options.breaker || createCircuitBreaker({
+    name: 'aucfan',
+    label: 'オークファン',
+    failureThreshold: process.env.AUCFAN_BREAKER_THRESHOLD,
+    resetTimeoutMs: process.env.AUCFAN_BREAKER_RESET_MS
+  });
+  
+  /**
+   * 検索結果ページを1回取得（200以外はエラー）
+   */
+  async function request(aucfanURL) {
+    const response = await client.get(aucfanURL, {
+      responseType: 'arraybuffer',
+      maxRedirects: 3,
+      timeout,
+      validateStatus: function (status) {
+        return status >= 200 && status < 400;
+      }
+    });
+    
+    if (response.status !== 200) {
+      throw new Error(`HTTPエラー: ${response.status}`);
+    }
+    
+    const buffer = Buffer.from(response.data);
+    return { url: aucfanURL, html: decodeResponse(buffer), status: response.status, headers: response.headers };
+  }
+  
+  /**
+   * 検索結果ページを取得
+   * @param {string} query
+   * @param {Object} [context]
+   * @param {Function} [context.schedule] (request) => Promise 流量制限の順番待ち（再試行を含む1回ごと）
+   */
+  async function fetch(query, context = {}) {
+    const aucfanURL = buildSearchURL(baseURL, query);
+    const schedule = context.schedule || (send => send());
+    
+    try {
+      if (/[\u3040-\u30ff\u4e00-\u9fff]/.test(query)) {
+        console.log(`🔤 日本語クエリ検出: ${query}`);
+        console.log(`📝 エンコード結果: ${encodeURIComponent(query)}`);
+      }
+      console.log(`📍 URL: ${aucfanURL}`);
+      
+      // 一時的な失敗（5xx・タイムアウト・接続断）は再試行し、障害が続く間はブレーカーで順番待ちの前に失敗させる
+      return await breaker.execute(() => fetchWithRetry(() => schedule(() => request(aucfanURL)), { ...retry, label: 'オークファン' }));
+    
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        console.error(`🚧 ${error.message}`);
+        throw error;
+      }
+      console.error('❌ スクレイピングエラー:', error.message);
+      
+      if (error.response) {
+        console.error('- レスポンスステータス:', error.response.status);
+      }
+      
+      const wrapped = new Error(`オークファンの相場取得に失敗しました: ${error.message}`, { cause: error });
+      wrapped.classification = error.classification;
+      throw wrapped;
+    }
+  }
+  
+  return {
+    name: 'aucfan',
+    label: 'オークファン',
+    breaker,
+    fetch,
+    parse: (page) => parseAucfanPage(page.html, { pageURL: page.url }),
+    normalize: (item) => ({
+      ...item,
+      title: item.title.replace(/\s+/g, ' ').trim()
+    })
+  };
+}
+
+module.exports = {
+  createAucfanSource,
+  parseAucfanPage,
+  parseAucfanResults,
+  EXTRACTION_STRATEGIES,
+  buildSearchURL,
+  extractPrice,
+  extractDate,
+  detectSaleStatus,
+  decodeResponse,
+  DEFAULT_BASE_URL
+};
@@ -0,0 +1,213 @@
+/**
+ * 相場データソース（アダプタ）の登録と横断取得
+ *
+ * 各アダプタは fetch → parse → normalize の3段階を持ち、
+ * 共通形式 {title, price, date, url, imageURL, status, condition, attributes, platform} のレコードを返す
+ * status は落札済み 'sold' / 出品中 'listing' / 判別不能 'unknown'
+ * condition は商品状態 'new' / 'unused' / 'used' / 'junk' / 判別不能 'unknown'
+ * attributes はソースが判別済みのバリエーション属性（capacity / carrier / color / size、未判別なら空）
+ */
+
+const { CONDITIONS, UNKNOWN_CONDITION } = require('../condition');
+
+const registry = new Map();
+
+/**
+ * アダプタ定義を検証して既定値を補う
+ * @param {Object} definition
+ * @param {string} definition.name ソース名（MARKET_SOURCESで指定する識別子）
+ * @param {Function} definition.fetch (query, context) => Promise<page>（page は { url, html, status, headers }、スナップショットとして保存される）
+ *   外部サイトへのリクエストは1回ずつ context.schedule(request) を通す（流量制限の順番待ち、再試行も1回と数える）
+ * @param {Function} definition.parse (page, query) => 商品データ配列、または { items, strategy }（strategy は抽出方式の記録用）
+ * @param {Function} [definition.normalize] (item, page) => 共通形式のレコード
+ */
+function defineSource(definition) {
+  if (!definition || !definition.name) {
+    throw new Error('ソース名(name)が指定されていません');
+  }
+  
+  for (const step of ['fetch', 'parse']) {
+    if (typeof definition[step] !== 'function') {
+      throw new Error(`ソース「${definition.name}」に${step}関数がありません`);
+    }
+  }
+  
+  return {
+    label: definition.name,
+    normalize: (item) => item,
+    ...definition
+  };
+}
+
+/**
+ * アダプタを登録
+ */
+function registerSource(definition) {
+  const source = defineSource(definition);
+  registry.set(source.name, source);
+  console.log(`🔌 データソース登録: ${source.label} (${source.name})`);
+  return source;
+}
+
+/**
+ * 登録済みのソース名一覧
+ */
+function listSources() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * 有効なソースを取得（指定がなければ MARKET_SOURCES 環境変数、既定は aucfan）
+ * @param {string[]|string} [names]
+ */
+function getEnabledSources(names) {
+  let requested = names;
+  if (typeof requested === 'string') {
+    requested = requested.split(',');
+  }
+  if (!requested || requested.length === 0) {
+    requested = (process.env.MARKET_SOURCES || 'aucfan').split(',');
+  }
+  
+  const sourceNames = [...new Set(requested.map(name => name.trim()).filter(Boolean))];
+  
+  return sourceNames.map(name => {
+    const source = registry.get(name);
+    if (!source) {
+      throw new Error(`未登録のデータソースです: ${name}（利用可能: ${listSources().join(', ')}）`);
+    }
+    return source;
+  });
+}
+
+/**
+ * アダプタの出力を共通形式のレコードに揃える
+ */
+function toRecord(item, source) {
+  return {
+    title: String(item.title || '').trim(),
+    price: Number(item.price) || 0,
+    date: item.date ? String(item.date) : '',
+    url: item.url || '',
+    imageURL: item.imageURL || '',
+    status: ['sold', 'listing'].includes(item.status) ? item.status : 'unknown',
+    condition: CONDITIONS[item.condition] ? item.condition : UNKNOWN_CONDITION,
+    attributes: item.attributes && typeof item.attributes === 'object' ? { ...item.attributes } : {},
+    platform: item.platform || 'その他',
+    source: source.name,
+    extractedBy: item.extractedBy || ''
+  };
+}
+
+/**
+ * ソースのページを取得（replay では保存済みのスナップショット、capture では取得したページを保存）
+ * 流量制限があればリクエストごとに順番待ちさせ、最初の登録時の順番・待った時間の合計・リクエスト数を queue に記録する
+ * @returns {Promise<{page: Object, snapshot: Object|null, queue: Object|null}>}
+ */
+async function fetchPage(source, query, options) {
+  const { snapshots, snapshotMode, snapshotId, limiter, onQueued } = options;
+  
+  if (snapshotMode === 'replay') {
+    const stored = snapshotId ? snapshots.load(snapshotId) : snapshots.latest(source.name, query);
+    if (!stored || stored.source !== source.name) {
+      throw new Error(`再生するスナップショットがありません: ${snapshotId || `${source.name} / ${query}`}`);
+    }
+    console.log(`📼 スナップショットを再生: ${stored.id}（${stored.capturedAt}取得）`);
+    return {
+      page: { url: stored.url, html: stored.html, status: stored.status, headers: stored.headers },
+      snapshot: { id: stored.id, capturedAt: stored.capturedAt, replayed: true },
+      queue: null
+    };
+  }
+  
+  let queue = null;
+  const schedule = limiter
+    ? request => limiter.schedule(ticket => {
+      queue = queue
+        ? { ...queue, waitedMs: queue.waitedMs + ticket.waitedMs, requests: queue.requests + 1 }
+        : { ...ticket, requests: 1 };
+      if (ticket.waitedMs > 0) {
+        console.log(`⏳ ${source.label}: 順番待ち ${ticket.ahead}件・${ticket.waitedMs}ms待機後に取得`);
+      }
+      return request();
+    }, { onQueued })
+    : request => request();
+  const page = await source.fetch(query, { schedule });
+  const saved = snapshotMode === 'capture' && snapshots ? snapshots.save(source.name, query, page) : null;
+  return {
+    page,
+    snapshot: saved ? { id: saved.id, capturedAt: saved.capturedAt, replayed: false } : null,
+    queue
+  };
+}
+
+/**
+ * 1つのソースで fetch → parse → normalize を実行
+ * @returns {Promise<{records: Object[], strategy: string|null, snapshot: Object|null, queue: Object|null}>}
+ */
+async function runSource(source, query, options = {}) {
+  const { page, snapshot, queue } = await fetchPage(source, query, options);
+  const parsed = await source.parse(page, query);
+  const items = Array.isArray(parsed) ? parsed : (parsed && parsed.items);
+  
+  const records = (items || [])
+    .map(item => toRecord(source.normalize(item, page), source))
+    .filter(record => record.title && record.price > 0);
+  
+  return {
+    records,
+    strategy: parsed && !Array.isArray(parsed) ? parsed.strategy || null : null,
+    snapshot,
+    queue
+  };
+}
+
+/**
+ * 複数ソースから取得した結果をマージ
+ * 一部のソースが失敗しても残りの結果を返し、全ソース失敗時のみエラーにする
+ * @param {string} query
+ * @param {Object[]} sources
+ * @param {Object} [options]
+ * @param {Object} [options.snapshots] createPageSnapshotStore の戻り値
+ * @param {string} [options.snapshotMode] off / capture / replay
+ * @param {string} [options.snapshotId] replay で再生するスナップショット（省略時はクエリの最新）
+ * @param {Object} [options.limiter] createRateLimiter の戻り値（外部サイトへのリクエストを順番待ちさせる）
+ * @param {Function} [options.onQueued] ({ ahead, waitMs }) => void リクエストを順番待ちに登録したときに呼ばれる
+ * @returns {Promise<{results: Object[], sources: Object[]}>}
+ */
+async function collectFromSources(query, sources, options = {}) {
+  const settled = await Promise.allSettled(sources.map(source => runSource(source, query, options)));
+  
+  const results = [];
+  const summary = [];
+  const errors = [];
+  
+  settled.forEach((outcome, index) => {
+    const source = sources[index];
+    if (outcome.status === 'fulfilled') {
+      const { records, strategy, snapshot, queue } = outcome.value;
+      results.push(...records);
+      summary.push({ name: source.name, label: source.label, count: records.length, strategy, ...(snapshot ? { snapshot } : {}), ...(queue ? { queue } : {}) });
+    } else {
+      console.error(`❌ データソースエラー (${source.name}):`, outcome.reason.message);
+      errors.push(outcome.reason);
+      summary.push({ name: source.name, label: source.label, count: 0, strategy: null, error: outcome.reason.message });
+    }
+  });
+  
+  if (sources.length > 0 && errors.length === sources.length) {
+    throw errors[0];
+  }
+  
+  console.log(`🔗 ソース横断取得: ${summary.map(s => `${s.label}${s.count}件`).join(', ')}`);
+  
+  return { results, sources: summary };
+}
+
+module.exports = {
+  defineSource,
+  registerSource,
+  listSources,
+  getEnabledSources,
+  collectFromSources
+};
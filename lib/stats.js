@@ -0,0 +1,116 @@
+// 判定に使える相場の統計値（キー: summarizeResults のフィールド名と表示名）
+const PRICE_STATISTICS = {
+  mean: { field: 'avgPrice', label: '平均' },
+  median: { field: 'medianPrice', label: '中央値' },
+  p25: { field: 'p25Price', label: '下位25%' },
+  p75: { field: 'p75Price', label: '上位25%' }
+};
+const DEFAULT_STATISTIC = 'mean';
+
+// 信頼度の算出基準（この件数で件数面は満点、変動係数がこの値以上でばらつき面は0点）
+const CONFIDENCE_FULL_SAMPLES = 20;
+const CONFIDENCE_MAX_CV = 0.5;
+// ばらつきを評価する最低件数（1〜2件では標準偏差が小さく出るため、ばらつき面は0点）
+const CONFIDENCE_MIN_SPREAD_SAMPLES = 3;
+
+/**
+ * 昇順に並べた価格のパーセンタイル（線形補間）
+ * @param {number[]} sorted 昇順の価格
+ * @param {number} p 0〜100
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * 件数とばらつきから相場の信頼度を算出（0〜100）
+ * 件数は対数スケールで20件を満点、ばらつきは変動係数（標準偏差 / 平均）で評価（3件未満は0点）
+ */
+function calculateConfidence(count, mean, stdDev) {
+  if (count === 0 || mean <= 0) {
+    return { score: 0, level: 'none', label: 'なし' };
+  }
+  
+  const sizeScore = Math.min(1, Math.log(count + 1) / Math.log(CONFIDENCE_FULL_SAMPLES + 1));
+  const spreadScore = count >= CONFIDENCE_MIN_SPREAD_SAMPLES ? Math.max(0, 1 - (stdDev / mean) / CONFIDENCE_MAX_CV) : 0;
+  const score = Math.round((sizeScore * 0.6 + spreadScore * 0.4) * 100);
+  
+  if (score >= 70) return { score, level: 'high', label: '高' };
+  if (score >= 40) return { score, level: 'medium', label: '中' };
+  return { score, level: 'low', label: '低' };
+}
+
+/**
+ * 価格一覧の統計値（平均・中央値・四分位・標準偏差・信頼度）
+ * @param {number[]} prices
+ */
+function describePrices(prices) {
+  if (prices.length === 0) {
+    return {
+      avgPrice: 0,
+      medianPrice: 0,
+      p25Price: 0,
+      p75Price: 0,
+      maxPrice: 0,
+      minPrice: 0,
+      stdDev: 0,
+      confidence: calculateConfidence(0, 0, 0)
+    };
+  }
+  
+  const sorted = prices.slice().sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, price) => sum + price, 0) / sorted.length;
+  const variance = sorted.reduce((sum, price) => sum + (price - mean) ** 2, 0) / sorted.length;
+  const stdDev = Math.sqrt(variance);
+  
+  return {
+    avgPrice: Math.round(mean),
+    medianPrice: Math.round(percentile(sorted, 50)),
+    p25Price: Math.round(percentile(sorted, 25)),
+    p75Price: Math.round(percentile(sorted, 75)),
+    maxPrice: sorted[sorted.length - 1],
+    minPrice: sorted[0],
+    stdDev: Math.round(stdDev),
+    confidence: calculateConfidence(sorted.length, mean, stdDev)
+  };
+}
+
+/**
+ * 統計値の指定を検証して正規化（省略時は mean）
+ */
+function resolveStatistic(name) {
+  const statistic = String(name || DEFAULT_STATISTIC).trim().toLowerCase();
+  if (PRICE_STATISTICS[statistic]) {
+    return statistic;
+  }
+  
+  // 日本語の表示名でも指定できる
+  const byLabel = Object.keys(PRICE_STATISTICS).find(key => PRICE_STATISTICS[key].label === String(name).trim());
+  if (byLabel) {
+    return byLabel;
+  }
+  
+  throw new Error(`未対応の統計値です: ${name}（指定可能: ${Object.keys(PRICE_STATISTICS).join(', ')}）`);
+}
+
+/**
+ * describePrices / summarizeResults の結果から指定の統計値を取り出す
+ */
+function pickStatistic(stats, statistic) {
+  return stats[PRICE_STATISTICS[statistic].field];
+}
+
+module.exports = {
+  PRICE_STATISTICS,
+  DEFAULT_STATISTIC,
+  percentile,
+  describePrices,
+  resolveStatistic,
+  pickStatistic
+};
@@ -0,0 +1,243 @@
+/**
+ * 取得先（オークファンなど）へのリクエストの再試行とサーキットブレーカー
+ *
+ * 一時的な失敗（5xx・429・タイムアウト・接続断）は指数バックオフ＋ジッターで再試行し、
+ * Retry-After があればその時間待つ。失敗が続いた取得先はブレーカーを開いて即座に失敗させる
+ */
+
+const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 5000,
+  maxRetryAfterMs: 30000
+};
+
+const DEFAULT_BREAKER = {
+  failureThreshold: 5,
+  resetTimeoutMs: 60000
+};
+
+// 再試行する接続エラー（DNSの名前解決失敗 ENOTFOUND は再試行しない）
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * 失敗したリクエストのエラーを分類
+ * @param {Error} error axios のエラー
+ * @returns {{type: string, retryable: boolean, status: number|null}}
+ *   type: timeout / network / server / rate_limited / client / redirect / unknown
+ */
+function classifyError(error) {
+  const status = error && error.response ? error.response.status : null;
+  const code = error && error.code;
+  
+  if (status === 429) return { type: 'rate_limited', retryable: true, status };
+  if (status >= 500) return { type: 'server', retryable: true, status };
+  if (status >= 400) return { type: 'client', retryable: false, status };
+  if (code === 'ERR_FR_TOO_MANY_REDIRECTS' || /redirect/i.test((error && error.message) || '')) {
+    return { type: 'redirect', retryable: false, status };
+  }
+  if (TIMEOUT_CODES.includes(code) || /timeout/i.test((error && error.message) || '')) {
+    return { type: 'timeout', retryable: true, status };
+  }
+  if (RETRYABLE_CODES.includes(code)) return { type: 'network', retryable: true, status };
+  
+  return { type: 'unknown', retryable: false, status };
+}
+
+/**
+ * Retry-After ヘッダー（秒数またはHTTP日付）を待ち時間（ミリ秒）に変換
+ * @returns {number|null} 解釈できなければ null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * 指数バックオフの待ち時間（フルジッター: 0〜上限のランダム）
+ * @param {number} attempt 0始まりの再試行回数
+ */
+function computeBackoff(attempt, options = {}, random = Math.random) {
+  const baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : DEFAULT_RETRY.baseDelayMs;
+  const maxDelayMs = options.maxDelayMs !== undefined ? options.maxDelayMs : DEFAULT_RETRY.maxDelayMs;
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.round(random() * ceiling);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 一時的な失敗を再試行しながらリクエストを実行
+ * 最後のエラーには分類（classification）と試行回数（attempts）を付けて投げる
+ * @param {Function} request () => Promise
+ * @param {Object} [options]
+ * @param {number} [options.retries] 再試行の最大回数
+ * @param {number} [options.baseDelayMs] バックオフの初期待ち時間
+ * @param {number} [options.maxDelayMs] バックオフの最大待ち時間
+ * @param {number} [options.maxRetryAfterMs] Retry-After がこれより長ければ再試行しない
+ * @param {string} [options.label] ログ用の取得先名
+ * @param {Function} [options.sleep] 待機処理（テスト用）
+ * @param {Function} [options.random] ジッター用の乱数（テスト用）
+ */
+async function fetchWithRetry(request, options = {}) {
+  const settings = { ...DEFAULT_RETRY };
+  Object.keys(DEFAULT_RETRY).forEach(key => {
+    if (options[key] !== undefined && !isNaN(options[key])) {
+      settings[key] = Number(options[key]);
+    }
+  });
+  const wait = options.sleep || sleep;
+  const label = options.label || '取得先';
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const classification = classifyError(error);
+      error.classification = classification;
+      error.attempts = attempt + 1;
+      
+      if (!classification.retryable || attempt >= settings.retries) {
+        throw error;
+      }
+      
+      const retryAfter = error.response && error.response.headers
+        ? parseRetryAfter(error.response.headers['retry-after'])
+        : null;
+      if (retryAfter !== null && retryAfter > settings.maxRetryAfterMs) {
+        console.log(`⏳ ${label}: Retry-After ${Math.round(retryAfter / 1000)}秒は上限を超えるため再試行しません`);
+        throw error;
+      }
+      
+      const delay = retryAfter !== null ? retryAfter : computeBackoff(attempt, settings, options.random);
+      console.log(`🔁 ${label}: ${classification.type}${classification.status ? ` (${classification.status})` : ''} のため再試行 ${attempt + 1}/${settings.retries}（${delay}ms後）`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * サーキットブレーカーを生成
+ * closed: 通常 / open: 即座に失敗させる / half_open: 待機時間経過後に1件だけ試す
+ * @param {Object} [options]
+ * @param {string} [options.name] 取得先名（メッセージ・状態表示用）
+ * @param {string} [options.label] 表示名
+ * @param {number} [options.failureThreshold] ブレーカーを開く連続失敗回数
+ * @param {number} [options.resetTimeoutMs] 開いてから試行を再開するまでの時間
+ * @param {Function} [options.isFailure] (error) => 取得先の障害として数えるか（既定は再試行対象のエラー）
+ * @param {Function} [options.now] 現在時刻（テスト用）
+ */
+function createCircuitBreaker(options = {}) {
+  const settings = { ...DEFAULT_BREAKER };
+  Object.keys(DEFAULT_BREAKER).forEach(key => {
+    if (options[key] !== undefined && !isNaN(options[key])) {
+      settings[key] = Number(options[key]);
+    }
+  });
+  const name = options.name || 'upstream';
+  const label = options.label || name;
+  const now = options.now || Date.now;
+  const isFailure = options.isFailure || (error => classifyError(error).retryable);
+  
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  const totals = { success: 0, failure: 0, rejected: 0 };
+  
+  function open() {
+    state = 'open';
+    openedAt = now();
+    trialInFlight = false;
+    console.warn(`🚧 ${label}のサーキットブレーカーを開きました（連続${consecutiveFailures}回失敗、${Math.round(settings.resetTimeoutMs / 1000)}秒間停止）`);
+  }
+  
+  function reject() {
+    totals.rejected++;
+    const retryInSeconds = Math.max(1, Math.ceil((openedAt + settings.resetTimeoutMs - now()) / 1000));
+    const error = new Error(`${label}に接続できない状態が続いているため取得を一時停止しています（約${retryInSeconds}秒後に再開）`);
+    error.code = 'CIRCUIT_OPEN';
+    error.retryInSeconds = retryInSeconds;
+    return error;
+  }
+  
+  /**
+   * ブレーカーを通して実行（開いている間は実行せずに CIRCUIT_OPEN エラー）
+   * @param {Function} fn () => Promise
+   */
+  async function execute(fn) {
+    if (state === 'open') {
+      if (now() - openedAt < settings.resetTimeoutMs) {
+        throw reject();
+      }
+      state = 'half_open';
+    }
+    if (state === 'half_open') {
+      if (trialInFlight) throw reject();
+      trialInFlight = true;
+    }
+    
+    try {
+      const result = await fn();
+      totals.success++;
+      if (state === 'half_open') {
+        console.log(`✅ ${label}のサーキットブレーカーを閉じました`);
+      }
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+      return result;
+    } catch (error) {
+      trialInFlight = false;
+      // 取得先は応答している（4xx など）ため障害には数えない
+      if (!isFailure(error)) {
+        state = 'closed';
+        consecutiveFailures = 0;
+        openedAt = null;
+        throw error;
+      }
+      
+      totals.failure++;
+      consecutiveFailures++;
+      lastError = { message: error.message, at: new Date(now()).toISOString() };
+      if (state === 'half_open' || consecutiveFailures >= settings.failureThreshold) {
+        open();
+      }
+      throw error;
+    }
+  }
+  
+  function stats() {
+    return {
+      name,
+      state,
+      consecutiveFailures,
+      failureThreshold: settings.failureThreshold,
+      resetTimeoutMs: settings.resetTimeoutMs,
+      openedAt: openedAt !== null ? new Date(openedAt).toISOString() : null,
+      nextAttemptAt: state === 'open' ? new Date(openedAt + settings.resetTimeoutMs).toISOString() : null,
+      lastError,
+      totals: { ...totals }
+    };
+  }
+  
+  return { execute, stats };
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  DEFAULT_BREAKER,
+  classifyError,
+  parseRetryAfter,
+  computeBackoff,
+  fetchWithRetry,
+  createCircuitBreaker
+};
@@ -0,0 +1,219 @@
+const { describePrices } = require('./stats');
+
+/**
+ * 商品名からバリエーション属性（容量・キャリア・カラー・サイズ）を抽出し、
+ * 同じバリエーションのデータで相場を比較する
+ */
+
+// カラー表記（先頭を正規化後の名前とし、長い表記から順に照合）
+const COLOR_ALIASES = [
+  ['グラファイト'], ['シエラブルー'], ['アルパイングリーン'], ['ミッドナイト'], ['スターライト'],
+  ['スペースグレイ', 'スペースグレー'], ['ローズゴールド'], ['パシフィックブルー'],
+  ['ブラック', '黒', 'BLACK', 'ノワール', 'NOIR'],
+  ['ホワイト', '白', 'WHITE', 'ブラン'],
+  ['シルバー', 'SILVER'], ['ゴールド', 'GOLD'], ['グレー', 'グレイ', 'GRAY', 'GREY'],
+  ['ブルー', '青', 'BLUE'], ['レッド', '赤', 'RED'], ['ピンク', 'PINK'], ['グリーン', '緑', 'GREEN'],
+  ['パープル', '紫', 'PURPLE'], ['イエロー', '黄', 'YELLOW'], ['ブラウン', '茶', 'BROWN'], ['ベージュ', 'BEIGE'],
+  ['モノグラム'], ['ダミエ・エベヌ', 'ダミエエベヌ'], ['ダミエ・アズール', 'ダミエアズール']
+];
+
+// キャリア表記（SIMロック解除済みはSIMフリーとして扱う）
+const CARRIER_PATTERNS = [
+  { value: 'SIMフリー', pattern: /SIM\s*フリー|SIMFREE|SIM\s*FREE|SIMロック解除/i },
+  { value: 'docomo', pattern: /docomo|ドコモ/i },
+  { value: 'au', pattern: /(^|[^A-Z])au([^A-Z]|$)|エーユー/i },
+  { value: 'SoftBank', pattern: /softbank|ソフトバンク/i },
+  { value: '楽天モバイル', pattern: /楽天モバイル|rakuten\s*mobile/i },
+  { value: 'Y!mobile', pattern: /Y!\s*mobile|ワイモバイル/i }
+];
+
+const ATTRIBUTES = {
+  capacity: { label: '容量', extract: extractCapacity },
+  carrier: { label: 'キャリア', extract: extractCarrier },
+  color: { label: 'カラー', extract: extractColor },
+  size: { label: 'サイズ', extract: extractSize }
+};
+
+// 同じバリエーションの相場に必要な最低件数（不足時は属性不明のデータ、さらに全データへ広げる）
+const VARIANT_MIN_SAMPLES = 3;
+
+/**
+ * 容量（128GB / 1TB など）
+ */
+function extractCapacity(text) {
+  const match = text.match(/(\d+(?:\.\d+)?)\s*(GB|TB|ギガ|テラ)(?![A-Z])/i);
+  if (!match) return undefined;
+  const unit = /^(TB|テラ)$/i.test(match[2]) ? 'TB' : 'GB';
+  return `${match[1]}${unit}`;
+}
+
+/**
+ * キャリア（SIMフリー / docomo / au など）
+ */
+function extractCarrier(text) {
+  const found = CARRIER_PATTERNS.find(carrier => carrier.pattern.test(text));
+  return found ? found.value : undefined;
+}
+
+/**
+ * カラー名
+ */
+function extractColor(text) {
+  const upper = text.toUpperCase();
+  const aliases = COLOR_ALIASES
+    .flatMap(names => names.map(alias => ({ alias: alias.toUpperCase(), value: names[0] })))
+    .sort((a, b) => b.alias.length - a.alias.length);
+  
+  const found = aliases.find(({ alias }) => upper.includes(alias));
+  return found ? found.value : undefined;
+}
+
+/**
+ * サイズ（バッグの PM / MM / GM、時計のケース径 mm、cm表記）
+ */
+function extractSize(text) {
+  const millimeters = text.match(/(\d{2}(?:\.\d)?)\s*mm(?![A-Z])/i);
+  if (millimeters) return `${millimeters[1]}mm`;
+  
+  const model = text.match(/(^|[^A-Z0-9])(PM|MM|GM|BB|NM)(?![A-Z0-9])/i);
+  if (model) return model[2].toUpperCase();
+  
+  const centimeters = text.match(/(\d{2,3}(?:\.\d)?)\s*(cm|センチ)/i);
+  if (centimeters) return `${centimeters[1]}cm`;
+  
+  return undefined;
+}
+
+/**
+ * テキストからバリエーション属性を抽出（見つからない属性は含めない）
+ * @returns {Object} { capacity, carrier, color, size } のうち判別できたもの
+ */
+function extractAttributes(text) {
+  const normalized = String(text || '').normalize('NFKC');
+  const attributes = {};
+  
+  Object.entries(ATTRIBUTES).forEach(([name, attribute]) => {
+    const value = attribute.extract(normalized);
+    if (value) attributes[name] = value;
+  });
+  
+  return attributes;
+}
+
+/**
+ * 指定された属性を検証して正規化（容量は数値だけでもGBとみなす）
+ * @param {Object} [input] { capacity: '256GB', color: '黒', ... }
+ */
+function resolveAttributes(input) {
+  if (!input) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('属性は { capacity, carrier, color, size } の形式で指定してください');
+  }
+  
+  const attributes = {};
+  Object.entries(input).forEach(([name, raw]) => {
+    if (raw === undefined || raw === null || raw === '') return;
+    if (!ATTRIBUTES[name]) {
+      throw new Error(`未対応の属性です: ${name}（指定可能: ${Object.keys(ATTRIBUTES).join(', ')}）`);
+    }
+    
+    const text = String(raw).normalize('NFKC').trim();
+    const value = ATTRIBUTES[name].extract(name === 'capacity' && /^\d+(\.\d+)?$/.test(text) ? `${text}GB` : text);
+    if (!value) {
+      throw new Error(`${ATTRIBUTES[name].label}「${raw}」を判別できません`);
+    }
+    attributes[name] = value;
+  });
+  
+  return attributes;
+}
+
+/**
+ * 仕入れる商品のバリエーション（クエリから抽出した属性に、明示指定した属性を上書き）
+ */
+function resolveVariant(query, attributes) {
+  return { ...extractAttributes(query), ...resolveAttributes(attributes) };
+}
+
+/**
+ * バリエーションの表示名（例: 256GB・SIMフリー）
+ */
+function describeVariant(variant) {
+  return Object.keys(ATTRIBUTES).filter(name => variant[name]).map(name => variant[name]).join('・');
+}
+
+/**
+ * 商品データに属性を付ける（ソースが抽出済みの属性を優先）
+ */
+function withAttributes(item) {
+  return { ...item, attributes: { ...extractAttributes(item.title), ...(item.attributes || {}) } };
+}
+
+/**
+ * 相場の算出に使うデータをバリエーションで絞り込む
+ * 全属性が一致するデータが最低件数に満たなければ、属性が判別できないデータも一致とみなし、それでも不足なら全データを使う
+ * @returns {{results: Object[], match: string}} match は exact / with_unknown / all
+ */
+function selectByVariant(results, variant) {
+  const names = Object.keys(variant || {});
+  if (names.length === 0) return { results, match: 'all' };
+  
+  const exact = results.filter(item => names.every(name => item.attributes[name] === variant[name]));
+  if (exact.length >= VARIANT_MIN_SAMPLES) {
+    return { results: exact, match: 'exact' };
+  }
+  
+  const withUnknown = results.filter(item => names.every(name => !item.attributes[name] || item.attributes[name] === variant[name]));
+  if (withUnknown.length >= VARIANT_MIN_SAMPLES) {
+    return { results: withUnknown, match: 'with_unknown' };
+  }
+  
+  return { results, match: 'all' };
+}
+
+/**
+ * 属性ごとの値別の件数・価格と、値による平均価格の開き（2種類以上の値がある属性のみ）
+ * spreadRate は（最高平均 - 最低平均）/ 最低平均 の百分率
+ */
+function summarizeVariants(results) {
+  const breakdown = {};
+  
+  Object.entries(ATTRIBUTES).forEach(([name, attribute]) => {
+    const groups = new Map();
+    results.forEach(item => {
+      const value = item.attributes && item.attributes[name];
+      if (!value) return;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(item.price);
+    });
+    if (groups.size < 2) return;
+    
+    const values = Array.from(groups.entries()).map(([value, prices]) => {
+      const stats = describePrices(prices);
+      return { value, count: prices.length, avgPrice: stats.avgPrice, medianPrice: stats.medianPrice };
+    }).sort((a, b) => a.avgPrice - b.avgPrice);
+    
+    const lowest = values[0].avgPrice;
+    const highest = values[values.length - 1].avgPrice;
+    breakdown[name] = {
+      label: attribute.label,
+      values,
+      spread: highest - lowest,
+      spreadRate: lowest > 0 ? Math.round(((highest - lowest) / lowest) * 1000) / 10 : 0
+    };
+  });
+  
+  return breakdown;
+}
+
+module.exports = {
+  ATTRIBUTES,
+  VARIANT_MIN_SAMPLES,
+  extractAttributes,
+  resolveAttributes,
+  resolveVariant,
+  describeVariant,
+  withAttributes,
+  selectByVariant,
+  summarizeVariants
+};
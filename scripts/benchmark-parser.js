@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * オークファン検索結果パーサーの処理時間計測
+ *
+ * 使い方:
+ *   node scripts/benchmark-parser.js [--runs 20] [--items 300] [--parser モジュールパス] [HTMLファイル...]
+ *
+ * HTMLファイル省略時は test/fixtures/aucfan の保存済みページと、商品数 --items 件の合成ページを計測する
+ * パーサー変更前後の比較:
+ *   git show <変更前のコミット>:lib/sources/aucfan.js > lib/sources/aucfan.before.js
+ *   node scripts/benchmark-parser.js --parser ./lib/sources/aucfan.before.js
+ *   node scripts/benchmark-parser.js
+ *   （比較後に lib/sources/aucfan.before.js を削除する）
+ */
+const fs = require('fs');
+const path = require('path');
+const { FIXTURE_DIR, listFixtures, withSilentConsole } = require('../test/support/fixtures');
+
+function parseArgs(argv) {
+  const args = { runs: 20, items: 300, parser: path.join(__dirname, '..', 'lib', 'sources', 'aucfan.js'), files: [] };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--runs') {
+      args.runs = parseInt(argv[++i], 10);
+    } else if (arg === '--items') {
+      args.items = parseInt(argv[++i], 10);
+    } else if (arg === '--parser') {
+      args.parser = path.resolve(argv[++i]);
+    } else {
+      args.files.push(arg);
+    }
+  }
+  
+  return args;
+}
+
+/**
+ * 商品リストを itemCount 件並べた合成ページ（大きなページでの処理時間確認用）
+ */
+function buildSyntheticPage(itemCount) {
+  const platforms = ['メルカリ', 'ヤフオク'];
+  const items = [];
+  
+  for (let i = 0; i < itemCount; i++) {
+    const platform = platforms[i % platforms.length];
+    const price = (50000 + i * 137).toLocaleString('ja-JP');
+    items.push(`
+    <li class="product-item">
+      <div class="item-body">
+        <a href="/detail/item${i}/"><img data-src="/img/${i}.jpg">合成商品 ${i} iPhone 13 Pro 256GB 動作確認済み</a>
+        <span class="platform">${platform}</span>
+        <span class="price">${price}円</span>
+        <span class="status">落札 2026/9/${(i % 28) + 1}</span>
+      </div>
+    </li>`);
+  }
+  
+  return `<html><body><header>オークファン 相場検索</header><ul class="results">${items.join('')}
+  </ul><footer>プレミアム会員 初月無料</footer></body></html>`;
+}
+
+function loadPages(args) {
+  if (args.files.length > 0) {
+    return args.files.map(file => ({ name: path.basename(file), html: fs.readFileSync(file, 'utf8') }));
+  }
+  
+  const pages = listFixtures().map(name => ({
+    name,
+    html: fs.readFileSync(path.join(FIXTURE_DIR, `${name}.html`), 'utf8')
+  }));
+  pages.push({ name: `synthetic-${args.items}`, html: buildSyntheticPage(args.items) });
+  return pages;
+}
+
+/**
+ * 1ページを runs 回解析して平均・最小の処理時間を返す（初回はウォームアップとして除外）
+ */
+function measure(parse, html, runs) {
+  const times = [];
+  let itemCount = 0;
+  
+  withSilentConsole(() => {
+    parse(html);
+    for (let i = 0; i < runs; i++) {
+      const start = process.hrtime.bigint();
+      itemCount = parse(html).length;
+      times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+  });
+  
+  return {
+    itemCount,
+    avgMs: times.reduce((sum, time) => sum + time, 0) / times.length,
+    minMs: Math.min(...times)
+  };
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { parseAucfanResults } = require(args.parser);
+  const pages = loadPages(args);
+  
+  console.log(`⏱️ パーサー計測: ${args.parser}（各${args.runs}回）`);
+  
+  let totalAvg = 0;
+  pages.forEach(page => {
+    const result = measure(parseAucfanResults, page.html, args.runs);
+    totalAvg += result.avgMs;
+    console.log(`  ${page.name}: 平均${result.avgMs.toFixed(2)}ms / 最小${result.minMs.toFixed(2)}ms（${Math.round(page.html.length / 1024)}KB, ${result.itemCount}件）`);
+  });
+  
+  console.log(`📊 合計（平均）: ${totalAvg.toFixed(2)}ms / ${pages.length}ページ`);
+}
+
+main();
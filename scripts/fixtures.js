@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * パーサー回帰テスト用フィクスチャの記録・差分確認
+ *
+ * 使い方:
+ *   node scripts/fixtures.js record <名前> --query "iPhone 13 Pro"   オークファンから取得して保存
+ *   node scripts/fixtures.js record <名前> --html page.html [--url ページURL]   保存済みHTMLから作成
+ *   node scripts/fixtures.js diff [名前...]     現在のパーサーの抽出結果と期待結果の差分を表示
+ *   node scripts/fixtures.js update [名前...]   現在のパーサーの抽出結果で期待結果を更新
+ *
+ * パーサーを変更したら diff で変化を確認し、意図した変化であれば update で期待結果を更新する
+ */
+const fs = require('fs');
+const { createAucfanSource } = require('../lib/sources/aucfan');
+const { listFixtures, loadFixture, parseFixture, writeFixture, diffItems, formatDiff } = require('../test/support/fixtures');
+
+function parseArgs(argv) {
+  const args = { command: argv[0], names: [], query: null, html: null, url: null, note: '' };
+  
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--query' || arg === '-q') {
+      args.query = argv[++i];
+    } else if (arg === '--html') {
+      args.html = argv[++i];
+    } else if (arg === '--url') {
+      args.url = argv[++i];
+    } else if (arg === '--note') {
+      args.note = argv[++i];
+    } else {
+      args.names.push(arg);
+    }
+  }
+  
+  return args;
+}
+
+async function record(args) {
+  const [name] = args.names;
+  if (!name || (!args.query && !args.html)) {
+    throw new Error('使い方: record <名前> --query <検索語> | --html <HTMLファイル> [--url ページURL]');
+  }
+  
+  let html;
+  let pageURL = args.url;
+  if (args.query) {
+    const page = await createAucfanSource().fetch(args.query);
+    html = page.html;
+    pageURL = pageURL || page.url;
+  } else {
+    html = fs.readFileSync(args.html, 'utf8');
+  }
+  
+  const expected = writeFixture(name, html, { query: args.query, pageURL, note: args.note });
+  console.log(`💾 フィクスチャ保存: ${name}（${expected.items.length}件）`);
+}
+
+function diff(args) {
+  const names = args.names.length > 0 ? args.names : listFixtures();
+  let changedCount = 0;
+  
+  names.forEach(name => {
+    const fixture = loadFixture(name);
+    if (!fixture.expected) {
+      console.log(`⚠️ ${name}: 期待結果が未記録です（update で作成してください）`);
+      changedCount++;
+      return;
+    }
+    
+    const parsed = parseFixture(fixture);
+    const result = diffItems(fixture.expected.items, parsed.items);
+    console.log(formatDiff(name, result));
+    if (parsed.strategy !== fixture.expected.strategy) {
+      console.log(`  🧭 抽出方式: ${fixture.expected.strategy} → ${parsed.strategy}`);
+    }
+    if (!result.equal || parsed.strategy !== fixture.expected.strategy) changedCount++;
+  });
+  
+  return changedCount;
+}
+
+function update(args) {
+  const names = args.names.length > 0 ? args.names : listFixtures();
+  
+  names.forEach(name => {
+    const fixture = loadFixture(name);
+    const meta = fixture.expected || {};
+    const expected = writeFixture(name, fixture.html, { query: meta.query, pageURL: meta.pageURL, note: meta.note });
+    console.log(`💾 期待結果を更新: ${name}（${expected.items.length}件）`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  if (args.command === 'record') {
+    await record(args);
+  } else if (args.command === 'diff') {
+    process.exitCode = diff(args) > 0 ? 1 : 0;
+  } else if (args.command === 'update') {
+    update(args);
+  } else {
+    console.error('使い方: node scripts/fixtures.js <record|diff|update> [名前...]');
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ フィクスチャ処理エラー:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * ローカルのオークファン・LINE Messaging API モックサーバーを起動
+ *
+ * 使い方:
+ *   node scripts/mock-aucfan.js [--port 4010] [--default results] [--scenario <検索語>=<シナリオ>...] [--delay 5000]
+ *
+ * シナリオ: results / no_results / redirect / error / slow
+ * 起動後、別のターミナルでモックに向けてサーバーを起動する:
+ *   AUCFAN_BASE_URL=http://127.0.0.1:4010 LINE_API_BASE_URL=http://127.0.0.1:4010 npm start
+ */
+const { createMockAucfan } = require('../test/support/mock-aucfan');
+
+function parseArgs(argv) {
+  const args = { port: 4010, defaultScenario: 'results', scenarios: {}, delayMs: 5000 };
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      args.port = parseInt(argv[++i], 10);
+    } else if (arg === '--default') {
+      args.defaultScenario = argv[++i];
+    } else if (arg === '--scenario') {
+      const [query, type] = argv[++i].split('=');
+      args.scenarios[query] = type;
+    } else if (arg === '--delay') {
+      args.delayMs = parseInt(argv[++i], 10);
+    }
+  }
+  
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const withDelay = (type) => ({ type, delayMs: args.delayMs });
+  const scenarios = Object.fromEntries(Object.entries(args.scenarios).map(([query, type]) => [query, withDelay(type)]));
+  const mock = createMockAucfan({ defaultScenario: withDelay(args.defaultScenario), scenarios });
+  
+  mock.server.on('request', req => console.log(`📥 ${req.method} ${decodeURIComponent(req.url)}`));
+  const baseURL = await mock.listen(args.port);
+  
+  console.log(`🧪 モックサーバー起動: ${baseURL}（既定シナリオ: ${args.defaultScenario}）`);
+  Object.entries(args.scenarios).forEach(([query, type]) => console.log(`  ${query} → ${type}`));
+  console.log(`💡 AUCFAN_BASE_URL=${baseURL} LINE_API_BASE_URL=${baseURL} npm start`);
+}
+
+main().catch(error => {
+  console.error('❌ モックサーバー起動エラー:', error.message);
+  process.exit(1);
+});
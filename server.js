@@ -1,11 +1,46 @@
 require('dotenv').config();
+const path = require('path');
 const express = require('express');
-const axios = require('axios');
-const cheerio = require('cheerio');
+const { registerSource, listSources, getEnabledSources, collectFromSources } = require('./lib/sources');
+const { createAucfanSource, decodeResponse } = require('./lib/sources/aucfan');
+const { normalizeQuery, buildCacheKey, createMemoryBackend, createFileBackend, createResultCache } = require('./lib/cache');
+const { createHistoryStore, summarizeHistory } = require('./lib/history');
+const { sleep, mapWithConcurrency } = require('./lib/concurrency');
+const { parseCSV, toCSV, readLots, appendResultColumns, encodeCSV, isShiftJIS } = require('./lib/csv');
+const { DEFAULT_PROFILE_NAME, loadCostProfiles, calculateCost, calculateProfitRate, findMaxAuctionPrice, describeCostItems } = require('./lib/costs');
+const { loadSellPlatforms, listShippingSizes, isKnownShippingSize, resolveShippingSize, calculateNetProceeds } = require('./lib/proceeds');
+const { JUDGMENT_TIERS, DEFAULT_RULE_SET_NAME, loadJudgmentRules, selectRuleSet, getTiers, describeRuleSet } = require('./lib/judgment');
+const { detectBrandAndCategory } = require('./lib/keywords');
+const { PRICE_STATISTICS, describePrices, resolveStatistic, pickStatistic } = require('./lib/stats');
+const { createParserHealth } = require('./lib/parser-health');
+const { createAlertNotifier } = require('./lib/alerts');
+const { dedupeResults } = require('./lib/dedupe');
+const { resolveRelevanceThreshold, filterByRelevance } = require('./lib/relevance');
+const { CONDITIONS, resolveCondition, withCondition, selectByCondition, summarizeByCondition } = require('./lib/condition');
+const { createExclusionRules } = require('./lib/exclusions');
+const { describeFilterExclusion, createExplainer } = require('./lib/explain');
+const { SNAPSHOT_MODES, resolveSnapshotMode, createPageSnapshotStore } = require('./lib/page-snapshots');
+const { createRateLimiter } = require('./lib/rate-limiter');
+const { BUNDLE_MODES, resolveBundleMode, resolveQuantity, normalizeBundles } = require('./lib/bundles');
+const { ATTRIBUTES, resolveAttributes, resolveVariant, describeVariant, withAttributes, selectByVariant, summarizeVariants } = require('./lib/variants');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+/**
+ * LINE Messaging API クライアント（返信・プッシュ）
+ * 送信先は LINE_API_BASE_URL で変更可能（結合テストではモックサーバーに送る）
+ */
+function createLineClient(line, config) {
+  const api = new line.messagingApi.MessagingApiClient({ channelAccessToken: config.channelAccessToken, baseURL: config.baseURL });
+  const toMessages = (messages) => Array.isArray(messages) ? messages : [messages];
+  
+  return {
+    replyMessage: (replyToken, messages) => api.replyMessage({ replyToken, messages: toMessages(messages) }),
+    pushMessage: (to, messages) => api.pushMessage({ to, messages: toMessages(messages) })
+  };
+}
+
 // LINE Bot関連の設定（環境変数が設定されている場合のみ）
 let line, client;
 const hasLineConfig = process.env.LINE_CHANNEL_SECRET && process.env.LINE_CHANNEL_ACCESS_TOKEN;
@@ -17,7 +52,7 @@ if (hasLineConfig) {
       channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
       channelSecret: process.env.LINE_CHANNEL_SECRET,
     };
-    client = new line.Client(config);
+    client = createLineClient(line, { ...config, baseURL: process.env.LINE_API_BASE_URL });
     console.log('✅ LINE Bot機能が有効です');
   } catch (e) {
     console.log('⚠️ LINE SDK not found, running without LINE Bot functionality');
@@ -26,63 +61,75 @@ if (hasLineConfig) {
   console.log('⚠️ LINE環境変数が設定されていません。API専用モードで起動します。');
 }
 
-// HTTPクライアントの設定（リダイレクト対応）
-const httpClient = axios.create({
-  timeout: 15000,
-  maxRedirects: 3,
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-    'Accept-Language': 'ja,en-US;q=0.5,en;q=0.3',
-    'Accept-Encoding': 'gzip, deflate',
-    'DNT': '1',
-    'Connection': 'keep-alive',
-    'Cache-Control': 'no-cache',
-    'Pragma': 'no-cache'
-  }
+// 相場データソースの登録
+const aucfanSource = registerSource(createAucfanSource());
+
+// 外部サイトへの取得の流量制限（LINE・APIの同時利用でもプロセス全体で順番待ちさせる）
+const outboundLimiter = createRateLimiter({
+  ratePerSecond: process.env.OUTBOUND_RATE_PER_SEC,
+  burst: process.env.OUTBOUND_BURST,
+  maxConcurrency: process.env.OUTBOUND_MAX_CONCURRENCY
 });
 
-/**
- * 価格文字列から数値を抽出
- */
-function extractPrice(priceText) {
-  if (!priceText) return 0;
-  
-  const numStr = priceText.replace(/[^\d]/g, '');
-  const price = parseInt(numStr);
-  return isNaN(price) ? 0 : price;
-}
+// 検索結果キャッシュの設定（RESULT_CACHE_TTL=0 で無効）
+const resultCache = createResultCache({
+  backend: process.env.RESULT_CACHE_BACKEND === 'file'
+    ? createFileBackend(process.env.RESULT_CACHE_FILE || path.join(__dirname, 'data', 'result-cache.json'))
+    : createMemoryBackend(),
+  ttl: parseInt(process.env.RESULT_CACHE_TTL || '3600'),
+  staleTTL: parseInt(process.env.RESULT_CACHE_STALE_TTL || '86400')
+});
 
-/**
- * 文字エンコーディングを適切に処理（日本語強化版）
- */
-function decodeResponse(buffer) {
-  try {
-    const utf8Text = buffer.toString('utf8');
-    if (!utf8Text.includes('�')) {
-      return utf8Text;
-    }
-  } catch (e) {
-    // エラーの場合は続行
-  }
+// コストプロファイル（COST_PROFILES_FILE で追加・上書き）
+const costProfiles = loadCostProfiles(process.env.COST_PROFILES_FILE || path.join(__dirname, 'config', 'cost-profiles.json'));
 
-  try {
-    const iconv = require('iconv-lite');
-    const sjisText = iconv.decode(buffer, 'shift_jis');
-    if (!sjisText.includes('�')) {
-      return sjisText;
-    }
-    
-    const eucText = iconv.decode(buffer, 'euc-jp');
-    if (!eucText.includes('�')) {
-      return eucText;
-    }
-    
-    return sjisText;
-  } catch (e) {
-    return buffer.toString('utf8');
-  }
-}
+// 販売プラットフォーム別の手数料・送料（組み込み設定を SELL_PLATFORMS_FILE で上書き）
+const sellPlatforms = loadSellPlatforms(process.env.SELL_PLATFORMS_FILE);
+
+// カテゴリ別の判定ルール（JUDGMENT_RULES_FILE で追加・上書き）
+const judgmentRules = loadJudgmentRules(process.env.JUDGMENT_RULES_FILE || path.join(__dirname, 'config', 'judgment-rules.json'));
+
+// 広告・ノイズの除外ルール（EXCLUSION_RULES_FILE で上書き、変更は再起動なしで反映）
+const exclusionRules = createExclusionRules(process.env.EXCLUSION_RULES_FILE || path.join(__dirname, 'config', 'exclusion-rules.json'), {
+  watch: process.env.EXCLUSION_RULES_WATCH !== 'false',
+  // ルール変更前の除外結果を返さないよう、キャッシュ済みの相場を破棄
+  onReload: () => resultCache.purge()
+});
+
+// 入札ラダーで表示する目標利益率（%）
+const BID_LADDER_RATES = (process.env.BID_LADDER_RATES || '0,10,20,30,50')
+  .split(',')
+  .map(rate => parseFloat(rate))
+  .filter(rate => !isNaN(rate));
+
+// 一括評価の設定
+const BATCH_MAX_LOTS = parseInt(process.env.BATCH_MAX_LOTS || '300');
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || '2');
+const BATCH_MAX_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY || '5');
+const BATCH_DELAY_MS = parseInt(process.env.BATCH_DELAY_MS || '1000');
+
+// 価格履歴ストア（検索ごとのスナップショットを保存）
+const historyStore = createHistoryStore(process.env.HISTORY_FILE || path.join(__dirname, 'data', 'price-history.jsonl'));
+
+// 取得ページのスナップショット（SNAPSHOT_MODE=capture で保存、replay で保存済みページから再現）
+const pageSnapshots = createPageSnapshotStore(process.env.SNAPSHOT_DIR || path.join(__dirname, 'data', 'snapshots'));
+
+// 運用アラートの送信先（LINE管理者 / Webhook）
+const alertNotifier = createAlertNotifier({
+  lineClient: client,
+  adminUserId: process.env.LINE_ADMIN_USER_ID,
+  webhookURL: process.env.ALERT_WEBHOOK_URL
+});
+
+// 抽出方式の集計（フォールバック率・0件抽出率が閾値を超えたら通知）
+const parserHealth = createParserHealth({
+  windowSize: parseInt(process.env.PARSER_ALERT_WINDOW || '50'),
+  minSamples: parseInt(process.env.PARSER_ALERT_MIN_SAMPLES || '10'),
+  fallbackRateThreshold: parseFloat(process.env.PARSER_ALERT_FALLBACK_RATE || '0.3'),
+  emptyRateThreshold: parseFloat(process.env.PARSER_ALERT_EMPTY_RATE || '0.5'),
+  cooldownMs: parseInt(process.env.PARSER_ALERT_COOLDOWN_MINUTES || '60') * 60 * 1000,
+  notify: alertNotifier.notify
+});
 
 /**
  * 日付文字列を解析して現在からの経過月数を計算
@@ -96,12 +143,13 @@ function parseDate(dateText) {
   
   let year, month, day;
   
+  // 年付きの形式を先に判定（「2024年5月3日」が「5月3日」として今年扱いにならないように）
   const patterns = [
     /(\d{4})[-\/](\d{1,2})[-\/](\d{1,2})/,
-    /(\d{1,2})[-\/](\d{1,2})/,
-    /(\d{1,2})月(\d{1,2})日/,
     /(\d{4})年(\d{1,2})月(\d{1,2})日/,
     /(\d{4})年(\d{1,2})月/,
+    /(\d{1,2})[-\/](\d{1,2})/,
+    /(\d{1,2})月(\d{1,2})日/,
     /(\d{1,2})月/
   ];
   
@@ -127,6 +175,10 @@ function parseDate(dateText) {
           month = parseInt(match[1]);
           day = 1;
         }
+        // 年なしで未来の月になる場合は昨年とみなす
+        if (month > currentMonth) {
+          year -= 1;
+        }
       }
       break;
     }
@@ -143,35 +195,32 @@ function parseDate(dateText) {
 
 /**
  * 価格データから異常値・広告データを除外し、直近1年のデータに限定
+ * 除外したデータは除外理由のルール名（excludedBy）を付けて options.excluded に追加する
+ * （除外ルールの名前、直近1年の条件は 'recent-only'、統計的外れ値は 'iqr-outlier'）
+ * @param {Object[]} results
+ * @param {Object} [options]
+ * @param {Object[]} [options.excluded] 除外したデータの格納先
+ * @param {Object} [options.bounds] 統計的外れ値の判定範囲の格納先（q1 / q3 / lower / upper / applied）
  */
-function filterValidPrices(results) {
+function filterValidPrices(results, options = {}) {
   if (results.length === 0) return results;
   
+  const excluded = options.excluded || [];
   console.log(`🧹 フィルタリング開始: ${results.length}件`);
   
-  // 1. まず明らかに広告や無関係な価格を除外
+  // 1. 除外ルール（広告・無関係な価格など）に一致するデータを除外
   let filtered = results.filter(item => {
-    const price = item.price;
-    const title = item.title.toLowerCase();
-    
-    const adKeywords = [
-      '初月無料', '月額', 'プレミアム', '会員', '登録', '2200円', '998円',
-      '入会', 'オークファン', 'aucfan', '無料', 'free', '円/税込',
-      'プラン', 'サービス', '利用', 'アップグレード', '課金', '支払い'
-    ];
-    
-    const hasAdKeyword = adKeywords.some(keyword => title.includes(keyword));
-    const isTooLowPrice = price < 300;
-    
-    if (hasAdKeyword || isTooLowPrice) {
-      console.log(`🚫 除外: ${title} (${price}円) - ${hasAdKeyword ? '広告キーワード' : '低価格'}検出`);
+    const rule = exclusionRules.match(item);
+    if (rule) {
+      console.log(`🚫 除外: ${item.title} (${item.price}円) - ルール「${rule.name}」`);
+      excluded.push({ ...item, excludedBy: rule.name });
       return false;
     }
     
     return true;
   });
   
-  console.log(`🧹 広告フィルタ: ${results.length}件 → ${filtered.length}件`);
+  console.log(`🧹 除外ルール: ${results.length}件 → ${filtered.length}件`);
   
   // 2. 直近1年のデータに限定
   const oneYearAgo = 12;
@@ -184,6 +233,7 @@ function filterValidPrices(results) {
     const isRecent = parsedDate.monthsAgo <= oneYearAgo;
     if (!isRecent) {
       console.log(`📅 古いデータ除外: ${item.title} (${parsedDate.monthsAgo}ヶ月前)`);
+      excluded.push({ ...item, excludedBy: 'recent-only' });
     }
     return isRecent;
   });
@@ -214,462 +264,81 @@ function filterValidPrices(results) {
     console.log(`📊 統計フィルタ: ${recentResults.length}件 → ${finalResults.length}件`);
     console.log(`📊 有効価格範囲: ${Math.round(lowerBound).toLocaleString()}円 〜 ${Math.round(upperBound).toLocaleString()}円`);
     
-    return finalResults.length >= 3 ? finalResults : recentResults;
+    const bounds = { lower: Math.round(lowerBound), upper: Math.round(upperBound) };
+    if (options.bounds) {
+      Object.assign(options.bounds, { q1, q3, ...bounds, applied: finalResults.length >= 3 });
+    }
+    
+    if (finalResults.length < 3) {
+      return recentResults;
+    }
+    recentResults
+      .filter(item => !finalResults.includes(item))
+      .forEach(item => excluded.push({ ...item, excludedBy: 'iqr-outlier', bounds }));
+    return finalResults;
   }
   
   return recentResults;
 }
 
 /**
- * オークファンの検索結果HTMLを解析（メルカリ・ヤフオク限定）
+ * 出品中（未落札）のデータを除外（落札状況が判別できないデータは落札相場として残す）
  */
-async function parseAucfanResults(html, query) {
-  console.log(`📄 HTML長: ${html.length}文字`);
-  
-  const $ = cheerio.load(html);
-  const results = [];
-  
-  // HTML構造の詳細分析
-  console.log('🔍 HTML構造詳細分析:');
-  
-  const tables = $('table');
-  console.log(`📊 テーブル数: ${tables.length}`);
-  
-  tables.each((index, table) => {
-    const $table = $(table);
-    const rows = $table.find('tr');
-    console.log(`📊 テーブル${index + 1}: ${rows.length}行`);
-    
-    if (rows.length > 0) {
-      rows.slice(0, 3).each((rowIndex, row) => {
-        const $row = $(row);
-        const cells = $row.find('td, th');
-        console.log(`  行${rowIndex + 1}: ${cells.length}セル - "${$row.text().trim().substring(0, 100)}..."`);
-      });
-    }
-  });
-  
-  // クラス名のパターンを調査
-  const allElements = $('*[class]');
-  const classNames = new Set();
-  allElements.each((index, element) => {
-    const classes = $(element).attr('class');
-    if (classes) {
-      classes.split(' ').forEach(cls => {
-        if (cls.length > 0) classNames.add(cls);
-      });
-    }
-  });
-  
-  const relevantClasses = Array.from(classNames).filter(cls => 
-    cls.includes('product') || 
-    cls.includes('item') || 
-    cls.includes('result') || 
-    cls.includes('list') ||
-    cls.includes('auction') ||
-    cls.includes('search')
-  );
-  console.log('🎯 関連するクラス名:', relevantClasses.slice(0, 20));
-  
-  // プラットフォーム検出のデバッグ（全要素を対象に）
-  const mercariElements = $('*:contains("メルカリ")');
-  const yahooElements = $('*:contains("ヤフオク"), *:contains("Yahoo")');
-  const priceElements = $('*:contains("円")');
-  
-  console.log(`📱 プラットフォーム検出: メルカリ${mercariElements.length}要素, ヤフオク${yahooElements.length}要素`);
-  console.log(`💰 価格要素: ${priceElements.length}要素`);
-  console.log(`🔗 リンク数: ${$('a').length}`);
-  
-  // 実際のデータが含まれている要素を直接検索
-  console.log('🔍 価格とプラットフォームの両方を含む要素を検索:');
-  
-  // メルカリかつ価格を含む要素
-  const mercariWithPrice = $('*').filter(function() {
-    const text = $(this).text();
-    return text.includes('メルカリ') && text.includes('円') && !text.includes('メルカリShops');
-  });
-  
-  // ヤフオクかつ価格を含む要素
-  const yahooWithPrice = $('*').filter(function() {
-    const text = $(this).text();
-    return (text.includes('ヤフオク') || text.includes('Yahoo')) && text.includes('円') && !text.includes('ショッピング');
-  });
-  
-  console.log(`📊 メルカリ+価格要素: ${mercariWithPrice.length}件`);
-  console.log(`📊 ヤフオク+価格要素: ${yahooWithPrice.length}件`);
-  
-  // 直接的なデータ抽出アプローチ
-  console.log('🎯 直接データ抽出を開始:');
-  
-  // メルカリデータの抽出
-  mercariWithPrice.each((index, element) => {
-    if (results.length >= 100) return false;
-    
-    const $el = $(element);
-    const text = $el.text();
-    
-    // メルカリShopsは除外
-    if (text.includes('メルカリShops') || text.includes('メルカリshops')) return true;
-    
-    // 価格抽出
-    const priceMatches = text.match(/(\d{1,3}(?:,\d{3})*|\d+)円/g);
-    if (!priceMatches) return true;
-    
-    let extractedPrice = 0;
-    for (const match of priceMatches) {
-      const price = extractPrice(match);
-      if (price > 300 && price < 10000000) {
-        extractedPrice = price;
-        break;
-      }
-    }
-    
-    if (extractedPrice === 0) return true;
-    
-    // タイトル抽出（階層的に探索）
-    let title = '';
-    const searchElements = [$el, $el.parent(), $el.parent().parent()];
-    
-    for (const $searchEl of searchElements) {
-      // リンクテキストを優先
-      const linkText = $searchEl.find('a').first().text().trim();
-      if (linkText && linkText.length > 10 && linkText.length < 200) {
-        title = linkText;
-        break;
-      }
-      
-      // 要素テキストから商品名らしき部分を抽出
-      const fullText = $searchEl.text().trim();
-      // 改行や複数スペースで分割
-      const textParts = fullText.split(/[\n\r]+|\s{2,}/).map(part => part.trim());
-      
-      for (const part of textParts) {
-        if (part.length > 10 && part.length < 200 && 
-            !part.match(/^\d+[円,]/) && // 価格のみではない
-            !part.match(/^\d{4}[-\/]/) && // 日付のみではない
-            !part.match(/^(メルカリ|ヤフオク|Yahoo)$/) && // プラットフォーム名のみではない
-            !part.includes('初月無料') &&
-            !part.includes('プレミアム')) {
-          title = part;
-          break;
-        }
-      }
-      
-      if (title) break;
-    }
-    
-    if (title) {
-      console.log(`📝 メルカリデータ取得 ${results.length + 1}: ${title.substring(0, 40)}... - ${extractedPrice}円`);
-      
-      results.push({
-        title: title.substring(0, 100),
-        price: extractedPrice,
-        date: '',
-        url: '',
-        imageURL: '',
-        platform: 'メルカリ'
-      });
-    }
-  });
-  
-  // ヤフオクデータの抽出
-  yahooWithPrice.each((index, element) => {
-    if (results.length >= 100) return false;
-    
-    const $el = $(element);
-    const text = $el.text();
-    
-    // Yahoo!ショッピングは除外
-    if (text.includes('ショッピング') || text.includes('shopping')) return true;
-    
-    // 価格抽出
-    const priceMatches = text.match(/(\d{1,3}(?:,\d{3})*|\d+)円/g);
-    if (!priceMatches) return true;
-    
-    let extractedPrice = 0;
-    for (const match of priceMatches) {
-      const price = extractPrice(match);
-      if (price > 300 && price < 10000000) {
-        extractedPrice = price;
-        break;
-      }
-    }
-    
-    if (extractedPrice === 0) return true;
-    
-    // タイトル抽出
-    let title = '';
-    const searchElements = [$el, $el.parent(), $el.parent().parent()];
-    
-    for (const $searchEl of searchElements) {
-      const linkText = $searchEl.find('a').first().text().trim();
-      if (linkText && linkText.length > 10 && linkText.length < 200) {
-        title = linkText;
-        break;
-      }
-      
-      const fullText = $searchEl.text().trim();
-      const textParts = fullText.split(/[\n\r]+|\s{2,}/).map(part => part.trim());
-      
-      for (const part of textParts) {
-        if (part.length > 10 && part.length < 200 && 
-            !part.match(/^\d+[円,]/) &&
-            !part.match(/^\d{4}[-\/]/) &&
-            !part.match(/^(メルカリ|ヤフオク|Yahoo)$/) &&
-            !part.includes('初月無料') &&
-            !part.includes('プレミアム')) {
-          title = part;
-          break;
-        }
-      }
-      
-      if (title) break;
-    }
-    
-    if (title) {
-      console.log(`📝 ヤフオクデータ取得 ${results.length + 1}: ${title.substring(0, 40)}... - ${extractedPrice}円`);
-      
-      results.push({
-        title: title.substring(0, 100),
-        price: extractedPrice,
-        date: '',
-        url: '',
-        imageURL: '',
-        platform: 'ヤフオク'
-      });
-    }
-  });
+function excludeListings(results) {
+  const soldResults = results.filter(item => item.status !== 'listing');
   
-  console.log(`✅ 直接抽出完了: ${results.length}件`);
-  
-  // 既存のセレクタベースの抽出は補完として実行
-  if (results.length === 0) {
-    console.log('🔄 セレクタベースの補完抽出を実行');
-    
-    const selectors = [
-      'table tr',
-      '.product-item',
-      '.search-result',
-      '.result-item',
-      'div[class*="item"]',
-      'li[class*="product"]'
-    ];
-    
-    for (const selector of selectors) {
-      console.log(`🔍 補完セレクタ試行: ${selector}`);
-      
-      const elements = $(selector);
-      console.log(`  - 要素数: ${elements.length}`);
-      
-      if (elements.length === 0) continue;
-      
-      elements.each((index, element) => {
-        if (results.length >= 100) return false;
-        
-        const $item = $(element);
-        const itemText = $item.text();
-        
-        // メルカリShopsのみ除外、価格必須
-        const containsMercariShops = itemText.includes('メルカリShops') ||
-                                    itemText.includes('メルカリshops');
-        
-        if (containsMercariShops || !itemText.includes('円')) {
-          return true;
-        }
-        
-        // タイトル抽出
-        let title = '';
-        if (element.tagName.toLowerCase() === 'tr') {
-          const cells = $item.find('td');
-          cells.each((cellIndex, cell) => {
-            const $cell = $(cell);
-            const cellText = $cell.text().trim();
-            const cellLink = $cell.find('a').text().trim();
-            
-            if (cellLink && cellLink.length > 10 && cellLink.length < 200) {
-              title = cellLink;
-              return false;
-            } else if (cellText && cellText.length > 10 && cellText.length < 200 && 
-                      !cellText.match(/^\d+[円,]/) && 
-                      !cellText.match(/^\d{4}[-\/]/) &&
-                      !cellText.match(/^(メルカリ|ヤフオク|Yahoo)$/)) {
-              title = cellText;
-              return false;
-            }
-          });
-        }
-        
-        if (!title) {
-          const titleCandidates = [
-            $item.find('a').first().text().trim(),
-            $item.find('.title, .product-title, .item-title').text().trim(),
-            $item.find('h3, h4, h5').text().trim(),
-            $item.text().trim()
-          ];
-          
-          for (const candidate of titleCandidates) {
-            if (candidate && candidate.length > 10 && candidate.length < 200) {
-              title = candidate;
-              break;
-            }
-          }
-        }
-        
-        // 価格抽出
-        let price = 0;
-        const priceMatches = itemText.match(/(\d{1,3}(?:,\d{3})*|\d+)円/g);
-        if (priceMatches) {
-          for (const match of priceMatches) {
-            const extractedPrice = extractPrice(match);
-            if (extractedPrice > 300 && extractedPrice < 10000000) {
-              price = extractedPrice;
-              break;
-            }
-          }
-        }
-        
-        // プラットフォーム判定
-        let platform = 'その他';
-        if (itemText.includes('メルカリ')) {
-          platform = 'メルカリ';
-        } else if (itemText.includes('ヤフオク') || itemText.includes('Yahoo')) {
-          platform = 'ヤフオク';
-        }
-        
-        if (title && title.length > 5 && price > 300) {
-          console.log(`📝 補完データ取得 ${results.length + 1}: ${platform} - ${title.substring(0, 30)}... - ${price}円`);
-          
-          results.push({
-            title: title.substring(0, 100),
-            price,
-            date: '',
-            url: '',
-            imageURL: '',
-            platform
-          });
-        }
-      });
-      
-      if (results.length > 10) {
-        console.log(`✅ 補完セレクタ「${selector}」で追加取得、合計${results.length}件`);
-        break;
-      }
-    }
-  }
-  
-  // フォールバック: 最も積極的な全文検索
-  if (results.length < 5) {
-    console.log('🔄 最終フォールバック: 全文検索で残りのデータを収集');
-    
-    // HTMLを行ごとに分割して解析
-    const lines = html.split('\n');
-    const relevantLines = lines.filter(line => 
-      line.includes('円') && 
-      (line.includes('メルカリ') || line.includes('ヤフオク') || line.includes('Yahoo')) &&
-      !line.includes('メルカリShops')
-    );
-    
-    console.log(`📄 関連する行数: ${relevantLines.length}`);
-    
-    for (let i = 0; i < Math.min(relevantLines.length, 50) && results.length < 50; i++) {
-      const line = relevantLines[i];
-      
-      // 価格抽出
-      const priceMatches = line.match(/(\d{1,3}(?:,\d{3})*|\d+)円/g);
-      if (!priceMatches) continue;
-      
-      let price = 0;
-      for (const match of priceMatches) {
-        const extractedPrice = extractPrice(match);
-        if (extractedPrice > 300 && extractedPrice < 10000000) {
-          price = extractedPrice;
-          break;
-        }
-      }
-      
-      if (price === 0) continue;
-      
-      // タイトル抽出（HTMLタグを除去）
-      let cleanLine = line.replace(/<[^>]*>/g, '').trim();
-      
-      // 複数の区切り文字で分割
-      const parts = cleanLine.split(/[|｜\t]+/).map(part => part.trim());
-      
-      let title = '';
-      for (const part of parts) {
-        if (part.length > 10 && part.length < 200 &&
-            !part.match(/^\d+[円,]/) &&
-            !part.match(/^\d{4}[-\/]/) &&
-            !part.match(/^(メルカリ|ヤフオク|Yahoo)$/) &&
-            !part.includes('初月無料') &&
-            !part.includes('プレミアム')) {
-          title = part;
-          break;
-        }
-      }
-      
-      // タイトルが見つからない場合は全体から抽出
-      if (!title && cleanLine.length > 20 && cleanLine.length < 300) {
-        title = cleanLine.substring(0, 100);
-      }
-      
-      if (title) {
-        const platform = line.includes('メルカリ') ? 'メルカリ' : 'ヤフオク';
-        
-        console.log(`📝 全文検索取得 ${results.length + 1}: ${platform} - ${title.substring(0, 40)}... - ${price}円`);
-        
-        results.push({
-          title: title.substring(0, 100),
-          price,
-          date: '',
-          url: '',
-          imageURL: '',
-          platform
-        });
-      }
-    }
+  if (soldResults.length !== results.length) {
+    console.log(`🏷️ 出品中を除外: ${results.length}件 → ${soldResults.length}件`);
   }
   
-  console.log(`✅ 総取得件数: ${results.length}件（フィルタ前）`);
+  return soldResults;
+}
+
+/**
+ * 抽出データを重複除外・フィルタリングして相場統計を算出
+ * @param {string} query
+ * @param {Object[]} results
+ * @param {Object} [options]
+ * @param {boolean} [options.includeListings] 出品中のデータも相場に含めるか（既定は落札済みのみ）
+ * @param {number} [options.relevanceThreshold] 商品名の関連度の閾値（0〜100、省略時は RELEVANCE_THRESHOLD）
+ * @param {string} [options.condition] 仕入れる商品の状態（指定時は同じ状態のデータで相場を算出）
+ * @param {Object} [options.attributes] バリエーション属性の明示指定（クエリから抽出した属性を上書き）
+ * @param {string} [options.bundleMode] まとめ売りの扱い（normalize: 1個あたりに換算 / exclude: 除外、省略時は BUNDLE_MODE）
+ * @param {boolean} [options.explain] 抽出した全データの採用・除外の理由（explanation）も返すか
+ */
+function summarizeResults(query, results, options = {}) {
+  const explainer = options.explain ? createExplainer(results) : null;
+  const { results: uniqueResults, removed: duplicateCount } = dedupeResults(explainer ? explainer.items : results);
+  const relevanceThreshold = resolveRelevanceThreshold(options.relevanceThreshold);
+  const { results: relevantResults, excluded: relevanceExcluded } = filterByRelevance(uniqueResults.map(item => withAttributes(withCondition(item))), query, relevanceThreshold);
+  const bundleMode = resolveBundleMode(options.bundleMode);
+  const bundles = normalizeBundles(relevantResults, bundleMode);
+  const candidates = options.includeListings ? bundles.results : excludeListings(bundles.results);
+  const ruleExcluded = [];
+  const bounds = {};
+  const validResults = filterValidPrices(candidates, { excluded: ruleExcluded, bounds });
   
-  if (results.length === 0) {
-    console.log('❌ データ抽出に失敗しました。詳細分析:');
-    
-    const htmlSample = html.substring(0, 2000);
-    console.log('📄 HTMLサンプル（最初の2000文字）:');
-    console.log(htmlSample);
-    
-    const lines = html.split('\n');
-    const relevantLines = lines.filter(line => 
-      line.includes('メルカリ') || 
-      line.includes('ヤフオク') || 
-      line.includes('Yahoo')
-    ).slice(0, 10);
-    
-    console.log('🔍 関連する行（最大10行）:');
-    relevantLines.forEach((line, index) => {
-      console.log(`${index + 1}: ${line.trim().substring(0, 150)}...`);
-    });
-  } else {
-    const mercariCount = results.filter(r => r.platform === 'メルカリ').length;
-    const yahooCount = results.filter(r => r.platform === 'ヤフオク').length;
-    console.log(`📊 抽出サマリー: メルカリ${mercariCount}件, ヤフオク${yahooCount}件`);
+  // 状態・バリエーションの指定があれば同じ状態・バリエーションのデータで相場を算出（不足時は不明・全データへ広げる）
+  const condition = resolveCondition(options.condition);
+  const variant = resolveVariant(query, options.attributes);
+  const byCondition = selectByCondition(candidates, condition);
+  const byVariant = selectByVariant(byCondition.results, variant);
+  const isNarrowed = byCondition.match !== 'all' || byVariant.match !== 'all';
+  // 除外理由の一覧は全体に対するフィルタの結果を返す（絞り込み後の再フィルタ分は含めない）
+  const narrowedExcluded = [];
+  const narrowedBounds = {};
+  const filteredResults = isNarrowed ? filterValidPrices(byVariant.results, { excluded: narrowedExcluded, bounds: narrowedBounds }) : validResults;
+  if (condition) {
+    console.log(`🏷️ 状態で絞り込み: ${CONDITIONS[condition].label} (${byCondition.match})`);
+  }
+  if (Object.keys(variant).length > 0) {
+    console.log(`🧩 バリエーションで絞り込み: ${describeVariant(variant)} (${byVariant.match})`);
   }
   
-  const filteredResults = filterValidPrices(results);
-  
-  let avgPrice = 0;
-  let maxPrice = 0;
-  let minPrice = 0;
+  const stats = describePrices(filteredResults.map(r => r.price));
   
   if (filteredResults.length > 0) {
-    const prices = filteredResults.map(r => r.price);
-    const total = prices.reduce((sum, price) => sum + price, 0);
-    avgPrice = Math.round(total / prices.length);
-    maxPrice = Math.max(...prices);
-    minPrice = Math.min(...prices);
-    
-    console.log(`📊 最終統計: 平均${avgPrice}円, 最高${maxPrice}円, 最低${minPrice}円`);
+    console.log(`📊 最終統計: 平均${stats.avgPrice}円, 中央値${stats.medianPrice}円, 最高${stats.maxPrice}円, 最低${stats.minPrice}円, 信頼度${stats.confidence.score}`);
     console.log(`📊 プラットフォーム内訳: メルカリ${filteredResults.filter(r => r.platform === 'メルカリ').length}件, ヤフオク${filteredResults.filter(r => r.platform === 'ヤフオク').length}件`);
   }
   
@@ -677,169 +346,267 @@ async function parseAucfanResults(html, query) {
     query,
     results: filteredResults,
     count: filteredResults.length,
-    avgPrice,
-    maxPrice,
-    minPrice,
+    ...stats,
     originalCount: results.length,
+    duplicateCount,
+    listingCount: bundles.results.filter(item => item.status === 'listing').length,
+    includeListings: !!options.includeListings,
+    relevanceThreshold,
+    relevanceExcluded,
+    ruleExcluded,
+    bundleMode,
+    bundleNormalizedCount: bundles.normalizedCount,
+    bundleExcluded: bundles.excluded,
+    condition,
+    conditionMatch: byCondition.match,
+    conditionBreakdown: summarizeByCondition(validResults),
+    variant,
+    variantMatch: byVariant.match,
+    variantBreakdown: summarizeVariants(validResults),
+    ...(explainer ? {
+      explanation: explainResults(explainer, {
+        uniqueResults, relevanceExcluded, relevanceThreshold, bundles, candidates, ruleExcluded, bounds,
+        condition, byCondition, variant, byVariant, isNarrowed, narrowedExcluded, narrowedBounds, filteredResults
+      })
+    } : {}),
     isLoggedIn: false
   };
 }
 
 /**
- * オークファンから相場情報を取得
+ * summarizeResults の各段階の結果から、抽出した全データの採用・除外の理由を組み立てる
  */
-async function scrapeAucfan(query) {
-  try {
-    console.log(`🔍 検索開始: ${query}`);
-    
-    let encodedQuery;
-    if (/[ひらがなカタカナ漢字]/.test(query)) {
-      console.log(`🔤 日本語クエリ検出: ${query}`);
-      encodedQuery = encodeURIComponent(query);
-      console.log(`📝 エンコード結果: ${encodedQuery}`);
-    } else {
-      encodedQuery = encodeURIComponent(query);
-    }
-    
-    const aucfanURL = `https://aucfan.com/search1/q-${encodedQuery}/`;
-    console.log(`📍 URL: ${aucfanURL}`);
-    
-    const response = await httpClient.get(aucfanURL, {
-      responseType: 'arraybuffer',
-      maxRedirects: 3,
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'ja,en-US;q=0.5,en;q=0.3',
-        'Accept-Encoding': 'gzip, deflate',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      },
-      validateStatus: function (status) {
-        return status >= 200 && status < 400;
-      }
-    });
-    
-    if (response.status !== 200) {
-      throw new Error(`HTTPエラー: ${response.status}`);
-    }
-    
-    const buffer = Buffer.from(response.data);
-    const html = decodeResponse(buffer);
-    
-    console.log(`📄 HTML長: ${html.length}文字`);
-    
-    if (html.includes('検索結果が見つかりません') || html.includes('該当する商品が見つかりません')) {
-      console.log('❌ 検索結果なし');
-      return {
-        query,
-        results: [],
-        count: 0,
-        avgPrice: 0,
-        maxPrice: 0,
-        minPrice: 0,
-        originalCount: 0,
-        isLoggedIn: false
-      };
-    }
-    
-    return await parseAucfanResults(html, query);
-    
-  } catch (error) {
-    console.error('❌ スクレイピングエラー:', error.message);
-    
-    if (error.message.includes('redirect')) {
-      console.log('🔄 リダイレクト回避で再試行');
-      try {
-        const simpleURL = `https://aucfan.com/search1/q-${encodeURIComponent(query)}/`;
-        const response = await httpClient.get(simpleURL, {
-          responseType: 'arraybuffer',
-          maxRedirects: 0,
-          timeout: 10000,
-          validateStatus: function (status) {
-            return status >= 200 && status < 400;
-          }
-        });
-        
-        const buffer = Buffer.from(response.data);
-        const html = decodeResponse(buffer);
-        return await parseAucfanResults(html, query);
-        
-      } catch (retryError) {
-        console.error('❌ 再試行も失敗:', retryError.message);
-      }
-    }
-    
-    if (error.response) {
-      console.error('- レスポンスステータス:', error.response.status);
+function explainResults(explainer, stages) {
+  explainer.markDuplicates(stages.uniqueResults);
+  explainer.markExcluded(stages.relevanceExcluded, item => ({
+    stage: 'relevance',
+    reason: `関連度${item.relevance}点（閾値${stages.relevanceThreshold}点）${item.reasons.length > 0 ? `: ${item.reasons.join(' / ')}` : ''}`
+  }));
+  explainer.markExcluded(stages.bundles.excluded, item => ({
+    stage: 'bundle',
+    reason: item.bundle.quantity ? `まとめ売り（${item.bundle.quantity}個）` : 'まとめ売り（数量不明）'
+  }));
+  explainer.markDropped(stages.bundles.results, stages.candidates, 'listing', '出品中（未落札）');
+  
+  // 絞り込み時は、絞り込んだデータ内の再フィルタで除外されたものを先に記録する
+  // （全体では外れ値でも絞り込んだデータでは採用される場合があるため）
+  explainer.markExcluded(stages.narrowedExcluded, describeFilterExclusion);
+  if (stages.isNarrowed) {
+    explainer.markDropped(stages.candidates, stages.byCondition.results, 'condition', `状態が${CONDITIONS[stages.condition] ? CONDITIONS[stages.condition].label : '指定'}と異なる`);
+    explainer.markDropped(stages.byCondition.results, stages.byVariant.results, 'variant', `バリエーションが${describeVariant(stages.variant)}と異なる`);
+  }
+  explainer.markExcluded(stages.ruleExcluded, describeFilterExclusion);
+  
+  return explainer.build(stages.filteredResults, {
+    iqrBounds: Object.keys(stages.bounds).length > 0 ? stages.bounds : null,
+    narrowedIqrBounds: Object.keys(stages.narrowedBounds).length > 0 ? stages.narrowedBounds : null
+  });
+}
+
+/**
+ * 有効なデータソースを横断して相場情報を取得
+ * @param {string} query 検索クエリ
+ * @param {Object} [options]
+ * @param {string[]|string} [options.sources] 使用するソース名（省略時は MARKET_SOURCES）
+ * @param {boolean} [options.includeListings] 出品中のデータも相場に含めるか
+ * @param {number} [options.relevanceThreshold] 商品名の関連度の閾値
+ * @param {string} [options.condition] 仕入れる商品の状態
+ * @param {Object} [options.attributes] バリエーション属性の明示指定
+ * @param {string} [options.bundleMode] まとめ売りの扱い
+ * @param {boolean} [options.explain] 採用・除外の理由も返すか
+ * @param {string} [options.snapshotMode] 取得ページのスナップショット（off / capture / replay、省略時は SNAPSHOT_MODE）
+ * @param {string} [options.snapshotId] replay で再生するスナップショット（省略時はクエリの最新）
+ * @param {Function} [options.onQueued] ({ ahead, waitMs }) => void 取得を順番待ちに登録したときに呼ばれる（キャッシュから返す場合は呼ばれない）
+ */
+async function searchMarket(query, options = {}) {
+  console.log(`🔍 検索開始: ${query}`);
+  
+  const sources = getEnabledSources(options.sources);
+  const snapshotMode = resolveSnapshotMode(options.snapshotMode);
+  const { results, sources: sourceSummary } = await collectFromSources(query, sources, { snapshots: pageSnapshots, snapshotMode, snapshotId: options.snapshotId, limiter: outboundLimiter, onQueued: options.onQueued });
+  // 再生したページは現在のサイトの状態ではないため、パーサーの監視には含めない
+  if (snapshotMode !== 'replay') {
+    sourceSummary.forEach(source => parserHealth.record(source.name, source.strategy));
+  }
+  
+  return {
+    ...summarizeResults(query, results, { includeListings: options.includeListings, relevanceThreshold: options.relevanceThreshold, condition: options.condition, attributes: options.attributes, bundleMode: options.bundleMode, explain: options.explain }),
+    sources: sourceSummary
+  };
+}
+
+/**
+ * キャッシュ経由で相場情報を取得（正規化したクエリ＋ソース構成をキーにする）
+ */
+async function cachedSearchMarket(query, options = {}) {
+  const normalized = normalizeQuery(query);
+  const sourceNames = getEnabledSources(options.sources).map(source => source.name);
+  const includeListings = !!options.includeListings;
+  const relevanceThreshold = resolveRelevanceThreshold(options.relevanceThreshold);
+  const isDefaultRelevance = relevanceThreshold === resolveRelevanceThreshold();
+  const condition = resolveCondition(options.condition);
+  const attributes = resolveAttributes(options.attributes);
+  const hasAttributes = Object.keys(attributes).length > 0;
+  const bundleMode = resolveBundleMode(options.bundleMode);
+  const isDefaultBundleMode = bundleMode === resolveBundleMode();
+  const explain = !!options.explain;
+  const snapshotMode = resolveSnapshotMode(options.snapshotId ? 'replay' : options.snapshotMode);
+  const isReplay = snapshotMode === 'replay';
+  const key = buildCacheKey(normalized, sourceNames, {
+    includeListings,
+    relevanceThreshold: isDefaultRelevance ? null : relevanceThreshold,
+    condition,
+    attributes,
+    bundleMode: isDefaultBundleMode ? null : bundleMode,
+    explain,
+    replay: isReplay ? options.snapshotId || 'latest' : null
+  });
+  
+  // スナップショットの保存を指定した検索はキャッシュを使わずに取得し直す
+  // 取得の間隔（スクレイピングのマナー）は outboundLimiter で制御する
+  const { value, cache } = await resultCache.wrap(key, normalized, async () => {
+    const result = await searchMarket(query, { sources: sourceNames, includeListings, relevanceThreshold, condition, attributes, bundleMode, explain, snapshotMode, snapshotId: options.snapshotId, onQueued: options.onQueued });
+    // 価格履歴は同じ条件で比較できるよう、出品中を含む検索・関連度の閾値やまとめ売りの扱いを変えた検索・状態や属性を指定した検索は記録しない
+    // （explain 付きの検索は通常の検索と同じ結果のため二重に記録しない、スナップショットの再生は過去のページのため記録しない）
+    if (!includeListings && isDefaultRelevance && isDefaultBundleMode && !condition && !hasAttributes && !explain && !isReplay) {
+      historyStore.record(result);
     }
-    
-    throw new Error(`オークファンの相場取得に失敗しました: ${error.message}`);
+    return result;
+  }, { refresh: options.snapshotMode === 'capture' });
+  
+  return {
+    ...value,
+    // キャッシュから返した結果には、取得時の順番待ちの記録を含めない
+    sources: cache.hit ? value.sources.map(({ queue, ...source }) => source) : value.sources,
+    query,
+    cache
+  };
+}
+
+/**
+ * コストプロファイルを取得（省略時は DEFAULT_COST_PROFILE、既定は default）
+ */
+function getCostProfile(name) {
+  const profileName = name || process.env.DEFAULT_COST_PROFILE || DEFAULT_PROFILE_NAME;
+  const profile = costProfiles[profileName];
+  
+  if (!profile) {
+    throw new Error(`未登録のコストプロファイルです: ${profileName}（利用可能: ${Object.keys(costProfiles).join(', ')}）`);
   }
+  
+  return profile;
+}
+
+/**
+ * 判定に使う統計値を取得（省略時は DEFAULT_PRICE_STATISTIC、既定は mean）
+ */
+function getStatistic(name) {
+  return resolveStatistic(name || process.env.DEFAULT_PRICE_STATISTIC);
+}
+
+/**
+ * 販売基準額と基準の表示名を決める
+ * 手取りが最も多い販路があればその手取り、なければ相場の統計値
+ */
+function resolveSaleValue(result, netProceeds, statistic) {
+  const marketPrice = pickStatistic(result, statistic);
+  const saleValue = netProceeds.best && marketPrice > 0 ? netProceeds.best.netPayout : marketPrice;
+  let basis = netProceeds.best ? `${netProceeds.best.platform}手取り` : '平均相場';
+  
+  if (statistic !== 'mean') {
+    basis = netProceeds.best
+      ? `${basis}・${PRICE_STATISTICS[statistic].label}`
+      : `相場${PRICE_STATISTICS[statistic].label}`;
+  }
+  
+  return { marketPrice, saleValue, basis };
 }
 
 /**
  * 仕入れ判定を行う
+ * @param {number} auctionPrice オークション価格
+ * @param {number} avgPrice 相場価格（販売基準額）
+ * @param {number} count 相場データ件数
+ * @param {Object} [options]
+ * @param {string} [options.costProfile] 原価計算に使うコストプロファイル名
+ * @param {Object} [options.ruleSet] 判定ルールセット（selectRuleSet の戻り値、省略時は標準）
+ * @param {number} [options.quantity] ロットの数量（相場価格は1個あたり、原価はロット総額を数量で割って比較）
  */
-function evaluatePurchase(auctionPrice, avgPrice, count) {
+function evaluatePurchase(auctionPrice, avgPrice, count, options = {}) {
+  const { totalCost } = calculateCost(auctionPrice, getCostProfile(options.costProfile));
+  const unitCost = totalCost / (options.quantity || 1);
+  const ruleSet = options.ruleSet || judgmentRules[DEFAULT_RULE_SET_NAME];
+  
   if (avgPrice === 0 || count === 0) {
     return {
       emoji: "❌",
       decision: "判定不可",
       reason: "相場データなし",
-      totalCost: auctionPrice
+      totalCost
     };
   }
   
-  if (count < 3) {
+  if (count < ruleSet.minSamples) {
     return {
       emoji: "⚠️",
       decision: "判定困難", 
       reason: `データ不足（${count}件のみ）`,
-      totalCost: Math.round(auctionPrice * 1.155)
+      totalCost
     };
   }
   
-  const totalCost = Math.round(auctionPrice * 1.155);
-  const profit = avgPrice - totalCost;
-  const profitRate = Math.round((profit / totalCost) * 100);
+  const profitRate = calculateProfitRate(avgPrice, unitCost);
+  const tier = getTiers(ruleSet).find(t => profitRate >= t.minProfitRate);
   
-  if (profitRate >= 50) {
-    return {
-      emoji: "🟢",
-      decision: "仕入れ推奨",
-      reason: `利益率+${profitRate}%`,
-      totalCost
-    };
-  } else if (profitRate >= 20) {
-    return {
-      emoji: "🟡",
-      decision: "仕入れ検討",
-      reason: `利益率+${profitRate}%`,
-      totalCost
-    };
-  } else if (profitRate >= 0) {
+  if (tier) {
     return {
-      emoji: "🟠",
-      decision: "慎重検討",
+      emoji: tier.emoji,
+      decision: tier.decision,
       reason: `利益率+${profitRate}%`,
       totalCost
     };
-  } else {
-    return {
-      emoji: "🔴",
-      decision: "仕入れNG",
-      reason: `損失${Math.abs(profitRate)}%`,
-      totalCost
-    };
   }
+  
+  return {
+    emoji: "🔴",
+    decision: "仕入れNG",
+    reason: `損失${Math.abs(profitRate)}%`,
+    totalCost
+  };
+}
+
+/**
+ * 目標（利益率 or 判定段階）を利益率の下限に変換
+ * @param {Object} target
+ * @param {number|string} [target.targetProfitRate] 目標利益率（%）
+ * @param {string} [target.targetDecision] 判定段階（例: "🟡 仕入れ検討"）
+ * @param {Object} [ruleSet] 判定ルールセット（省略時は標準）
+ * @returns {{profitRate: number, decision: string|null}}
+ */
+function resolveBidTarget(target = {}, ruleSet = judgmentRules[DEFAULT_RULE_SET_NAME]) {
+  const tiers = getTiers(ruleSet);
+  
+  if (target.targetProfitRate !== undefined && target.targetProfitRate !== null && target.targetProfitRate !== '') {
+    const profitRate = parseFloat(String(target.targetProfitRate).replace(/[%％]/g, ''));
+    if (isNaN(profitRate) || profitRate <= -100) {
+      throw new Error(`目標利益率が不正です: ${target.targetProfitRate}`);
+    }
+    const tier = tiers.find(t => profitRate >= t.minProfitRate);
+    return { profitRate, decision: tier ? `${tier.emoji} ${tier.decision}` : null };
+  }
+  
+  const decisionText = String(target.targetDecision || tiers[1].decision).trim();
+  const tier = tiers.find(t => decisionText.includes(t.decision));
+  if (!tier) {
+    throw new Error(`判定段階が不正です: ${decisionText}（指定可能: ${tiers.map(t => t.decision).join(', ')}）`);
+  }
+  return { profitRate: tier.minProfitRate, decision: `${tier.emoji} ${tier.decision}` };
 }
 
 /**
  * 商品名から類似商品も検索
  */
-async function searchSimilarProducts(originalQuery) {
+async function searchSimilarProducts(originalQuery, options = {}) {
   console.log(`🔄 類似商品検索: ${originalQuery}`);
   
   const similarResults = [];
@@ -850,7 +617,7 @@ async function searchSimilarProducts(originalQuery) {
     
     try {
       console.log(`🔍 類似検索: ${keyword}`);
-      const result = await scrapeAucfan(keyword);
+      const result = await cachedSearchMarket(keyword, options);
       
       if (result.count > 0) {
         similarResults.push({
@@ -860,8 +627,6 @@ async function searchSimilarProducts(originalQuery) {
         });
       }
       
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
     } catch (error) {
       console.log(`⚠️ 類似検索エラー (${keyword}):`, error.message);
     }
@@ -877,14 +642,9 @@ function extractKeywords(productName) {
   const keywords = [];
   const words = productName.split(/[\s\-_\+\/]+/);
   
-  const brands = ['LOUIS VUITTON', 'ルイヴィトン', 'CHANEL', 'シャネル', 'HERMES', 'エルメス', 'GUCCI', 'グッチ', 'PRADA', 'プラダ'];
-  const brandMatch = brands.find(brand => productName.toUpperCase().includes(brand.toUpperCase()));
-  
-  const categories = ['バッグ', 'bag', '財布', 'wallet', '時計', 'watch', 'iPhone', 'iPad'];
-  const categoryMatch = categories.find(category => productName.toLowerCase().includes(category.toLowerCase()));
-  
-  if (brandMatch && categoryMatch) {
-    keywords.push(`${brandMatch} ${categoryMatch}`);
+  const { brand, category } = detectBrandAndCategory(productName);
+  if (brand && category) {
+    keywords.push(`${brand} ${category}`);
   }
   
   const modelPattern = /[A-Z0-9]{3,}/g;
@@ -892,111 +652,865 @@ function extractKeywords(productName) {
   if (models) {
     keywords.push(...models);
   }
-  
-  const importantWords = words.filter(word => 
-    word.length >= 3 && 
-    !['the', 'and', 'for', 'with'].includes(word.toLowerCase())
-  );
-  
-  keywords.push(...importantWords.slice(0, 2));
-  
-  return [...new Set(keywords)].slice(0, 3);
-}
+  
+  const importantWords = words.filter(word => 
+    word.length >= 3 && 
+    !['the', 'and', 'for', 'with'].includes(word.toLowerCase())
+  );
+  
+  keywords.push(...importantWords.slice(0, 2));
+  
+  return [...new Set(keywords)].slice(0, 3);
+}
+
+/**
+ * メイン処理関数
+ * @param {string} modelNumber 型番
+ * @param {number} auctionPrice オークション価格
+ * @param {Object} [options]
+ * @param {string[]|string} [options.sources] 使用するデータソース
+ * @param {string} [options.costProfile] 原価計算に使うコストプロファイル名
+ * @param {string} [options.shippingSize] 販売時の配送サイズ
+ * @param {string} [options.ruleSet] 判定ルール名（省略時は商品名から自動選択）
+ * @param {Object} [options.thresholds] 判定閾値の上書き（recommend / consider / caution / minSamples）
+ * @param {string} [options.statistic] 判定に使う統計値（mean / median / p25 / p75）
+ * @param {boolean} [options.includeListings] 出品中のデータも相場に含めるか
+ * @param {number} [options.relevanceThreshold] 商品名の関連度の閾値（0〜100）
+ * @param {string} [options.condition] 仕入れる商品の状態（new / unused / used / junk）
+ * @param {Object} [options.attributes] バリエーション属性（capacity / carrier / color / size、省略時は型番から抽出）
+ * @param {string} [options.bundleMode] 相場データのまとめ売りの扱い（normalize / exclude）
+ * @param {number} [options.quantity] 仕入れロットの数量（オークション価格はロット総額、1個あたりで判定）
+ * @param {boolean} [options.explain] 抽出した全データの採用・除外の理由も返すか
+ * @param {string} [options.snapshotMode] 取得ページのスナップショット（off / capture / replay）
+ * @param {string} [options.snapshotId] replay で再生するスナップショット（省略時はクエリの最新）
+ * @param {Function} [options.onQueued] ({ ahead, waitMs }) => void 取得を順番待ちに登録したときに呼ばれる（キャッシュから返す場合は呼ばれない）
+ */
+async function processQuery(modelNumber, auctionPrice, options = {}) {
+  try {
+    const statistic = getStatistic(options.statistic);
+    const quantity = resolveQuantity(options.quantity);
+    const ruleSet = selectRuleSet(modelNumber, judgmentRules, { ruleSet: options.ruleSet, thresholds: options.thresholds });
+    const profile = getCostProfile(options.costProfile);
+    const shippingSize = resolveShippingSize(sellPlatforms, options.shippingSize);
+    const searchOptions = { sources: options.sources, includeListings: options.includeListings, relevanceThreshold: options.relevanceThreshold, condition: options.condition, attributes: options.attributes, bundleMode: options.bundleMode, snapshotMode: options.snapshotMode };
+    const result = await cachedSearchMarket(modelNumber, { ...searchOptions, explain: options.explain, snapshotId: options.snapshotId, onQueued: options.onQueued });
+    
+    let similarProducts = [];
+    if (result.count < 5) {
+      console.log('📊 データ件数が少ないため類似商品を検索');
+      try {
+        similarProducts = await searchSimilarProducts(modelNumber, searchOptions);
+      } catch (error) {
+        console.log('⚠️ 類似商品検索をスキップ:', error.message);
+      }
+    }
+    
+    const { handlingFee, fixedFee, shipping, consumptionTax, totalCost } = calculateCost(auctionPrice, profile);
+    
+    // 複数個のロットは1個あたりの原価を1個あたりの相場と比べる
+    const unitCost = Math.round(totalCost / quantity);
+    
+    // 販売手数料・送料を差し引いた手取りが最も多い販路を基準に判定
+    const netProceeds = calculateNetProceeds(result.results, unitCost, sellPlatforms, { shippingSize, statistic });
+    const { marketPrice, saleValue, basis } = resolveSaleValue(result, netProceeds, statistic);
+    
+    const judgment = evaluatePurchase(auctionPrice, saleValue, result.count, { costProfile: profile.name, ruleSet, quantity });
+    const profit = saleValue * quantity - totalCost;
+    const profitRate = saleValue !== 0 ? calculateProfitRate(saleValue * quantity, totalCost) : 0;
+    
+    return {
+      ...result,
+      auctionPrice,
+      handlingFee,
+      fixedFee,
+      shipping,
+      consumptionTax,
+      totalCost,
+      quantity,
+      unitCost,
+      unitProfit: saleValue - unitCost,
+      statistic,
+      marketPrice,
+      costProfile: {
+        name: profile.name,
+        label: profile.label,
+        feeRate: profile.feeRate,
+        fixedFee: profile.fixedFee,
+        shipping: profile.shipping,
+        taxRate: profile.taxRate,
+        taxableItems: profile.taxableItems
+      },
+      judgment: {
+        ...judgment,
+        totalCost,
+        basis,
+        ruleSet: describeRuleSet(ruleSet)
+      },
+      netProceeds,
+      profit,
+      profitRate,
+      similarProducts
+    };
+    
+  } catch (error) {
+    console.error('❌ 処理エラー:', error);
+    throw error;
+  }
+}
+
+/**
+ * 入札上限価格を計算（目標を満たす最大の落札価格と入札ラダー）
+ * @param {string} modelNumber 型番
+ * @param {Object} [options]
+ * @param {number|string} [options.targetProfitRate] 目標利益率（%）
+ * @param {string} [options.targetDecision] 目標とする判定段階
+ * @param {string[]|string} [options.sources] 使用するデータソース
+ * @param {string} [options.costProfile] 原価計算に使うコストプロファイル名
+ * @param {string} [options.shippingSize] 販売時の配送サイズ
+ * @param {string} [options.ruleSet] 判定ルール名（省略時は商品名から自動選択）
+ * @param {Object} [options.thresholds] 判定閾値の上書き
+ * @param {string} [options.statistic] 判定に使う統計値（mean / median / p25 / p75）
+ * @param {boolean} [options.includeListings] 出品中のデータも相場に含めるか
+ * @param {number} [options.relevanceThreshold] 商品名の関連度の閾値（0〜100）
+ * @param {string} [options.condition] 仕入れる商品の状態（new / unused / used / junk）
+ * @param {Object} [options.attributes] バリエーション属性（省略時は型番から抽出）
+ * @param {string} [options.bundleMode] 相場データのまとめ売りの扱い（normalize / exclude）
+ * @param {number} [options.quantity] 仕入れロットの数量（上限価格はロット総額）
+ * @param {boolean} [options.explain] 抽出した全データの採用・除外の理由も返すか
+ * @param {string} [options.snapshotMode] 取得ページのスナップショット（off / capture / replay）
+ * @param {string} [options.snapshotId] replay で再生するスナップショット（省略時はクエリの最新）
+ * @param {Function} [options.onQueued] ({ ahead, waitMs }) => void 取得を順番待ちに登録したときに呼ばれる（キャッシュから返す場合は呼ばれない）
+ */
+async function calculateMaxBid(modelNumber, options = {}) {
+  const statistic = getStatistic(options.statistic);
+  const quantity = resolveQuantity(options.quantity);
+  const ruleSet = selectRuleSet(modelNumber, judgmentRules, { ruleSet: options.ruleSet, thresholds: options.thresholds });
+  const target = resolveBidTarget(options, ruleSet);
+  const profile = getCostProfile(options.costProfile);
+  const shippingSize = resolveShippingSize(sellPlatforms, options.shippingSize);
+  const result = await cachedSearchMarket(modelNumber, { sources: options.sources, includeListings: options.includeListings, relevanceThreshold: options.relevanceThreshold, condition: options.condition, attributes: options.attributes, bundleMode: options.bundleMode, explain: options.explain, snapshotMode: options.snapshotMode, snapshotId: options.snapshotId, onQueued: options.onQueued });
+  
+  // 販路の選択は原価に依存しないため、原価0で手取りを求める
+  const netProceeds = calculateNetProceeds(result.results, 0, sellPlatforms, { shippingSize, statistic });
+  const { marketPrice, saleValue: unitSaleValue, basis } = resolveSaleValue(result, netProceeds, statistic);
+  // 複数個のロットは1個あたりの販売基準額×数量をロット全体の販売見込額とする
+  const saleValue = unitSaleValue * quantity;
+  
+  const bidAt = (profitRate) => {
+    const maxBid = result.count > 0 ? findMaxAuctionPrice(saleValue, profitRate, profile) : null;
+    if (maxBid === null) {
+      return { targetProfitRate: profitRate, maxBid: null };
+    }
+    const { totalCost } = calculateCost(maxBid, profile);
+    return {
+      targetProfitRate: profitRate,
+      maxBid,
+      totalCost,
+      profit: saleValue - totalCost,
+      profitRate: calculateProfitRate(saleValue, totalCost)
+    };
+  };
+  
+  const best = bidAt(target.profitRate);
+  let warning = null;
+  if (result.count === 0) {
+    warning = '相場データがないため上限価格を計算できません';
+  } else if (result.count < ruleSet.minSamples) {
+    warning = `データ不足（${result.count}件のみ）のため参考値です`;
+  }
+  
+  console.log(`🎯 入札上限: ${modelNumber} 目標利益率${target.profitRate}% → ${best.maxBid !== null ? best.maxBid.toLocaleString() + '円' : '算出不可'}`);
+  
+  return {
+    mode: 'maxBid',
+    query: result.query,
+    count: result.count,
+    avgPrice: result.avgPrice,
+    medianPrice: result.medianPrice,
+    p25Price: result.p25Price,
+    p75Price: result.p75Price,
+    maxPrice: result.maxPrice,
+    minPrice: result.minPrice,
+    confidence: result.confidence,
+    relevanceThreshold: result.relevanceThreshold,
+    relevanceExcluded: result.relevanceExcluded,
+    ruleExcluded: result.ruleExcluded,
+    condition: result.condition,
+    conditionMatch: result.conditionMatch,
+    conditionBreakdown: result.conditionBreakdown,
+    variant: result.variant,
+    variantMatch: result.variantMatch,
+    variantBreakdown: result.variantBreakdown,
+    bundleMode: result.bundleMode,
+    bundleNormalizedCount: result.bundleNormalizedCount,
+    bundleExcluded: result.bundleExcluded,
+    ...(result.explanation ? { explanation: result.explanation } : {}),
+    sources: result.sources,
+    statistic,
+    marketPrice,
+    quantity,
+    unitSaleValue,
+    saleValue,
+    basis,
+    target,
+    ...best,
+    costBreakdown: best.maxBid !== null ? calculateCost(best.maxBid, profile) : null,
+    ladder: BID_LADDER_RATES.map(bidAt),
+    costProfile: {
+      name: profile.name,
+      label: profile.label
+    },
+    ruleSet: describeRuleSet(ruleSet),
+    netProceeds,
+    warning,
+    cache: result.cache
+  };
+}
+
+/**
+ * 複数ロットを同時実行数を制限して一括評価
+ * 1ロットの失敗で全体を止めず、ロットごとに結果またはエラーを返す
+ * @param {Object[]} lots [{lotId, modelNumber, auctionPrice, costProfile, shippingSize, ruleSet, statistic, condition, attributes, quantity}]
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] 同時実行数
+ * @param {number} [options.delayMs] 各ロットの開始間隔（ミリ秒）
+ * @param {string[]|string} [options.sources] 使用するデータソース
+ * @param {boolean} [options.includeListings] 出品中のデータも相場に含めるか
+ * @param {number} [options.relevanceThreshold] 商品名の関連度の閾値（0〜100）
+ * @param {string} [options.costProfile] ロットで指定がない場合のコストプロファイル名
+ * @param {string} [options.shippingSize] ロットで指定がない場合の配送サイズ
+ * @param {string} [options.ruleSet] ロットで指定がない場合の判定ルール名
+ * @param {string} [options.statistic] ロットで指定がない場合の統計値
+ * @param {string} [options.condition] ロットで指定がない場合の商品状態
+ * @param {Object} [options.attributes] ロットで指定がない場合のバリエーション属性
+ * @param {string} [options.bundleMode] 相場データのまとめ売りの扱い
+ * @param {Object} [options.thresholds] 判定閾値の上書き
+ * @param {boolean} [options.includeResults] 個別の取引データを含めるか
+ */
+async function evaluateLots(lots, options = {}) {
+  const concurrency = Math.min(options.concurrency || BATCH_CONCURRENCY, BATCH_MAX_CONCURRENCY);
+  const delayMs = options.delayMs !== undefined ? options.delayMs : BATCH_DELAY_MS;
+  
+  console.log(`📦 一括評価開始: ${lots.length}ロット (同時${concurrency}件, 間隔${delayMs}ms)`);
+  
+  const settled = await mapWithConcurrency(lots, async (lot) => {
+    const modelNumber = lot && lot.modelNumber ? String(lot.modelNumber).trim() : '';
+    const auctionPrice = lot ? parseInt(lot.auctionPrice) : NaN;
+    
+    if (!modelNumber) {
+      throw new Error('型番が指定されていません');
+    }
+    if (isNaN(auctionPrice) || auctionPrice <= 0) {
+      throw new Error('オークション価格が不正です');
+    }
+    
+    const result = await processQuery(modelNumber, auctionPrice, {
+      sources: options.sources,
+      includeListings: options.includeListings,
+      relevanceThreshold: options.relevanceThreshold,
+      costProfile: lot.costProfile || options.costProfile,
+      shippingSize: lot.shippingSize || options.shippingSize,
+      ruleSet: lot.ruleSet || options.ruleSet,
+      thresholds: options.thresholds,
+      statistic: lot.statistic || options.statistic,
+      condition: lot.condition || options.condition,
+      attributes: lot.attributes || options.attributes,
+      bundleMode: options.bundleMode,
+      quantity: lot.quantity
+    });
+    
+    if (!options.includeResults) {
+      delete result.results;
+      delete result.relevanceExcluded;
+      delete result.ruleExcluded;
+      delete result.bundleExcluded;
+    }
+    return result;
+  }, { concurrency, delayMs });
+  
+  const lotResults = settled.map((outcome, index) => {
+    const lot = lots[index] || {};
+    const base = {
+      index,
+      lotId: lot.lotId !== undefined ? lot.lotId : null,
+      modelNumber: lot.modelNumber || '',
+      auctionPrice: parseInt(lot.auctionPrice) || 0
+    };
+    
+    if (outcome.status === 'fulfilled') {
+      return { ...base, ok: true, result: outcome.value };
+    }
+    
+    console.log(`⚠️ ロット評価エラー (${base.lotId || index}):`, outcome.reason.message);
+    return { ...base, ok: false, error: outcome.reason.message };
+  });
+  
+  const succeeded = lotResults.filter(lot => lot.ok);
+  const ranking = succeeded
+    .slice()
+    .sort((a, b) => b.result.profitRate - a.result.profitRate)
+    .map((lot, rank) => ({
+      rank: rank + 1,
+      index: lot.index,
+      lotId: lot.lotId,
+      modelNumber: lot.modelNumber,
+      auctionPrice: lot.auctionPrice,
+      avgPrice: lot.result.avgPrice,
+      marketPrice: lot.result.marketPrice,
+      profit: lot.result.profit,
+      profitRate: lot.result.profitRate,
+      judgment: `${lot.result.judgment.emoji} ${lot.result.judgment.decision}`,
+      ruleSet: lot.result.judgment.ruleSet.name
+    }));
+  
+  const decisions = {};
+  succeeded.forEach(lot => {
+    const decision = lot.result.judgment.decision;
+    decisions[decision] = (decisions[decision] || 0) + 1;
+  });
+  
+  console.log(`📦 一括評価完了: 成功${succeeded.length}件, 失敗${lotResults.length - succeeded.length}件`);
+  
+  return {
+    lots: lotResults,
+    summary: {
+      total: lotResults.length,
+      succeeded: succeeded.length,
+      failed: lotResults.length - succeeded.length,
+      decisions,
+      ranking
+    }
+  };
+}
+
+/**
+ * CSV（UTF-8 / Shift_JIS）からロット一覧を読み取る
+ * @param {Buffer|string} input
+ */
+function readCSVLots(input) {
+  const text = Buffer.isBuffer(input) ? decodeResponse(input) : String(input || '');
+  return readLots(parseCSV(text));
+}
+
+/**
+ * CSVのロットを一括評価し、評価結果の列を追加したCSVを返す
+ * @param {{header: string[], rows: string[][], lots: Object[]}} table readCSVLots の戻り値
+ * @param {Object} [options] evaluateLots のオプション + encoding
+ * @returns {Promise<{csv: Buffer, summary: Object}>}
+ */
+async function evaluateCSV(table, options = {}) {
+  const { lots: lotResults, summary } = await evaluateLots(table.lots, options);
+  const csv = encodeCSV(toCSV(appendResultColumns(table.header, table.rows, lotResults)), options.encoding);
+  
+  return { csv, summary };
+}
+
+// LINE Webhook専用のミドルウェア設定
+if (hasLineConfig && line && client) {
+  app.use('/webhook', line.middleware({
+    channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
+    channelSecret: process.env.LINE_CHANNEL_SECRET,
+  }));
+}
+
+app.use((req, res, next) => {
+  if (req.path !== '/webhook') {
+    express.json()(req, res, next);
+  } else {
+    next();
+  }
+});
+app.use(express.urlencoded({ extended: true }));
+
+/**
+ * 検索に使うデータソースを検証（省略時は MARKET_SOURCES の設定を検証）
+ * @returns {string|null} エラーメッセージ（問題なければ null）
+ */
+function validateSources(sources) {
+  const isNameList = typeof sources === 'string' || (Array.isArray(sources) && sources.every(name => typeof name === 'string'));
+  if (sources !== undefined && sources !== null && !isNameList) {
+    return 'sources にはデータソース名の配列またはカンマ区切りの文字列を指定してください';
+  }
+  
+  try {
+    getEnabledSources(sources);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * 検索・判定のオプションを検証（相場を取得する前に不正な指定を弾く）
+ * /api/search・一括評価・CSV一括評価で共通
+ * @param {Object} options sources / costProfile / shippingSize / ruleSet / thresholds / statistic / relevanceThreshold / condition / attributes / bundleMode / quantity
+ * @param {string} [modelNumber] 判定ルールの自動選択に使う型番（一括評価の共通オプションでは省略）
+ * @returns {{error: string, available?: string[]}|null} エラー内容（問題なければ null）
+ */
+function validateSearchOptions(options, modelNumber) {
+  const { sources, costProfile, shippingSize, ruleSet, thresholds, statistic, relevanceThreshold, condition, attributes, bundleMode, quantity } = options;
+  
+  const sourceError = validateSources(sources);
+  if (sourceError) {
+    return { error: sourceError, available: listSources() };
+  }
+  
+  if (costProfile && !costProfiles[costProfile]) {
+    return { error: `未登録のコストプロファイルです: ${costProfile}`, available: Object.keys(costProfiles) };
+  }
+  
+  if (shippingSize && !isKnownShippingSize(sellPlatforms, shippingSize)) {
+    return { error: `未対応の配送サイズです: ${shippingSize}`, available: listShippingSizes(sellPlatforms) };
+  }
+  
+  const checks = [
+    { resolve: () => getStatistic(statistic), available: Object.keys(PRICE_STATISTICS) },
+    { resolve: () => resolveRelevanceThreshold(relevanceThreshold) },
+    { resolve: () => resolveCondition(condition), available: Object.keys(CONDITIONS) },
+    { resolve: () => resolveAttributes(attributes), available: Object.keys(ATTRIBUTES) },
+    { resolve: () => resolveBundleMode(bundleMode), available: BUNDLE_MODES },
+    { resolve: () => resolveQuantity(quantity) },
+    { resolve: () => selectRuleSet(modelNumber, judgmentRules, { ruleSet, thresholds }), available: Object.keys(judgmentRules) }
+  ];
+  
+  for (const check of checks) {
+    try {
+      check.resolve();
+    } catch (error) {
+      return check.available ? { error: error.message, available: check.available } : { error: error.message };
+    }
+  }
+  
+  return null;
+}
+
+// API エンドポイント
+app.post('/api/search', async (req, res) => {
+  try {
+    const { modelNumber, auctionPrice, sources, costProfile, shippingSize, ruleSet, thresholds, statistic, includeListings, relevanceThreshold, condition, attributes, bundleMode, quantity, explain, snapshot, snapshotId, mode, targetProfitRate, targetDecision } = req.body;
+    const isMaxBidMode = mode === 'maxBid';
+    
+    if (!modelNumber || (!auctionPrice && !isMaxBidMode)) {
+      return res.status(400).json({
+        error: isMaxBidMode ? '型番を指定してください' : '型番とオークション価格を指定してください',
+        example: isMaxBidMode
+          ? { mode: 'maxBid', modelNumber: 'iPhone 13 Pro', targetProfitRate: 30 }
+          : { modelNumber: 'iPhone 13 Pro', auctionPrice: 80000, costProfile: DEFAULT_PROFILE_NAME }
+      });
+    }
+    
+    const validationError = validateSearchOptions({ sources, costProfile, shippingSize, ruleSet, thresholds, statistic, relevanceThreshold, condition, attributes, bundleMode, quantity }, modelNumber);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    try {
+      resolveSnapshotMode(snapshot);
+    } catch (error) {
+      return res.status(400).json({
+        error: error.message,
+        available: SNAPSHOT_MODES
+      });
+    }
+    
+    if (snapshotId) {
+      try {
+        if (!pageSnapshots.load(snapshotId)) {
+          return res.status(404).json({ error: `スナップショットが見つかりません: ${snapshotId}` });
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+    
+    // 入札上限モード（目標を満たす最大落札価格を逆算）
+    if (isMaxBidMode) {
+      try {
+        resolveBidTarget({ targetProfitRate, targetDecision }, selectRuleSet(modelNumber, judgmentRules, { ruleSet, thresholds }));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      
+      const result = await calculateMaxBid(modelNumber, { targetProfitRate, targetDecision, sources, costProfile, shippingSize, ruleSet, thresholds, statistic, includeListings: !!includeListings, relevanceThreshold, condition, attributes, bundleMode, quantity, explain: !!explain, snapshotMode: snapshot, snapshotId });
+      return res.json(result);
+    }
+    
+    const result = await processQuery(modelNumber, parseInt(auctionPrice), { sources, costProfile, shippingSize, ruleSet, thresholds, statistic, includeListings: !!includeListings, relevanceThreshold, condition, attributes, bundleMode, quantity, explain: !!explain, snapshotMode: snapshot, snapshotId });
+    res.json(result);
+    
+  } catch (error) {
+    console.error('API エラー:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// コストプロファイル一覧
+app.get('/api/cost-profiles', (req, res) => {
+  res.json({
+    default: getCostProfile().name,
+    profiles: Object.values(costProfiles)
+  });
+});
+
+// 判定ルール一覧（設定ファイルの並び順がマッチングの優先順）
+app.get('/api/judgment-rules', (req, res) => {
+  res.json({
+    default: DEFAULT_RULE_SET_NAME,
+    ruleSets: Object.values(judgmentRules)
+  });
+});
+
+// 除外ルール一覧（ルール別の除外件数つき）
+app.get('/api/exclusion-rules', (req, res) => {
+  res.json(exclusionRules.describe());
+});
+
+// 除外ルールの再読込（変更検知を待たずに反映）
+app.post('/api/exclusion-rules/reload', (req, res) => {
+  const { ok, error } = exclusionRules.reload();
+  res.status(ok ? 200 : 400).json({ ok, error, ...exclusionRules.describe() });
+});
+
+// 保存済みのページスナップショット一覧（新しい順、HTMLは含めない）
+app.get('/api/snapshots', (req, res) => {
+  res.json({
+    mode: resolveSnapshotMode(),
+    dir: pageSnapshots.dir,
+    snapshots: pageSnapshots.list({ query: req.query.query, source: req.query.source, limit: parseInt(req.query.limit) || 50 })
+  });
+});
+
+// ページスナップショットの取得（保存したHTML・レスポンスヘッダーを含む）
+app.get('/api/snapshots/:id', (req, res) => {
+  try {
+    const snapshot = pageSnapshots.load(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ error: `スナップショットが見つかりません: ${req.params.id}` });
+    }
+    res.json(snapshot);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
-/**
- * メイン処理関数
- */
-async function processQuery(modelNumber, auctionPrice) {
+// 一括評価API
+app.post('/api/search/batch', async (req, res) => {
   try {
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    const { lots, concurrency, delayMs, sources, includeResults, includeListings, relevanceThreshold, costProfile, shippingSize, ruleSet, thresholds, statistic, condition, attributes, bundleMode } = req.body;
     
-    const result = await scrapeAucfan(modelNumber);
-    
-    let similarProducts = [];
-    if (result.count < 5) {
-      console.log('📊 データ件数が少ないため類似商品を検索');
-      try {
-        similarProducts = await searchSimilarProducts(modelNumber);
-      } catch (error) {
-        console.log('⚠️ 類似商品検索をスキップ:', error.message);
-      }
+    if (!Array.isArray(lots) || lots.length === 0) {
+      return res.status(400).json({
+        error: 'lots に評価対象のロット配列を指定してください',
+        example: { lots: [{ lotId: 'A-001', modelNumber: 'iPhone 13 Pro', auctionPrice: 80000 }] }
+      });
     }
     
-    const judgment = evaluatePurchase(auctionPrice, result.avgPrice, result.count);
+    if (lots.length > BATCH_MAX_LOTS) {
+      return res.status(400).json({
+        error: `一度に評価できるのは${BATCH_MAX_LOTS}ロットまでです（指定: ${lots.length}ロット）`
+      });
+    }
     
-    const handlingFee = Math.round(auctionPrice * 0.05);
-    const subtotal = auctionPrice + handlingFee;
-    const consumptionTax = Math.round(subtotal * 0.10);
-    const totalCost = subtotal + consumptionTax;
-    const profit = result.avgPrice - totalCost;
-    const profitRate = result.avgPrice > 0 ? Math.round(((result.avgPrice - totalCost) / totalCost) * 100) : 0;
+    // 全ロット共通のオプションは、ロットごとに相場を取得する前にまとめて検証
+    const validationError = validateSearchOptions({ sources, costProfile, shippingSize, ruleSet, thresholds, statistic, relevanceThreshold, condition, attributes, bundleMode });
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
     
-    return {
-      ...result,
-      auctionPrice,
-      handlingFee,
-      consumptionTax,
-      totalCost,
-      judgment: {
-        ...judgment,
-        totalCost
-      },
-      profit,
-      profitRate,
-      similarProducts
-    };
+    const result = await evaluateLots(lots, {
+      concurrency: parseInt(concurrency) || undefined,
+      delayMs: delayMs !== undefined ? parseInt(delayMs) : undefined,
+      sources,
+      costProfile,
+      shippingSize,
+      ruleSet,
+      thresholds,
+      statistic,
+      condition,
+      attributes,
+      bundleMode,
+      includeListings: !!includeListings,
+      relevanceThreshold,
+      includeResults: !!includeResults
+    });
+    res.json(result);
     
   } catch (error) {
-    console.error('❌ 処理エラー:', error);
-    throw error;
-  }
-}
-
-// LINE Webhook専用のミドルウェア設定
-if (hasLineConfig && line && client) {
-  app.use('/webhook', line.middleware({
-    channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN,
-    channelSecret: process.env.LINE_CHANNEL_SECRET,
-  }));
-}
-
-app.use((req, res, next) => {
-  if (req.path !== '/webhook') {
-    express.json()(req, res, next);
-  } else {
-    next();
+    console.error('一括評価APIエラー:', error);
+    res.status(500).json({
+      error: error.message
+    });
   }
 });
-app.use(express.urlencoded({ extended: true }));
 
-// API エンドポイント
-app.post('/api/search', async (req, res) => {
+// CSV一括評価API（text/csv をそのまま送信、または JSON の csv フィールド）
+app.post('/api/search/csv', express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
   try {
-    const { modelNumber, auctionPrice } = req.body;
+    const input = Buffer.isBuffer(req.body) ? req.body : (req.body && req.body.csv);
+    const encoding = req.query.encoding || (req.body && req.body.encoding);
+    const table = readCSVLots(input);
     
-    if (!modelNumber || !auctionPrice) {
+    if (table.lots.length === 0) {
       return res.status(400).json({
-        error: '型番とオークション価格を指定してください',
-        example: { modelNumber: 'iPhone 13 Pro', auctionPrice: 80000 }
+        error: 'CSVに評価対象の行がありません',
+        example: 'modelNumber,auctionPrice,lotId\r\niPhone 13 Pro,80000,A-001'
       });
     }
     
-    const result = await processQuery(modelNumber, parseInt(auctionPrice));
-    res.json(result);
+    if (table.lots.length > BATCH_MAX_LOTS) {
+      return res.status(400).json({
+        error: `一度に評価できるのは${BATCH_MAX_LOTS}ロットまでです（指定: ${table.lots.length}ロット）`
+      });
+    }
+    
+    // 全行共通のオプションは、行ごとに相場を取得する前にまとめて検証
+    const optionNames = ['sources', 'costProfile', 'shippingSize', 'ruleSet', 'statistic', 'condition', 'bundleMode'];
+    const options = {};
+    optionNames.forEach(name => {
+      options[name] = req.query[name] || (req.body && req.body[name]) || undefined;
+    });
+    const validationError = validateSearchOptions(options);
+    if (validationError) {
+      return res.status(400).json(validationError);
+    }
+    
+    const { csv, summary } = await evaluateCSV(table, {
+      ...options,
+      encoding,
+      concurrency: parseInt(req.query.concurrency) || undefined,
+      includeListings: req.query.includeListings === 'true'
+    });
+    
+    res.set('Content-Type', `text/csv; charset=${isShiftJIS(encoding) ? 'Shift_JIS' : 'UTF-8'}`);
+    res.set('Content-Disposition', 'attachment; filename="lot-evaluation.csv"');
+    res.set('X-Lots-Succeeded', String(summary.succeeded));
+    res.set('X-Lots-Failed', String(summary.failed));
+    res.send(csv);
     
   } catch (error) {
-    console.error('API エラー:', error);
+    console.error('CSV評価APIエラー:', error);
+    res.status(500).json({
+      error: error.message
+    });
+  }
+});
+
+// 価格履歴・傾向
+app.get('/api/history/:query', (req, res) => {
+  try {
+    const snapshots = historyStore.getSnapshots(req.params.query);
+    res.json(summarizeHistory(req.params.query, snapshots));
+  } catch (error) {
+    console.error('履歴取得エラー:', error);
     res.status(500).json({
       error: error.message
     });
   }
 });
 
+// パーサーの抽出方式の集計・直近のアラート
+app.get('/api/parser-health', (req, res) => {
+  res.json({
+    alertChannels: alertNotifier.channels,
+    ...parserHealth.stats()
+  });
+});
+
+// キャッシュ状態の確認
+app.get('/api/cache', (req, res) => {
+  res.json(resultCache.stats());
+});
+
+// 外部サイトへの取得の順番待ち（今検索した場合の順番・待ち時間の見込み）
+app.get('/api/queue', (req, res) => {
+  res.json({
+    ...outboundLimiter.estimate(),
+    limiter: outboundLimiter.stats()
+  });
+});
+
+// キャッシュ削除（全件）
+app.delete('/api/cache', (req, res) => {
+  const removed = resultCache.purge();
+  console.log(`🗑️ キャッシュ全削除: ${removed}件`);
+  res.json({ purged: removed, query: null });
+});
+
+// キャッシュ削除（クエリ指定）
+app.delete('/api/cache/:query', (req, res) => {
+  const removed = resultCache.purge(req.params.query);
+  console.log(`🗑️ キャッシュ削除: ${req.params.query} (${removed}件)`);
+  res.json({ purged: removed, query: normalizeQuery(req.params.query) });
+});
+
 // LINE Bot機能
 if (hasLineConfig && line && client) {
+  // 入札上限コマンド（例:「上限 iPhone 13 Pro 30%」「上限\n型番: iPhone 13 Pro\n目標: 仕入れ検討」）
+  const MAX_BID_COMMAND = /^(入札上限|上限価格|最大入札|上限)\s*/;
+  
+  /**
+   * コストプロファイル・配送サイズ・判定ルールの指定行を解析
+   */
+  function parseOptionLines(lines) {
+    let costProfile = null;
+    let shippingSize = null;
+    let ruleSet = null;
+    let statistic = null;
+    let condition = null;
+    const attributes = {};
+    let quantity;
+    let includeListings = false;
+    
+    for (const line of lines) {
+      const profileMatch = line.match(/(コスト|プロファイル)[:：]\s*(.+)/i);
+      if (profileMatch) {
+        costProfile = profileMatch[2].trim();
+      }
+      
+      const sizeMatch = line.match(/(サイズ|配送サイズ|送料サイズ)[:：]\s*(\S+)/i);
+      if (sizeMatch) {
+        shippingSize = sizeMatch[2].replace(/サイズ$/, '').trim();
+      }
+      
+      const ruleMatch = line.match(/(判定ルール|ルール)[:：]\s*(\S+)/i);
+      if (ruleMatch) {
+        ruleSet = ruleMatch[2].trim();
+      }
+      
+      const statisticMatch = line.match(/(相場基準|統計)[:：]\s*(\S+)/i);
+      if (statisticMatch) {
+        statistic = statisticMatch[2].trim();
+      }
+      
+      const conditionMatch = line.match(/(状態|商品状態|コンディション)[:：]\s*(\S+)/i);
+      if (conditionMatch) {
+        condition = conditionMatch[2].trim();
+      }
+      
+      const attributeMatch = line.match(/^(容量|カラー|色|キャリア)[:：]\s*(.+)/);
+      if (attributeMatch) {
+        const name = { 容量: 'capacity', カラー: 'color', 色: 'color', キャリア: 'carrier' }[attributeMatch[1]];
+        attributes[name] = attributeMatch[2].trim();
+      }
+      
+      const quantityMatch = line.match(/^(数量|個数)[:：]\s*(\d+)/);
+      if (quantityMatch) {
+        quantity = parseInt(quantityMatch[2], 10);
+      }
+      
+      if (/出品中[:：]\s*(含める|含む|はい|yes|on|true)/i.test(line)) {
+        includeListings = true;
+      }
+    }
+    
+    if (costProfile && !costProfiles[costProfile]) {
+      return { error: `コストプロファイル「${costProfile}」が見つかりません（利用可能: ${Object.keys(costProfiles).join(', ')}）` };
+    }
+    
+    if (shippingSize && !isKnownShippingSize(sellPlatforms, shippingSize)) {
+      return { error: `配送サイズ「${shippingSize}」に対応していません（利用可能: ${listShippingSizes(sellPlatforms).join(', ')}）` };
+    }
+    
+    if (ruleSet && !judgmentRules[ruleSet]) {
+      return { error: `判定ルール「${ruleSet}」が見つかりません（利用可能: ${Object.keys(judgmentRules).join(', ')}）` };
+    }
+    
+    if (statistic) {
+      try {
+        statistic = getStatistic(statistic);
+      } catch (error) {
+        return { error: `相場基準「${statistic}」に対応していません（利用可能: ${Object.values(PRICE_STATISTICS).map(s => s.label).join(', ')}）` };
+      }
+    }
+    
+    if (condition) {
+      try {
+        condition = resolveCondition(condition);
+      } catch (error) {
+        return { error: `商品状態「${condition}」に対応していません（利用可能: ${Object.values(CONDITIONS).map(c => c.label).join(', ')}）` };
+      }
+    }
+    
+    let resolvedAttributes;
+    try {
+      resolvedAttributes = resolveAttributes(attributes);
+      quantity = resolveQuantity(quantity);
+    } catch (error) {
+      return { error: error.message };
+    }
+    
+    return { costProfile, shippingSize, ruleSet, statistic, condition, attributes: resolvedAttributes, quantity, includeListings };
+  }
+  
+  /**
+   * 入札上限コマンドを解析
+   */
+  function parseMaxBidMessage(lines) {
+    const rest = [lines[0].replace(MAX_BID_COMMAND, ''), ...lines.slice(1)]
+      .map(line => line.trim())
+      .filter(Boolean);
+    
+    let modelNumber = '';
+    let targetProfitRate;
+    let targetDecision;
+    
+    for (const line of rest) {
+      const modelMatch = line.match(/(型番|商品|品名|商品名)[:：]\s*(.+)/i);
+      const targetMatch = line.match(/^(目標利益率|目標|利益率)[:：]\s*(.+)/);
+      const rateMatch = line.match(/^([+-]?\d+(?:\.\d+)?)\s*[%％]$/);
+      
+      if (modelMatch) {
+        modelNumber = modelMatch[2].trim();
+      } else if (targetMatch) {
+        const value = targetMatch[2].trim();
+        if (/^[+-]?\d/.test(value)) {
+          targetProfitRate = value;
+        } else {
+          targetDecision = value;
+        }
+      } else if (rateMatch) {
+        targetProfitRate = rateMatch[1];
+      } else if (JUDGMENT_TIERS.some(tier => line.includes(tier.decision))) {
+        targetDecision = line;
+      } else if (!modelNumber && !/(コスト|プロファイル|サイズ|ルール|相場基準|統計|出品中)[:：]/.test(line)) {
+        // 1行形式「iPhone 13 Pro 30%」の末尾の利益率を分離
+        const inlineRate = line.match(/^(.+?)\s+([+-]?\d+(?:\.\d+)?)\s*[%％]$/);
+        if (inlineRate) {
+          modelNumber = inlineRate[1].trim();
+          targetProfitRate = inlineRate[2];
+        } else {
+          modelNumber = line;
+        }
+      }
+    }
+    
+    if (!modelNumber) {
+      return { error: '型番が見つかりません' };
+    }
+    
+    try {
+      resolveBidTarget({ targetProfitRate, targetDecision });
+    } catch (error) {
+      return { error: error.message };
+    }
+    
+    const options = parseOptionLines(rest);
+    if (options.error) {
+      return options;
+    }
+    
+    return { mode: 'maxBid', modelNumber, targetProfitRate, targetDecision, ...options };
+  }
+  
   function parseMessage(message) {
     const lines = message.trim().split('\n').map(line => line.trim());
     
+    if (MAX_BID_COMMAND.test(lines[0])) {
+      return parseMaxBidMessage(lines);
+    }
+    
     let modelNumber = '';
     let price = 0;
     
@@ -1039,9 +1553,70 @@ if (hasLineConfig && line && client) {
       return { error: 'オークション価格が見つかりません' };
     }
     
-    return { modelNumber, price };
+    const options = parseOptionLines(lines);
+    if (options.error) {
+      return options;
+    }
+    
+    return { modelNumber, price, ...options };
   }
 
+  /**
+   * 中央値・価格帯（P25〜P75）・信頼度の表示行
+   */
+  function formatPriceRange(result) {
+    let message = `📏 中央値: ${result.medianPrice.toLocaleString()}円 (中心帯 ${result.p25Price.toLocaleString()}〜${result.p75Price.toLocaleString()}円)\n`;
+    message += `🔎 信頼度: ${result.confidence.label} (${result.confidence.score}/100)\n`;
+    return message;
+  }
+  
+  /**
+   * 商品状態の表示行（指定した状態と、状態が複数あるときの状態別平均）
+   */
+  function formatConditionLines(result) {
+    let message = '';
+    
+    if (result.condition) {
+      const matchNote = {
+        exact: '',
+        with_unknown: '（状態不明のデータを含む）',
+        all: '（同じ状態のデータ不足のため全状態）'
+      }[result.conditionMatch] || '';
+      message += `🏷️ 状態: ${CONDITIONS[result.condition].label}の相場${matchNote}\n`;
+    }
+    
+    const breakdown = Object.values(result.conditionBreakdown || {});
+    if (breakdown.length > 1 || (result.condition && breakdown.length > 0)) {
+      message += `📦 状態別: ${breakdown.map(entry => `${entry.label} ${entry.avgPrice.toLocaleString()}円(${entry.count}件)`).join(' / ')}\n`;
+    }
+    
+    return message;
+  }
+  
+  /**
+   * バリエーションの表示行（指定したバリエーションと、価格差が最も大きい属性の値別平均）
+   */
+  function formatVariantLines(result) {
+    let message = '';
+    
+    const variantLabel = describeVariant(result.variant || {});
+    if (variantLabel) {
+      const matchNote = {
+        exact: '',
+        with_unknown: '（属性不明のデータを含む）',
+        all: '（同じバリエーションのデータ不足のため全体）'
+      }[result.variantMatch] || '';
+      message += `🧩 バリエーション: ${variantLabel}の相場${matchNote}\n`;
+    }
+    
+    const widest = Object.values(result.variantBreakdown || {}).sort((a, b) => b.spreadRate - a.spreadRate)[0];
+    if (widest) {
+      message += `📐 ${widest.label}別: ${widest.values.map(entry => `${entry.value} ${entry.avgPrice.toLocaleString()}円(${entry.count}件)`).join(' / ')}（差${widest.spreadRate}%）\n`;
+    }
+    
+    return message;
+  }
+  
   function formatResultMessage(result) {
     if (result.count === 0) {
       return `❌ 「${result.query}」の相場が見つかりません\n\n💡 型番を英数字で入力してみてください`;
@@ -1050,23 +1625,58 @@ if (hasLineConfig && line && client) {
     const { judgment } = result;
     
     let message = `${judgment.emoji} ${judgment.decision}\n`;
-    message += `${judgment.reason}\n\n`;
+    message += `${judgment.reason}\n`;
+    if (judgment.ruleSet.name !== DEFAULT_RULE_SET_NAME) {
+      message += `⚖️ 判定ルール: ${judgment.ruleSet.label}\n`;
+    }
+    message += '\n';
     
     message += `📊 【${result.query}】\n`;
-    message += `💰 平均相場: ${result.avgPrice.toLocaleString()}円\n\n`;
+    message += `💰 平均相場: ${result.avgPrice.toLocaleString()}円\n`;
+    message += formatPriceRange(result);
+    message += formatConditionLines(result);
+    message += formatVariantLines(result);
+    message += '\n';
     
     message += `💵 オークション価格: ${result.auctionPrice.toLocaleString()}円\n`;
-    message += `📝 手数料(5%): ${result.handlingFee.toLocaleString()}円\n`;
-    message += `📝 消費税(10%): ${result.consumptionTax.toLocaleString()}円\n`;
-    message += `💼 総原価: ${result.totalCost.toLocaleString()}円\n\n`;
+    describeCostItems(result.costProfile, result).forEach(item => {
+      message += `📝 ${item.label}: ${item.amount.toLocaleString()}円\n`;
+    });
+    message += `💼 総原価: ${result.totalCost.toLocaleString()}円`;
+    if (result.costProfile.name !== DEFAULT_PROFILE_NAME) {
+      message += ` (${result.costProfile.label})`;
+    }
+    message += '\n';
+    if (result.quantity > 1) {
+      message += `🔢 数量: ${result.quantity}個（1個あたり原価 ${result.unitCost.toLocaleString()}円）\n`;
+    }
+    message += '\n';
+    
+    const { netProceeds } = result;
+    if (netProceeds.channels.length > 0) {
+      message += `💴 販路別手取り（配送: ${netProceeds.shippingSize}）:\n`;
+      netProceeds.channels.forEach(channel => {
+        const mark = netProceeds.best && channel.platform === netProceeds.best.platform ? '⭐ ' : '';
+        message += `${mark}${channel.platform}: ${channel.netPayout.toLocaleString()}円 (手数料${channel.sellingFee.toLocaleString()}円・送料${channel.shipping.toLocaleString()}円)\n`;
+      });
+      message += '\n';
+    }
     
     if (result.profit > 0) {
-      message += `✅ 想定利益: +${result.profit.toLocaleString()}円\n`;
+      message += `✅ 想定利益: +${result.profit.toLocaleString()}円 (${result.judgment.basis}基準)\n`;
     } else {
-      message += `❌ 想定損失: ${result.profit.toLocaleString()}円\n`;
+      message += `❌ 想定損失: ${result.profit.toLocaleString()}円 (${result.judgment.basis}基準)\n`;
     }
     
-    message += `📈 検索結果: ${result.count}件\n\n`;
+    const countNotes = [];
+    if (result.duplicateCount > 0) countNotes.push(`重複${result.duplicateCount}件を除外`);
+    if (result.bundleNormalizedCount > 0) countNotes.push(`まとめ売り${result.bundleNormalizedCount}件を1個あたりに換算`);
+    if (result.bundleExcluded && result.bundleExcluded.length > 0) countNotes.push(`まとめ売り${result.bundleExcluded.length}件を除外`);
+    message += `📈 検索結果: ${result.count}件${countNotes.length > 0 ? `（${countNotes.join('・')}）` : ''}\n`;
+    if ((result.sources || []).some(source => source.strategy === 'fulltext')) {
+      message += '⚠️ 簡易抽出のデータを含むため精度が低い可能性があります\n';
+    }
+    message += '\n';
     
     const mercariCount = result.results.filter(r => r.platform === 'メルカリ').length;
     const yahooCount = result.results.filter(r => r.platform === 'ヤフオク').length;
@@ -1076,7 +1686,7 @@ if (hasLineConfig && line && client) {
       if (mercariCount > 0) message += `メルカリ${mercariCount}件 `;
       if (yahooCount > 0) message += `ヤフオク${yahooCount}件`;
       message += '\n';
-      message += `(直近1年・メルカリShopsは除外)\n\n`;
+      message += `(直近1年・${result.includeListings ? '出品中を含む' : '落札済みのみ'}・メルカリShopsは除外)\n\n`;
     }
     
     if (result.results.length > 0) {
@@ -1090,28 +1700,91 @@ if (hasLineConfig && line && client) {
           shortTitle = shortTitle.substring(0, 25) + '...';
         }
         const dateInfo = auction.date ? ` (${auction.date})` : '';
-        message += `${auction.platform}: ${auction.price.toLocaleString()}円${dateInfo}\n`;
+        const statusInfo = auction.status === 'listing' ? ' [出品中]' : '';
+        const bundleInfo = auction.bundle ? ` [${auction.bundle.quantity}個まとめの1個あたり]` : '';
+        message += `${auction.platform}: ${auction.price.toLocaleString()}円${dateInfo}${statusInfo}${bundleInfo}\n`;
+        if (auction.url) {
+          message += `🔗 ${auction.url}\n`;
+        }
       }
     }
     
     return message;
   }
 
+  function formatMaxBidMessage(result) {
+    if (result.count === 0) {
+      return `❌ 「${result.query}」の相場が見つかりません\n\n💡 型番を英数字で入力してみてください`;
+    }
+    
+    const targetLabel = result.target.decision
+      ? `${result.target.decision}（利益率${result.target.profitRate}%以上）`
+      : `利益率${result.target.profitRate}%以上`;
+    
+    let message = `🎯 入札上限価格\n\n`;
+    message += `📊 【${result.query}】\n`;
+    message += `💰 平均相場: ${result.avgPrice.toLocaleString()}円\n`;
+    message += formatPriceRange(result);
+    message += formatConditionLines(result);
+    message += formatVariantLines(result);
+    message += `💴 販売基準: ${result.basis} ${result.unitSaleValue.toLocaleString()}円${result.quantity > 1 ? ` ×${result.quantity}個` : ''}\n`;
+    message += `🎯 目標: ${targetLabel}\n`;
+    if (result.quantity > 1) {
+      message += `🔢 数量: ${result.quantity}個（上限価格はロット総額）\n`;
+    }
+    if (result.ruleSet.name !== DEFAULT_RULE_SET_NAME) {
+      message += `⚖️ 判定ルール: ${result.ruleSet.label}\n`;
+    }
+    message += '\n';
+    
+    if (result.maxBid !== null) {
+      message += `🔨 上限落札価格: ${result.maxBid.toLocaleString()}円\n`;
+      message += `💼 総原価: ${result.totalCost.toLocaleString()}円\n`;
+      message += `✅ 想定利益: +${result.profit.toLocaleString()}円\n\n`;
+    } else {
+      message += '🔴 目標を満たす落札価格がありません\n\n';
+    }
+    
+    message += '📋 入札ラダー:\n';
+    result.ladder.forEach(step => {
+      const bid = step.maxBid !== null ? `${step.maxBid.toLocaleString()}円` : '―';
+      message += `利益率${step.targetProfitRate}%: ${bid}\n`;
+    });
+    
+    if (result.warning) {
+      message += `\n⚠️ ${result.warning}`;
+    }
+    
+    return message;
+  }
+
+  // 検索の取得が順番待ちに登録されるのを待つ上限（処理中メッセージの送信をこれ以上遅らせない）
+  const QUEUE_NOTICE_WAIT_MS = 500;
+
+  // 取得の順番待ちがあれば、前の件数と開始までの見込み時間
+  function formatQueueNotice(ticket) {
+    if (!ticket || (ticket.ahead === 0 && ticket.waitMs < 1000)) return '';
+    return `\n⏳ 順番待ち: 前に${ticket.ahead}件（開始まで約${Math.ceil(ticket.waitMs / 1000)}秒）`;
+  }
+
+  // 処理中メッセージを送信
+  function replySearching(replyToken, ticket = null) {
+    return client.replyMessage(replyToken, {
+      type: 'text',
+      text: `🔍 相場検索中...\n(メルカリ・ヤフオク直近1年)${formatQueueNotice(ticket)}\n※処理に最大60秒かかる場合があります`
+    });
+  }
+
   async function handleTextMessage(event) {
     const messageText = event.message.text;
     const userId = event.source.userId;
     
     try {
-      // 即座に処理中メッセージを送信
-      await client.replyMessage(event.replyToken, {
-        type: 'text',
-        text: '🔍 相場検索中...\n(メルカリ・ヤフオク直近1年)\n※処理に最大60秒かかる場合があります'
-      });
-      
       const parseResult = parseMessage(messageText);
       
       if (parseResult.error) {
-        const errorMsg = `❌ ${parseResult.error}\n\n💡 正しい形式で入力してください:\n\n例1:\niPhone 13 Pro\n80000\n\n例2:\n型番: iPhone 13 Pro\nオークション価格: 80000`;
+        await replySearching(event.replyToken);
+        const errorMsg = `❌ ${parseResult.error}\n\n💡 正しい形式で入力してください:\n\n例1:\niPhone 13 Pro\n80000\n\n例2:\n型番: iPhone 13 Pro\nオークション価格: 80000\nコスト: default（任意）\n判定ルール: luxury（任意）\n相場基準: 中央値（任意）\n状態: 中古（任意）\n容量: 256GB（任意）\n数量: 3（任意）\n\n例3（入札上限）:\n上限 iPhone 13 Pro 30%`;
         await client.pushMessage(userId, {
           type: 'text',
           text: errorMsg
@@ -1119,16 +1792,47 @@ if (hasLineConfig && line && client) {
         return;
       }
       
-      console.log(`🔍 検索開始: ${parseResult.modelNumber}, ${parseResult.price}円 - ${new Date().toLocaleString('ja-JP')}`);
+      const isMaxBid = parseResult.mode === 'maxBid';
+      console.log(`🔍 検索開始: ${parseResult.modelNumber}, ${isMaxBid ? '入札上限' : parseResult.price + '円'} - ${new Date().toLocaleString('ja-JP')}`);
+      
+      // 検索対象の取得を順番待ちに登録した時点の順番（キャッシュから返す・他の同じ検索の取得を待つ場合は表示しない）
+      let reportQueued;
+      const queued = new Promise(resolve => {
+        reportQueued = resolve;
+      });
       
       // タイムアウト対策：Promise.raceで最大60秒に制限
-      const searchPromise = processQuery(parseResult.modelNumber, parseResult.price);
+      const searchOptions = {
+        costProfile: parseResult.costProfile,
+        shippingSize: parseResult.shippingSize,
+        ruleSet: parseResult.ruleSet,
+        statistic: parseResult.statistic,
+        condition: parseResult.condition,
+        attributes: parseResult.attributes,
+        quantity: parseResult.quantity,
+        includeListings: parseResult.includeListings,
+        onQueued: ticket => reportQueued(ticket)
+      };
+      const searchPromise = isMaxBid
+        ? calculateMaxBid(parseResult.modelNumber, {
+          ...searchOptions,
+          targetProfitRate: parseResult.targetProfitRate,
+          targetDecision: parseResult.targetDecision
+        })
+        : processQuery(parseResult.modelNumber, parseResult.price, searchOptions);
+      const ticket = await Promise.race([
+        queued,
+        searchPromise.then(() => null, () => null),
+        sleep(QUEUE_NOTICE_WAIT_MS).then(() => null)
+      ]);
+      await replySearching(event.replyToken, ticket);
+      
       const timeoutPromise = new Promise((_, reject) => 
         setTimeout(() => reject(new Error('検索がタイムアウトしました（60秒）')), 60000)
       );
       
       const result = await Promise.race([searchPromise, timeoutPromise]);
-      const resultMessage = formatResultMessage(result);
+      const resultMessage = isMaxBid ? formatMaxBidMessage(result) : formatResultMessage(result);
       
       // 結果送信時にもエラーハンドリング
       try {
@@ -1155,7 +1859,9 @@ if (hasLineConfig && line && client) {
       
       let errorMsg = '';
       
-      if (error.message.includes('タイムアウト')) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        errorMsg = `🚧 オークファンに接続できない状態が続いているため、検索を一時停止しています。\n\n🔄 ${error.retryInSeconds}秒ほど待ってから再度お試しください。`;
+      } else if (error.message.includes('タイムアウト')) {
         errorMsg = '⏰ 処理に時間がかかりすぎました。\n\n🔄 サーバーの状態を確認してもう一度お試しください。';
       } else if (error.message.includes('文字化け') || error.message.includes('encode')) {
         errorMsg = '❌ 文字エンコーディングエラーが発生しました。\n\n💡 英数字での検索をお試しください。';
@@ -1214,13 +1920,17 @@ if (hasLineConfig && line && client) {
   });
 }
 
+// Keep-alive の定期アクセス（/health・/wake の表示用、未設定なら null）
+let keepAliveInterval = null;
+
 // ヘルスチェック（Keep-alive対応）
 app.get('/health', (req, res) => {
   const uptime = process.uptime();
   const memory = process.memoryUsage();
+  const breaker = aucfanSource.breaker.stats();
   
   res.json({ 
-    status: 'ok', 
+    status: breaker.state === 'open' ? 'degraded' : 'ok', 
     timestamp: new Date().toISOString(),
     uptime: `${Math.floor(uptime / 60)}分${Math.floor(uptime % 60)}秒`,
     memory: {
@@ -1231,6 +1941,10 @@ app.get('/health', (req, res) => {
     lineBot: !!(hasLineConfig && client),
     aucfanLogin: false,
     keepAlive: !!keepAliveInterval,
+    circuitBreakers: {
+      [breaker.name]: breaker
+    },
+    outboundQueue: outboundLimiter.stats(),
     features: [
       'japanese_support',
       'cost_calculation_with_fees',
@@ -1242,7 +1956,29 @@ app.get('/health', (req, res) => {
       'no_20_item_limit',
       'keep_alive_system',
       'timeout_protection',
-      'improved_error_handling'
+      'improved_error_handling',
+      'pluggable_market_sources',
+      'result_cache',
+      'price_history',
+      'batch_evaluation',
+      'csv_import_export',
+      'cost_profiles',
+      'net_proceeds_by_platform',
+      'max_bid_calculator',
+      'category_judgment_rules',
+      'robust_statistics',
+      'sold_status_detection',
+      'parser_health_monitoring',
+      'duplicate_removal',
+      'title_relevance_scoring',
+      'condition_matched_pricing',
+      'variant_segmentation',
+      'bundle_normalization',
+      'configurable_exclusion_rules',
+      'explainable_results',
+      'page_snapshot_replay',
+      'upstream_retry_circuit_breaker',
+      'outbound_rate_limit_queue'
     ]
   });
 });
@@ -1274,6 +2010,19 @@ app.get('/', (req, res) => {
     ],
     endpoints: [
       'POST /api/search - 相場検索API',
+      'GET /api/cost-profiles - コストプロファイル一覧',
+      'GET /api/judgment-rules - 判定ルール一覧',
+      'GET /api/exclusion-rules - 除外ルール一覧',
+      'POST /api/exclusion-rules/reload - 除外ルールの再読込',
+      'GET /api/snapshots[?query=&source=] - 保存済みページスナップショット一覧',
+      'GET /api/snapshots/:id - ページスナップショットの取得',
+      'POST /api/search/batch - 複数ロット一括評価',
+      'POST /api/search/csv[?encoding=shift_jis] - CSV一括評価（結果列を追加したCSVを返却）',
+      'GET /api/history/:query - 価格推移・傾向',
+      'GET /api/parser-health - 抽出方式の集計・パーサー異常アラート',
+      'GET /api/cache - キャッシュ状態',
+      'GET /api/queue - 取得の順番待ち・待ち時間の見込み',
+      'DELETE /api/cache[/:query] - キャッシュ削除（全件 or クエリ指定）',
       'POST /webhook - LINE Bot webhook (if enabled)',
       'GET /health - ヘルスチェック'
     ],
@@ -1283,51 +2032,74 @@ app.get('/', (req, res) => {
         method: 'POST',
         body: {
           modelNumber: 'iPhone 13 Pro',
-          auctionPrice: 80000
+          auctionPrice: 80000,
+          sources: ['aucfan'],
+          costProfile: 'default',
+          shippingSize: '60',
+          statistic: 'median'
         }
       }
     }
   });
 });
 
-// サーバー起動
-app.listen(PORT, () => {
-  console.log(`🚀 サーバーが起動しました: http://localhost:${PORT}`);
-  console.log(`📱 API URL: https://go-nogo-scraper.onrender.com/api/search`);
-  
-  if (hasLineConfig && client) {
-    console.log(`📱 LINE Bot Webhook URL: https://go-nogo-scraper.onrender.com/webhook`);
-    console.log('✅ LINE Bot設定完了');
-  } else {
-    console.log('📱 LINE Bot機能は無効です（環境変数が設定されていません）');
-    if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
-      console.warn('⚠️  LINE_CHANNEL_ACCESS_TOKEN が設定されていません');
+// サーバー起動（直接実行時のみ。CLIやテストから読み込んだ場合は起動しない）
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 サーバーが起動しました: http://localhost:${PORT}`);
+    console.log(`📱 API URL: https://go-nogo-scraper.onrender.com/api/search`);
+    
+    if (hasLineConfig && client) {
+      console.log(`📱 LINE Bot Webhook URL: https://go-nogo-scraper.onrender.com/webhook`);
+      console.log('✅ LINE Bot設定完了');
+    } else {
+      console.log('📱 LINE Bot機能は無効です（環境変数が設定されていません）');
+      if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
+        console.warn('⚠️  LINE_CHANNEL_ACCESS_TOKEN が設定されていません');
+      }
+      if (!process.env.LINE_CHANNEL_SECRET) {
+        console.warn('⚠️  LINE_CHANNEL_SECRET が設定されていません');
+      }
     }
-    if (!process.env.LINE_CHANNEL_SECRET) {
-      console.warn('⚠️  LINE_CHANNEL_SECRET が設定されていません');
+    
+    console.log('🔧 主要機能:');
+    console.log('- 日本語商品名検索対応（文字化け解決）');
+    console.log('- 手数料5% + 消費税10%込み原価計算');
+    console.log('- メルカリ・ヤフオク限定（Yahoo!ショッピング除外）');
+    console.log('- 直近1年データのみ使用（古いデータ除外）');
+    console.log('- 20件制限撤廃でより多くのデータを活用');
+    console.log('- 統計的外れ値除去を緩和（2.0倍に変更）');
+    console.log('- 広告データ（初月無料等）完全除外');
+    console.log('- Keep-alive機能でスリープ対策');
+    console.log('- タイムアウト保護（60秒制限）');
+    console.log('- 改善されたエラーハンドリング');
+    
+    // Keep-alive機能を開始（シンプル版）
+    try {
+      initKeepAlive();
+      console.log('✅ Keep-alive機能が正常に開始されました');
+    } catch (error) {
+      console.error('❌ Keep-alive機能の開始に失敗:', error.message);
+      console.log('⚠️ Keep-alive機能なしで継続します');
     }
-  }
-  
-  console.log('🔧 主要機能:');
-  console.log('- 日本語商品名検索対応（文字化け解決）');
-  console.log('- 手数料5% + 消費税10%込み原価計算');
-  console.log('- メルカリ・ヤフオク限定（Yahoo!ショッピング除外）');
-  console.log('- 直近1年データのみ使用（古いデータ除外）');
-  console.log('- 20件制限撤廃でより多くのデータを活用');
-  console.log('- 統計的外れ値除去を緩和（2.0倍に変更）');
-  console.log('- 広告データ（初月無料等）完全除外');
-  console.log('- Keep-alive機能でスリープ対策');
-  console.log('- タイムアウト保護（60秒制限）');
-  console.log('- 改善されたエラーハンドリング');
-  
-  // Keep-alive機能を開始（シンプル版）
-  try {
-    initKeepAlive();
-    console.log('✅ Keep-alive機能が正常に開始されました');
-  } catch (error) {
-    console.error('❌ Keep-alive機能の開始に失敗:', error.message);
-    console.log('⚠️ Keep-alive機能なしで継続します');
-  }
-  
-  console.log(`⏰ サーバー起動完了: ${new Date().toLocaleString('ja-JP')}`);
-});
+    
+    console.log(`⏰ サーバー起動完了: ${new Date().toLocaleString('ja-JP')}`);
+  });
+}
+
+module.exports = {
+  app,
+  processQuery,
+  evaluateLots,
+  readCSVLots,
+  evaluateCSV,
+  validateSearchOptions,
+  searchMarket,
+  cachedSearchMarket,
+  summarizeResults,
+  filterValidPrices,
+  parseDate,
+  evaluatePurchase,
+  extractKeywords,
+  BATCH_MAX_LOTS
+};
@@ -0,0 +1,13 @@
+/**
+ * テスト実行（npm test）
+ * test/ 直下の *.test.js を読み込み、node:test で実行する
+ */
+const fs = require('fs');
+const path = require('path');
+
+const testDir = path.join(__dirname, 'test');
+
+fs.readdirSync(testDir)
+  .filter(file => file.endsWith('.test.js'))
+  .sort()
+  .forEach(file => require(path.join(testDir, file)));
@@ -0,0 +1,60 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectQuantity, resolveBundleMode, resolveQuantity, normalizeBundles } = require('../lib/bundles');
+const { withSilentConsole } = require('./support/fixtures');
+
+describe('detectQuantity', () => {
+  test('数量の単位からまとめ売りの数量を読み取る', () => {
+    assert.deepEqual(detectQuantity('iPhone 13 Pro 128GB 2台セット'), { quantity: 2, isBundle: true });
+    assert.deepEqual(detectQuantity('ルイヴィトン 財布 3点'), { quantity: 3, isBundle: true });
+    assert.deepEqual(detectQuantity('iPhone 13 Pro 1台'), { quantity: 1, isBundle: false });
+  });
+  
+  test('数量の分からないまとめ売りは quantity: null', () => {
+    assert.deepEqual(detectQuantity('iPhone まとめ売り ジャンク'), { quantity: null, isBundle: true });
+  });
+  
+  test('「フルセット」「2台目」や型番の数字はまとめ売りとみなさない', () => {
+    assert.equal(detectQuantity('iPhone 13 Pro フルセット 美品').isBundle, false);
+    assert.equal(detectQuantity('2台目にどうぞ iPhone 13').isBundle, false);
+    assert.equal(detectQuantity('iPhone 13 Pro 256GB').isBundle, false);
+  });
+  
+  test('型番の数字に続く「本体」「セット」は数量とみなさない', () => {
+    ['iPhone 13 本体のみ 128GB', 'PS5 本体 CFI-1000A', 'Galaxy S22 本体', 'iPhone 12 セット 付属品', 'PS5本体'].forEach(title => {
+      assert.deepEqual(detectQuantity(title), { quantity: 1, isBundle: false }, title);
+    });
+  });
+});
+
+describe('normalizeBundles', () => {
+  const results = [
+    { title: 'iPhone 13 Pro 128GB', price: 85000 },
+    { title: 'iPhone 13 Pro 128GB 2台セット', price: 168000 },
+    { title: 'iPhone 13 Pro まとめ売り', price: 200000 }
+  ];
+  
+  test('normalize: 1個あたりに換算し、数量不明は除外', () => {
+    const normalized = withSilentConsole(() => normalizeBundles(results, 'normalize'));
+    assert.deepEqual(normalized.results.map(item => item.price), [85000, 84000]);
+    assert.deepEqual(normalized.results[1].bundle, { quantity: 2, totalPrice: 168000 });
+    assert.equal(normalized.normalizedCount, 1);
+    assert.equal(normalized.excluded.length, 1);
+  });
+  
+  test('exclude: まとめ売りをすべて除外', () => {
+    const excluded = withSilentConsole(() => normalizeBundles(results, 'exclude'));
+    assert.deepEqual(excluded.results.map(item => item.price), [85000]);
+    assert.equal(excluded.excluded.length, 2);
+  });
+});
+
+describe('resolveBundleMode / resolveQuantity', () => {
+  test('既定値と不正な指定', () => {
+    assert.equal(resolveBundleMode(), 'normalize');
+    assert.throws(() => resolveBundleMode('split'), /まとめ売りの扱い/);
+    assert.equal(resolveQuantity(), 1);
+    assert.equal(resolveQuantity('3'), 3);
+    assert.throws(() => resolveQuantity(0), /1以上の整数/);
+  });
+});
@@ -0,0 +1,169 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeQuery, buildCacheKey, createFileBackend, createResultCache } = require('../lib/cache');
+
+// console 出力を止めて非同期処理を実行
+async function quietly(fn) {
+  const original = { log: console.log, error: console.error };
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+// 時刻を進められるキャッシュ（TTL 60秒、期限切れ後 120秒まで古い値を返す）
+function createClockedCache(options = {}) {
+  const clock = { time: Date.parse('2026-10-01T00:00:00Z') };
+  const cache = createResultCache({ ttl: 60, staleTTL: 120, now: () => clock.time, ...options });
+  return { clock, cache };
+}
+
+// 呼ばれた回数を数える取得処理
+function countingLoader(values) {
+  const loader = async () => values[Math.min(loader.calls++, values.length - 1)];
+  loader.calls = 0;
+  return loader;
+}
+
+describe('normalizeQuery / buildCacheKey', () => {
+  test('全角・大文字・空白の揺れを吸収', () => {
+    assert.equal(normalizeQuery('  ｉＰｈｏｎｅ　13   Pro '), 'iphone 13 pro');
+  });
+  
+  test('既定の条件はクエリとソースだけのキー、条件ごとに別のキー', () => {
+    const base = buildCacheKey('iphone 13 pro', ['aucfan']);
+    assert.equal(base, 'iphone 13 pro|aucfan');
+    assert.equal(buildCacheKey('iphone 13 pro', ['aucfan'], { relevanceThreshold: null, bundleMode: null, attributes: {}, replay: null }), base);
+    
+    const variants = [
+      { includeListings: true },
+      { relevanceThreshold: 40 },
+      { condition: 'used' },
+      { attributes: { capacity: '256GB' } },
+      { attributes: { capacity: '128GB' } },
+      { bundleMode: 'exclude' },
+      { explain: true },
+      { replay: 'latest' },
+      { replay: 'aucfan-20261001T000000000Z-0123456789' }
+    ].map(variant => buildCacheKey('iphone 13 pro', ['aucfan'], variant));
+    
+    assert.equal(new Set([base, ...variants]).size, variants.length + 1);
+    assert.equal(buildCacheKey('iphone 13 pro', ['aucfan'], { attributes: { capacity: '256GB', carrier: 'SIMフリー' } }), 'iphone 13 pro|aucfan|variant:capacity=256GB,carrier=SIMフリー');
+  });
+});
+
+describe('createResultCache', () => {
+  test('TTL内はキャッシュを返し、取得し直さない', async () => {
+    const { clock, cache } = createClockedCache();
+    const loader = countingLoader(['v1', 'v2']);
+    
+    const first = await quietly(() => cache.wrap('k', 'q', loader));
+    clock.time += 59 * 1000;
+    const second = await quietly(() => cache.wrap('k', 'q', loader));
+    
+    assert.deepEqual([first.value, first.cache.status], ['v1', 'miss']);
+    assert.deepEqual([second.value, second.cache.status, second.cache.ageSeconds], ['v1', 'fresh', 59]);
+    assert.equal(loader.calls, 1);
+  });
+  
+  test('期限切れ後の猶予期間は古い値を返しつつ裏で更新する', async () => {
+    const { clock, cache } = createClockedCache();
+    const loader = countingLoader(['v1', 'v2']);
+    
+    await quietly(() => cache.wrap('k', 'q', loader));
+    clock.time += 90 * 1000;
+    const stale = await quietly(() => cache.wrap('k', 'q', loader));
+    assert.deepEqual([stale.value, stale.cache.status, stale.cache.hit], ['v1', 'stale', true]);
+    
+    await new Promise(resolve => setImmediate(resolve));
+    const refreshed = await quietly(() => cache.wrap('k', 'q', loader));
+    assert.deepEqual([refreshed.value, refreshed.cache.status], ['v2', 'fresh']);
+    assert.equal(loader.calls, 2);
+  });
+  
+  test('猶予期間も過ぎたキャッシュは使わずに取得し直す', async () => {
+    const { clock, cache } = createClockedCache();
+    const loader = countingLoader(['v1', 'v2']);
+    
+    await quietly(() => cache.wrap('k', 'q', loader));
+    clock.time += 180 * 1000;
+    const expired = await quietly(() => cache.wrap('k', 'q', loader));
+    
+    assert.deepEqual([expired.value, expired.cache.status], ['v2', 'miss']);
+  });
+  
+  test('同じキーの取得中は取得処理を共有し、失敗は保存しない', async () => {
+    const { cache } = createClockedCache();
+    let release;
+    let calls = 0;
+    const loader = () => {
+      calls++;
+      return new Promise(resolve => { release = resolve; });
+    };
+    
+    const pending = [cache.wrap('k', 'q', loader), cache.wrap('k', 'q', loader)];
+    await new Promise(resolve => setImmediate(resolve));
+    release('shared');
+    const results = await quietly(() => Promise.all(pending));
+    assert.deepEqual(results.map(result => result.value), ['shared', 'shared']);
+    assert.equal(calls, 1);
+    
+    await assert.rejects(cache.wrap('broken', 'q', async () => { throw new Error('取得失敗'); }), /取得失敗/);
+    const retried = await quietly(() => cache.wrap('broken', 'q', async () => 'ok'));
+    assert.deepEqual([retried.value, retried.cache.status], ['ok', 'miss']);
+  });
+  
+  test('refresh はキャッシュがあっても取得し直し、TTL 0 は保存しない', async () => {
+    const { cache } = createClockedCache();
+    const loader = countingLoader(['v1', 'v2']);
+    await quietly(() => cache.wrap('k', 'q', loader));
+    const refreshed = await quietly(() => cache.wrap('k', 'q', loader, { refresh: true }));
+    assert.deepEqual([refreshed.value, refreshed.cache.status], ['v2', 'refresh']);
+    assert.equal((await quietly(() => cache.wrap('k', 'q', loader))).value, 'v2');
+    
+    const disabled = createResultCache({ ttl: 0 });
+    const counter = countingLoader(['a', 'b']);
+    await disabled.wrap('k', 'q', counter);
+    assert.equal((await disabled.wrap('k', 'q', counter)).value, 'b');
+    assert.equal(disabled.stats().entries, 0);
+  });
+  
+  test('purge はクエリの全条件のキャッシュ、または全件を削除', async () => {
+    const { cache } = createClockedCache();
+    const q = normalizeQuery('iPhone 13 Pro');
+    await quietly(async () => {
+      await cache.wrap(buildCacheKey(q, ['aucfan']), q, async () => 1);
+      await cache.wrap(buildCacheKey(q, ['aucfan'], { condition: 'used' }), q, async () => 2);
+      await cache.wrap(buildCacheKey('ipad', ['aucfan']), 'ipad', async () => 3);
+    });
+    
+    assert.equal(cache.purge('ＩＰＨＯＮＥ 13 pro'), 2);
+    assert.equal(cache.stats().entries, 1);
+    assert.equal(cache.purge(), 1);
+    assert.equal(cache.stats().entries, 0);
+  });
+});
+
+describe('createFileBackend', () => {
+  test('変更をまとめて保存し、再起動後に読み込める', async () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-')), 'cache.json');
+    const backend = createFileBackend(filePath, { flushDelayMs: 60000 });
+    
+    backend.set('a', { query: 'a', value: 1, storedAt: 0 });
+    backend.set('b', { query: 'b', value: 2, storedAt: 0 });
+    assert.equal(fs.existsSync(filePath), false);
+    
+    backend.flush();
+    const restored = await quietly(async () => createFileBackend(filePath));
+    assert.deepEqual(restored.keys(), ['a', 'b']);
+    assert.equal(restored.get('b').value, 2);
+    
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+});
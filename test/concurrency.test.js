@@ -0,0 +1,55 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { sleep, mapWithConcurrency } = require('../lib/concurrency');
+
+describe('mapWithConcurrency', () => {
+  test('同時実行数の上限を超えない', async () => {
+    let running = 0;
+    let peak = 0;
+    
+    await mapWithConcurrency([30, 10, 20, 10, 30, 10], async (delayMs) => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(delayMs);
+      running--;
+    }, { concurrency: 2 });
+    
+    assert.equal(peak, 2);
+  });
+  
+  test('完了順ではなく入力の順に結果を返す', async () => {
+    const settled = await mapWithConcurrency([40, 0, 20], async (delayMs, index) => {
+      await sleep(delayMs);
+      return `lot-${index}`;
+    }, { concurrency: 3 });
+    
+    assert.deepEqual(settled.map(outcome => outcome.value), ['lot-0', 'lot-1', 'lot-2']);
+  });
+  
+  test('1件の失敗で全体を止めず、allSettled と同じ形式で返す', async () => {
+    const settled = await mapWithConcurrency(['A', 'B', 'C'], async (lotId) => {
+      if (lotId === 'B') {
+        throw new Error('取得失敗');
+      }
+      return lotId;
+    }, { concurrency: 1 });
+    
+    assert.deepEqual(settled.map(outcome => outcome.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.equal(settled[1].reason.message, '取得失敗');
+    assert.equal(settled[2].value, 'C');
+  });
+  
+  test('delayMs は全ワーカー合計での開始間隔', async () => {
+    const startedAt = [];
+    await mapWithConcurrency([0, 1, 2], async () => {
+      startedAt.push(Date.now());
+    }, { concurrency: 3, delayMs: 30 });
+    
+    assert.ok(startedAt[1] - startedAt[0] >= 25, `間隔: ${startedAt[1] - startedAt[0]}ms`);
+    assert.ok(startedAt[2] - startedAt[1] >= 25, `間隔: ${startedAt[2] - startedAt[1]}ms`);
+  });
+  
+  test('空の配列はそのまま返す', async () => {
+    assert.deepEqual(await mapWithConcurrency([], async () => 1, { concurrency: 2 }), []);
+  });
+});
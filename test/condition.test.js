@@ -0,0 +1,58 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyCondition, resolveCondition, selectByCondition, summarizeByCondition } = require('../lib/condition');
+
+describe('classifyCondition', () => {
+  test('商品名の表記から状態を判別', () => {
+    assert.equal(classifyCondition('iPhone 13 Pro 512GB ゴールド 新品未開封'), 'new');
+    assert.equal(classifyCondition('ルイヴィトン 財布 未使用品'), 'unused');
+    assert.equal(classifyCondition('iPhone 13 Pro 256GB 美品'), 'used');
+    assert.equal(classifyCondition('iPhone 13 Pro 動作未確認'), 'junk');
+    assert.equal(classifyCondition('iPhone 13 Pro 128GB'), 'unknown');
+  });
+  
+  test('ジャンク表記を優先し、「新品同様」「未使用に近い」は中古扱い', () => {
+    assert.equal(classifyCondition('新品 ジャンク 部品取り'), 'junk');
+    assert.equal(classifyCondition('新品同様 箱付き'), 'used');
+    assert.equal(classifyCondition('未使用に近い'), 'used');
+  });
+});
+
+describe('resolveCondition', () => {
+  test('キー・表示名のどちらでも指定でき、未対応はエラー', () => {
+    assert.equal(resolveCondition('used'), 'used');
+    assert.equal(resolveCondition('新品'), 'new');
+    assert.equal(resolveCondition(undefined), null);
+    assert.throws(() => resolveCondition('極美品'), /未対応の商品状態/);
+  });
+});
+
+describe('selectByCondition', () => {
+  const results = [
+    { price: 130000, condition: 'new' },
+    { price: 128000, condition: 'new' },
+    { price: 131000, condition: 'new' },
+    { price: 88000, condition: 'used' },
+    { price: 85000, condition: 'used' },
+    { price: 90000, condition: 'unknown' }
+  ];
+  
+  test('同じ状態が最低件数あればそのデータだけ使う', () => {
+    const selected = selectByCondition(results, 'new');
+    assert.equal(selected.match, 'exact');
+    assert.equal(selected.results.length, 3);
+  });
+  
+  test('不足時は状態不明を加え、それでも不足なら全データ', () => {
+    assert.equal(selectByCondition(results, 'used').match, 'with_unknown');
+    assert.equal(selectByCondition(results, 'junk').match, 'all');
+    assert.equal(selectByCondition(results, null).results.length, results.length);
+  });
+  
+  test('状態別の件数と平均', () => {
+    const breakdown = summarizeByCondition(results);
+    assert.deepEqual(Object.keys(breakdown), ['new', 'used', 'unknown']);
+    assert.equal(breakdown.used.count, 2);
+    assert.equal(breakdown.used.avgPrice, 86500);
+  });
+});
@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadCostProfiles, calculateCost, calculateProfitRate, findMaxAuctionPrice, describeCostItems } = require('../lib/costs');
+const { withSilentConsole } = require('./support/fixtures');
+
+const profiles = withSilentConsole(() => loadCostProfiles(path.join(__dirname, '..', 'config', 'cost-profiles.json')));
+
+describe('calculateCost', () => {
+  test('標準: 手数料5%と、落札価格＋手数料への消費税10%', () => {
+    assert.deepEqual(calculateCost(10000, profiles.default), {
+      auctionPrice: 10000,
+      handlingFee: 500,
+      fixedFee: 0,
+      shipping: 0,
+      consumptionTax: 1050,
+      totalCost: 11550
+    });
+  });
+  
+  test('固定手数料・送料も課税対象に含めるプロファイル', () => {
+    const cost = calculateCost(10000, profiles.lotfee);
+    assert.equal(cost.consumptionTax, 1300);
+    assert.equal(cost.totalCost, 14300);
+    assert.deepEqual(describeCostItems(profiles.lotfee, cost).map(item => item.label), ['手数料(5%)', '固定手数料', '送料', '消費税(10%)']);
+  });
+  
+  test('手数料・消費税は円未満を四捨五入', () => {
+    const cost = calculateCost(1234, profiles.premium10);
+    assert.equal(cost.handlingFee, 123);
+    assert.equal(cost.consumptionTax, 136);
+    assert.equal(cost.totalCost, 1234 + 123 + 136);
+  });
+  
+  test('総原価は落札価格に対して単調増加（二分探索の前提）', () => {
+    Object.values(profiles).forEach(profile => {
+      let previous = -1;
+      for (let price = 1; price <= 20000; price++) {
+        const { totalCost } = calculateCost(price, profile);
+        assert.ok(totalCost >= previous, `${profile.name}: ${price}円で総原価が減少`);
+        previous = totalCost;
+      }
+    });
+  });
+});
+
+describe('calculateProfitRate', () => {
+  test('利益率は整数に丸め、原価0なら0', () => {
+    assert.equal(calculateProfitRate(13000, 10000), 30);
+    assert.equal(calculateProfitRate(12950, 10000), 30);
+    assert.equal(calculateProfitRate(12940, 10000), 29);
+    assert.equal(calculateProfitRate(5000, 0), 0);
+  });
+});
+
+describe('findMaxAuctionPrice', () => {
+  const meets = (saleValue, rate, profile, price) => calculateProfitRate(saleValue, calculateCost(price, profile).totalCost) >= rate;
+  
+  test('目標利益率を満たす円単位の最大値（1円高いと満たさない）', () => {
+    [[100000, 30], [100000, 0], [48000, 15], [7777, 50]].forEach(([saleValue, rate]) => {
+      Object.values(profiles).forEach(profile => {
+        const maxBid = findMaxAuctionPrice(saleValue, rate, profile);
+        if (maxBid === null) return;
+        assert.ok(meets(saleValue, rate, profile, maxBid), `${profile.name} ${saleValue}円 ${rate}%: ${maxBid}円が目標未達`);
+        assert.ok(!meets(saleValue, rate, profile, maxBid + 1), `${profile.name} ${saleValue}円 ${rate}%: ${maxBid + 1}円も目標を満たす`);
+      });
+    });
+  });
+  
+  test('既知の値: 標準プロファイルで販売見込10万円・利益率30%', () => {
+    const maxBid = findMaxAuctionPrice(100000, 30, profiles.default);
+    assert.equal(maxBid, 66857);
+    assert.equal(calculateCost(maxBid, profiles.default).totalCost, 77220);
+  });
+  
+  test('目標利益率が高いほど上限価格は下がる', () => {
+    const bids = [0, 10, 20, 30, 50].map(rate => findMaxAuctionPrice(100000, rate, profiles.lotfee));
+    bids.slice(1).forEach((bid, index) => assert.ok(bid < bids[index]));
+  });
+  
+  test('販売見込が0以下、または1円でも目標に届かなければ null', () => {
+    assert.equal(findMaxAuctionPrice(0, 30, profiles.default), null);
+    assert.equal(findMaxAuctionPrice(-1000, 0, profiles.default), null);
+    // 固定手数料＋送料だけで原価が販売見込を超える
+    assert.equal(findMaxAuctionPrice(2000, 0, profiles.lotfee), null);
+  });
+});
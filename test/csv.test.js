@@ -0,0 +1,112 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const iconv = require('iconv-lite');
+const { RESULT_COLUMNS, parseCSV, toCSV, readLots, appendResultColumns, encodeCSV, isShiftJIS } = require('../lib/csv');
+const { decodeResponse } = require('../lib/sources/aucfan');
+
+describe('parseCSV', () => {
+  test('クォート内のカンマ・改行・二重引用符をセルの値として読む', () => {
+    const text = 'modelNumber,auctionPrice,memo\r\n"iPhone 13 Pro, 256GB",80000,"箱あり\r\n""美品"""\r\n';
+    assert.deepEqual(parseCSV(text), [
+      ['modelNumber', 'auctionPrice', 'memo'],
+      ['iPhone 13 Pro, 256GB', '80000', '箱あり\r\n"美品"']
+    ]);
+  });
+  
+  test('先頭のBOMを除き、LF改行・空行・末尾改行なしに対応', () => {
+    assert.deepEqual(parseCSV('\uFEFF型番,価格\n\niPad Air,40000\n,\nPS5,30000'), [
+      ['型番', '価格'],
+      ['iPad Air', '40000'],
+      ['PS5', '30000']
+    ]);
+  });
+  
+  test('toCSV で書き出した内容を同じ行・列に読み戻せる', () => {
+    const rows = [['lotId', 'memo'], ['A-001', 'カンマ, 改行\nと "引用符"'], ['A-002', '']];
+    assert.deepEqual(parseCSV(toCSV(rows)), [['lotId', 'memo'], ['A-001', 'カンマ, 改行\nと "引用符"'], ['A-002', '']]);
+  });
+});
+
+describe('readLots', () => {
+  test('見出しの表記ゆれから列を判定し、見出し以外の列は元のまま残す', () => {
+    const { header, rows, lots } = readLots(parseCSV('出品番号,メモ,商品名,落札価格,状態,数量\nL-1,急ぎ,iPhone 13 Pro,"80,000円",中古,2\n'));
+    
+    assert.deepEqual(header, ['出品番号', 'メモ', '商品名', '落札価格', '状態', '数量']);
+    assert.equal(rows.length, 1);
+    assert.deepEqual(lots, [{ lotId: 'L-1', modelNumber: 'iPhone 13 Pro', auctionPrice: 80000, condition: '中古', quantity: '2' }]);
+  });
+  
+  test('見出しがなければ「型番, オークション価格, ロットID」の列順とみなし、ロットIDは行番号で補う', () => {
+    const { header, lots } = readLots(parseCSV('iPad Air,40000\nPS5,30000,B-2,予備\n'));
+    
+    assert.deepEqual(header, ['modelNumber', 'auctionPrice', 'lotId', 'column4']);
+    assert.deepEqual(lots.map(lot => [lot.lotId, lot.modelNumber, lot.auctionPrice]), [['1', 'iPad Air', 40000], ['B-2', 'PS5', 30000]]);
+  });
+  
+  test('価格が読めない行も行を詰めずに NaN のまま返す（評価時にその行だけエラーにする）', () => {
+    const { rows, lots } = readLots(parseCSV('型番,価格\niPad Air,未定\nPS5,\nSwitch,25000\n'));
+    
+    assert.equal(rows.length, 3);
+    assert.ok(Number.isNaN(lots[0].auctionPrice));
+    assert.ok(Number.isNaN(lots[1].auctionPrice));
+    assert.equal(lots[2].auctionPrice, 25000);
+  });
+  
+  test('空のCSVはロットなし', () => {
+    assert.deepEqual(readLots([]), { header: [], rows: [], lots: [] });
+  });
+});
+
+describe('appendResultColumns', () => {
+  test('成功した行は評価結果、失敗した行はエラーだけを末尾の列に追加する', () => {
+    const header = ['型番', '価格', 'メモ'];
+    const rows = [['iPhone 13 Pro', '80000'], ['PS5', '0', '要確認']];
+    const lotResults = [
+      {
+        ok: true,
+        result: {
+          judgment: { decision: '仕入れ検討', reason: '利益率+25%', ruleSet: { name: 'electronics' } },
+          totalCost: 92400,
+          avgPrice: 120000,
+          marketPrice: 118000,
+          confidence: { score: 80 },
+          profit: 25600,
+          profitRate: 28,
+          count: 12
+        }
+      },
+      { ok: false, error: 'オークション価格が不正です' }
+    ];
+    
+    const output = appendResultColumns(header, rows, lotResults);
+    
+    assert.deepEqual(output[0], [...header, ...RESULT_COLUMNS]);
+    assert.deepEqual(output[1], ['iPhone 13 Pro', '80000', '', '仕入れ検討', '利益率+25%', 92400, 120000, 118000, 80, 25600, 28, 12, 'electronics', '']);
+    assert.deepEqual(output[2], ['PS5', '0', '要確認', ...new Array(RESULT_COLUMNS.length - 1).fill(''), 'オークション価格が不正です']);
+  });
+});
+
+describe('encodeCSV', () => {
+  const text = toCSV([['型番', '判定'], ['ルイヴィトン 財布', '仕入れ推奨']]);
+  
+  test('Shift_JIS で書き出した内容を元の文字列に戻せる', () => {
+    const encoded = encodeCSV(text, 'cp932');
+    
+    assert.equal(encoded[0], 0x8c);
+    assert.equal(iconv.decode(encoded, 'shift_jis'), text);
+    // 入力CSVの読込（readCSVLots）と同じ文字コード判定で読み戻せる
+    assert.deepEqual(parseCSV(decodeResponse(encoded))[1], ['ルイヴィトン 財布', '仕入れ推奨']);
+  });
+  
+  test('UTF-8 はBOMを付ける', () => {
+    const encoded = encodeCSV(text);
+    assert.deepEqual([...encoded.subarray(0, 3)], [0xef, 0xbb, 0xbf]);
+    assert.deepEqual(parseCSV(encoded.toString('utf8')), parseCSV(text));
+  });
+  
+  test('Shift_JIS の表記ゆれを判別する', () => {
+    ['Shift_JIS', 'shift-jis', 'sjis', 'CP932', 'windows-31j'].forEach(encoding => assert.ok(isShiftJIS(encoding), encoding));
+    assert.ok(!isShiftJIS('utf8'));
+    assert.ok(!isShiftJIS());
+  });
+});
@@ -0,0 +1,46 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTitle, dedupeResults } = require('../lib/dedupe');
+const { withSilentConsole } = require('./support/fixtures');
+
+describe('dedupeResults', () => {
+  test('URLが同じ商品はフラグメントや末尾スラッシュの違いを無視してまとめる', () => {
+    const { results, removed } = withSilentConsole(() => dedupeResults([
+      { title: 'iPhone 13 Pro 256GB', price: 88000, url: 'https://aucfan.com/detail/m1/', platform: 'メルカリ' },
+      { title: 'iPhone 13 Pro 256GB グラファイト', price: 88000, url: 'https://aucfan.com/detail/m1#top', platform: 'メルカリ' },
+      { title: 'iPhone 13 Pro 128GB', price: 79500, url: 'https://aucfan.com/detail/y2/', platform: 'ヤフオク' }
+    ]));
+    
+    assert.equal(removed, 1);
+    assert.deepEqual(results.map(item => item.price), [88000, 79500]);
+  });
+  
+  test('URLがなければ正規化した商品名＋価格＋プラットフォームで判定', () => {
+    const { results, removed } = withSilentConsole(() => dedupeResults([
+      { title: 'ｉＰｈｏｎｅ 13 Pro【美品】', price: 88000, platform: 'メルカリ' },
+      { title: 'iphone 13 pro 美品', price: 88000, platform: 'メルカリ' },
+      { title: 'iphone 13 pro 美品', price: 88000, platform: 'ヤフオク' },
+      { title: 'iphone 13 pro 美品', price: 87000, platform: 'メルカリ' }
+    ]));
+    
+    assert.equal(removed, 1);
+    assert.equal(results.length, 3);
+  });
+  
+  test('先に出現したデータを残し、欠けている項目だけ重複から補う', () => {
+    const { results } = dedupeResults([
+      { title: 'iPhone 13 Pro', price: 88000, url: 'https://aucfan.com/detail/m1/', date: '', status: 'unknown' },
+      { title: 'iPhone 13 Pro 256GB', price: 88000, url: 'https://aucfan.com/detail/m1/', date: '2026-09-04', status: 'sold' }
+    ]);
+    
+    assert.equal(results[0].title, 'iPhone 13 Pro');
+    assert.equal(results[0].date, '2026-09-04');
+    assert.equal(results[0].status, 'sold');
+  });
+});
+
+describe('normalizeTitle', () => {
+  test('全角半角・大文字小文字・空白・記号の違いを無視', () => {
+    assert.equal(normalizeTitle('ｉＰｈｏｎｅ 13　Pro【美品】'), normalizeTitle('iPhone13Pro 美品'));
+  });
+});
@@ -0,0 +1,87 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadExclusionRules, createExclusionRules } = require('../lib/exclusions');
+const { withSilentConsole } = require('./support/fixtures');
+
+// 一時ディレクトリにルールファイルを書き出す
+function writeRules(rules) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'exclusion-rules-')), 'rules.json');
+  fs.writeFileSync(filePath, JSON.stringify({ rules }));
+  return filePath;
+}
+
+describe('loadExclusionRules', () => {
+  test('設定ファイルのルールを組み込みルールの後に追加し、同名は上書き', () => {
+    const rules = loadExclusionRules(writeRules([
+      { name: 'ad', type: 'keyword', keywords: ['初月無料'] },
+      { name: 'min-price', type: 'price', min: 1000 }
+    ]));
+    
+    assert.deepEqual(rules.map(rule => rule.name), ['ad', 'min-price']);
+    assert.equal(rules[1].min, 1000);
+  });
+  
+  test('不正なルールはルール名つきでエラー', () => {
+    assert.throws(() => loadExclusionRules(writeRules([{ name: 'bad', type: 'unknown' }])), /「bad」の type/);
+    assert.throws(() => loadExclusionRules(writeRules([{ name: 'bad', type: 'regex', pattern: '(' }])), /正規表現が不正/);
+    assert.throws(() => loadExclusionRules(writeRules([{ type: 'price', min: 1 }])), /name がありません/);
+  });
+  
+  test('リポジトリの設定ファイルを読み込める', () => {
+    const rules = loadExclusionRules(path.join(__dirname, '..', 'config', 'exclusion-rules.json'));
+    assert.ok(rules.some(rule => rule.type === 'keyword'));
+  });
+  
+  test('リポジトリの設定ではプラン料金の表記だけを除外し、カンマ区切りの2,200円は残す', () => {
+    const exclusions = withSilentConsole(() => createExclusionRules(path.join(__dirname, '..', 'config', 'exclusion-rules.json'), { watch: false }));
+    
+    assert.equal(exclusions.match({ title: '2200円で見放題', price: 5000, platform: 'メルカリ' }).name, 'aucfan-plan-price');
+    assert.equal(exclusions.match({ title: 'ケーブル 2,200円', price: 2200, platform: 'メルカリ' }), null);
+  });
+});
+
+describe('createExclusionRules', () => {
+  test('最初に一致した有効なルールを返し、ルール別の件数を数える', () => {
+    const exclusions = withSilentConsole(() => createExclusionRules(writeRules([
+      { name: 'ad', type: 'keyword', keywords: ['プレミアム'] },
+      { name: 'plan-price', type: 'regex', pattern: '998円' },
+      { name: 'other', type: 'platform', platforms: ['その他'], enabled: false },
+      { name: 'too-expensive', type: 'price', max: 1000000 }
+    ]), { watch: false }));
+    
+    assert.equal(exclusions.match({ title: 'プレミアム 998円', price: 998, platform: 'メルカリ' }).name, 'ad');
+    assert.equal(exclusions.match({ title: '月額998円', price: 5000, platform: 'メルカリ' }).name, 'plan-price');
+    assert.equal(exclusions.match({ title: 'iPhone', price: 80000, platform: 'その他' }), null);
+    assert.equal(exclusions.match({ title: 'iPhone', price: 2000000, platform: 'メルカリ' }).name, 'too-expensive');
+    
+    const hits = Object.fromEntries(exclusions.describe().rules.map(rule => [rule.name, rule.hits]));
+    assert.deepEqual(hits, { 'min-price': 0, ad: 1, 'plan-price': 1, other: 0, 'too-expensive': 1 });
+  });
+  
+  test('再読込でルールを反映し、失敗時は直前のルールを継続', () => {
+    const filePath = writeRules([{ name: 'ad', type: 'keyword', keywords: ['プレミアム'] }]);
+    let reloaded = 0;
+    const exclusions = withSilentConsole(() => createExclusionRules(filePath, { watch: false, onReload: () => reloaded++ }));
+    const item = { title: 'iPhone セール', price: 80000, platform: 'メルカリ' };
+    assert.equal(exclusions.match(item), null);
+    
+    fs.writeFileSync(filePath, JSON.stringify({ rules: [{ name: 'sale', type: 'regex', pattern: 'セール' }] }));
+    withSilentConsole(() => exclusions.reload());
+    assert.equal(exclusions.match(item).name, 'sale');
+    assert.equal(reloaded, 1);
+    
+    fs.writeFileSync(filePath, '{ broken');
+    const original = console.error;
+    console.error = () => {};
+    try {
+      assert.equal(exclusions.reload().ok, false);
+    } finally {
+      console.error = original;
+    }
+    assert.equal(exclusions.match(item).name, 'sale');
+    assert.ok(exclusions.describe().lastError);
+  });
+});
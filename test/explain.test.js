@@ -0,0 +1,51 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createExplainer, describeFilterExclusion } = require('../lib/explain');
+const { withSilentConsole } = require('./support/fixtures');
+const { summarizeResults } = withSilentConsole(() => require('../server'));
+
+function item(price, overrides = {}) {
+  return { title: 'iPhone 13 Pro 128GB', price, date: '', url: '', status: 'sold', platform: 'メルカリ', source: 'aucfan', extractedBy: 'direct', ...overrides };
+}
+
+describe('createExplainer', () => {
+  test('コピーされたデータも追跡し、最初に除外された段階を残す', () => {
+    const explainer = createExplainer([item(80000, { url: 'https://example.com/1' }), item(80000, { url: 'https://example.com/1' }), item(1500)]);
+    const [first, , third] = explainer.items.map(entry => ({ ...entry }));
+    
+    explainer.markDuplicates([first, third]);
+    explainer.markExcluded([{ ...third, excludedBy: 'min-price' }], describeFilterExclusion);
+    explainer.markDropped([first, third], [first], 'listing', '出品中（未落札）');
+    const explanation = explainer.build([first]);
+    
+    assert.deepEqual(explanation.items.map(entry => [entry.fate, entry.stage]), [['kept', null], ['excluded', 'duplicate'], ['excluded', 'rule']]);
+    assert.equal(explanation.items[1].duplicateOf, 0);
+    assert.match(explanation.items[2].reason, /min-price/);
+    assert.deepEqual(explanation.counts, { total: 3, kept: 1, excluded: 2, byStage: { duplicate: 1, rule: 1 } });
+  });
+});
+
+describe('summarizeResults（explain）', () => {
+  const results = [
+    ...[80000, 81000, 82000, 83000, 84000].map(price => item(price)),
+    item(20000),
+    item(1500, { title: 'iPhone 13 Pro ケース' }),
+    item(99000, { status: 'listing', extractedBy: 'fulltext' })
+  ];
+  
+  test('抽出した全データの採用・除外の段階と理由、外れ値の判定範囲を返す', () => {
+    const { explanation, count } = withSilentConsole(() => summarizeResults('iPhone 13 Pro', results, { explain: true }));
+    
+    assert.equal(explanation.items.length, results.length);
+    assert.equal(explanation.counts.kept, count);
+    assert.deepEqual(explanation.items.slice(5).map(entry => entry.stage), ['outlier', 'relevance', 'listing']);
+    assert.equal(explanation.items[7].extractedBy, 'fulltext');
+    assert.equal(explanation.iqrBounds.applied, true);
+    assert.deepEqual(explanation.items[5].bounds, { lower: explanation.iqrBounds.lower, upper: explanation.iqrBounds.upper });
+  });
+  
+  test('explain を指定しなければ説明を付けない', () => {
+    const summary = withSilentConsole(() => summarizeResults('iPhone 13 Pro', results));
+    assert.equal(summary.explanation, undefined);
+  });
+});
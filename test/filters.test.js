@@ -0,0 +1,88 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { withSilentConsole } = require('./support/fixtures');
+const { parseDate, filterValidPrices } = withSilentConsole(() => require('../server'));
+
+// 現在から n ヶ月前の日付（YYYY-MM-DD）
+function monthsAgo(n) {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - n);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`;
+}
+
+function item(price, overrides = {}) {
+  return { title: 'iPhone 13 Pro 256GB 美品', price, date: '', platform: 'メルカリ', ...overrides };
+}
+
+describe('parseDate', () => {
+  test('年付きの形式', () => {
+    const now = new Date();
+    const parsed = parseDate(`${now.getFullYear() - 1}/${now.getMonth() + 1}/15`);
+    assert.equal(parsed.monthsAgo, 12);
+  });
+  
+  test('「YYYY年M月D日」は年を含めて解釈する', () => {
+    const now = new Date();
+    const parsed = parseDate(`${now.getFullYear() - 2}年${now.getMonth() + 1}月3日`);
+    assert.equal(parsed.monthsAgo, 24);
+  });
+  
+  test('年なしで未来の月になる日付は昨年とみなす', () => {
+    const now = new Date();
+    if (now.getMonth() === 11) return; // 12月は未来の月がない
+    const parsed = parseDate(`${now.getMonth() + 2}月1日`);
+    assert.equal(parsed.monthsAgo, 11);
+  });
+  
+  test('解釈できなければ null', () => {
+    assert.equal(parseDate(''), null);
+    assert.equal(parseDate('不明'), null);
+  });
+});
+
+describe('filterValidPrices', () => {
+  const run = (results) => withSilentConsole(() => filterValidPrices(results));
+  
+  test('広告キーワード・300円未満を除外', () => {
+    const results = run([
+      item(80000),
+      item(2200, { title: 'プレミアム会員 初月無料' }),
+      item(250, { title: 'iPhone 13 Pro 保護フィルム' }),
+      item(82000)
+    ]);
+    assert.deepEqual(results.map(r => r.price), [80000, 82000]);
+  });
+  
+  test('1年より古いデータを除外（日付なしは残す）', () => {
+    const results = run([
+      item(80000, { date: monthsAgo(2) }),
+      item(81000, { date: monthsAgo(18) }),
+      item(82000)
+    ]);
+    assert.deepEqual(results.map(r => r.price), [80000, 82000]);
+  });
+  
+  test('統計的外れ値を除外', () => {
+    const prices = [80000, 81000, 82000, 83000, 84000, 85000, 500000];
+    const results = run(prices.map(price => item(price)));
+    assert.ok(!results.some(r => r.price === 500000));
+    assert.equal(results.length, 6);
+  });
+  
+  test('除外したデータに除外理由のルール名を付ける', () => {
+    const excluded = [];
+    withSilentConsole(() => filterValidPrices([
+      item(80000),
+      item(2200, { title: 'プレミアム会員 初月無料' }),
+      item(250, { title: 'iPhone 13 Pro 保護フィルム' }),
+      item(81000, { date: monthsAgo(18) }),
+      item(82000)
+    ], { excluded }));
+    assert.deepEqual(excluded.map(r => [r.price, r.excludedBy]), [[2200, 'aucfan-ad'], [250, 'min-price'], [81000, 'recent-only']]);
+  });
+  
+  test('空配列はそのまま返す', () => {
+    assert.deepEqual(run([]), []);
+  });
+});
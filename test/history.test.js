@@ -0,0 +1,73 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore, aggregateMonthly, detectTrend, summarizeHistory } = require('../lib/history');
+
+function snapshot(timestamp, avgPrice, extra = {}) {
+  return { query: 'iphone 13 pro', timestamp, count: 10, avgPrice, maxPrice: avgPrice + 5000, minPrice: avgPrice - 5000, ...extra };
+}
+
+describe('aggregateMonthly', () => {
+  test('月ごとに平均・最高・最安・件数を集計', () => {
+    const monthly = aggregateMonthly([
+      snapshot('2026-08-01T00:00:00.000Z', 80000),
+      snapshot('2026-08-20T00:00:00.000Z', 90001, { count: 5, maxPrice: 120000 }),
+      snapshot('2026-09-03T00:00:00.000Z', 70000, { minPrice: 40000 })
+    ]);
+    
+    assert.deepEqual(monthly, [
+      { month: '2026-08', snapshots: 2, avgPrice: 85001, maxPrice: 120000, minPrice: 75000, sampleCount: 15 },
+      { month: '2026-09', snapshots: 1, avgPrice: 70000, maxPrice: 75000, minPrice: 40000, sampleCount: 10 }
+    ]);
+  });
+});
+
+describe('detectTrend', () => {
+  const trendOf = (prices) => {
+    const snapshots = prices.map((price, index) => snapshot(`2026-09-0${index + 1}T00:00:00.000Z`, price));
+    return detectTrend(snapshots, aggregateMonthly(snapshots));
+  };
+  
+  test('変化率 ±5% 以内は横ばい、超えると上昇・下落', () => {
+    assert.deepEqual([trendOf([100000, 105000]).direction, trendOf([100000, 105000]).changeRate], ['flat', 4.9]);
+    assert.equal(trendOf([100000, 95500]).direction, 'flat');
+    assert.deepEqual([trendOf([100000, 106000]).direction, trendOf([100000, 106000]).changeRate], ['up', 5.8]);
+    assert.deepEqual([trendOf([100000, 94000]).direction, trendOf([100000, 94000]).changeRate], ['down', -6.2]);
+  });
+  
+  test('1件だけではデータ不足', () => {
+    assert.equal(trendOf([100000]).direction, 'unknown');
+  });
+  
+  test('2か月以上あれば月別平均で判定', () => {
+    const snapshots = [
+      snapshot('2026-08-01T00:00:00.000Z', 100000),
+      snapshot('2026-08-31T00:00:00.000Z', 60000),
+      snapshot('2026-09-15T00:00:00.000Z', 80000)
+    ];
+    const trend = detectTrend(snapshots, aggregateMonthly(snapshots));
+    // スナップショット単位なら下落だが、月別平均（80,000 → 80,000）は横ばい
+    assert.deepEqual([trend.basis, trend.direction, trend.changeRate], ['monthly', 'flat', 0]);
+  });
+});
+
+describe('createHistoryStore', () => {
+  test('0件の結果は記録せず、壊れた行を無視して古い順に返す', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'history-')), 'history.jsonl');
+    const store = createHistoryStore(filePath);
+    
+    assert.equal(store.record({ query: 'iPhone 13 Pro', count: 0 }), null);
+    store.record({ query: 'ｉＰｈｏｎｅ 13 Pro', count: 3, avgPrice: 80000, medianPrice: 80000, maxPrice: 90000, minPrice: 70000, sources: [{ name: 'aucfan' }] });
+    fs.appendFileSync(filePath, '{broken\n');
+    fs.appendFileSync(filePath, JSON.stringify(snapshot('2020-01-01T00:00:00.000Z', 50000)) + '\n');
+    
+    const snapshots = store.getSnapshots('iphone 13 pro');
+    assert.deepEqual(snapshots.map(s => s.avgPrice), [50000, 80000]);
+    assert.deepEqual(snapshots[1].sources, ['aucfan']);
+    assert.equal(summarizeHistory('iPhone 13 Pro', snapshots).snapshotCount, 2);
+    
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+});
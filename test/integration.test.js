@@ -0,0 +1,240 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { createMockAucfan } = require('./support/mock-aucfan');
+
+const LINE_SECRET = 'integration-secret';
+
+/**
+ * モックサーバーに向けた環境変数でサーバーを子プロセスとして起動
+ */
+function startServer(env) {
+  return new Promise((resolve, reject) => {
+    const child = fork(path.join(__dirname, 'support', 'start-server.js'), [], {
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+    });
+    child.once('message', ({ port }) => resolve({ child, baseURL: `http://127.0.0.1:${port}` }));
+    child.once('exit', code => reject(new Error(`サーバーが起動前に終了しました (code ${code})`)));
+  });
+}
+
+describe('モックサーバーを使った結合テスト', () => {
+  const mock = createMockAucfan({
+    scenarios: {
+      'iPhone 12 mini': 'no_results',
+      'iPhone 13 mini': 'redirect',
+      'iPhone 14 Plus': 'error',
+      'iPhone 14 Pro Max': { type: 'error', status: 503, retryAfter: 0, times: 1 },
+      'iPhone 15 Pro': { type: 'slow', delayMs: 3000 },
+      'iPhone 15 Plus': 'error'
+    }
+  });
+  let server;
+  let dataDir;
+  
+  const search = async (body) => {
+    const response = await fetch(`${server.baseURL}/api/search`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ auctionPrice: 60000, sources: ['aucfan'], ...body })
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  
+  before(async () => {
+    const mockURL = await mock.listen();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'integration-'));
+    server = await startServer({
+      AUCFAN_BASE_URL: mockURL,
+      AUCFAN_TIMEOUT_MS: '1000',
+      AUCFAN_RETRIES: '1',
+      AUCFAN_RETRY_BASE_MS: '20',
+      AUCFAN_BREAKER_THRESHOLD: '3',
+      LINE_API_BASE_URL: mockURL,
+      LINE_CHANNEL_SECRET: LINE_SECRET,
+      LINE_CHANNEL_ACCESS_TOKEN: 'integration-token',
+      HISTORY_FILE: path.join(dataDir, 'price-history.jsonl'),
+      SNAPSHOT_DIR: path.join(dataDir, 'snapshots'),
+      MARKET_SOURCES: 'aucfan'
+    });
+  });
+  
+  after(async () => {
+    if (server) {
+      // 終了時の書き込みが済んでから一時ディレクトリを消す
+      const exited = new Promise(resolve => server.child.once('exit', resolve));
+      server.child.kill();
+      await exited;
+    }
+    await mock.close();
+    if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+  
+  test('/api/search が検索結果ページから判定を返す', async () => {
+    const { status, body } = await search({ modelNumber: 'iPhone 13 Pro' });
+    
+    assert.equal(status, 200);
+    assert.ok(body.count > 0);
+    assert.equal(body.sources[0].strategy, 'direct');
+    assert.ok(body.judgment.decision);
+    assert.ok(mock.requests.some(request => request.url === `/search1/q-${encodeURIComponent('iPhone 13 Pro')}/`));
+  });
+  
+  test('未登録のデータソースは 400 と利用可能なソースを返す', async () => {
+    const { status, body } = await search({ modelNumber: 'iPhone 13 Pro', sources: ['nope'] });
+    assert.equal(status, 400);
+    assert.match(body.error, /未登録のデータソース/);
+    assert.deepEqual(body.available, ['aucfan']);
+    
+    const batch = await fetch(`${server.baseURL}/api/search/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ lots: [{ modelNumber: 'iPhone 13 Pro', auctionPrice: 60000 }], sources: 'aucfan,nope' })
+    });
+    assert.equal(batch.status, 400);
+    assert.deepEqual((await batch.json()).available, ['aucfan']);
+  });
+  
+  test('一括評価の共通オプションが不正なら、相場を取得する前に 400 を返す', async () => {
+    const requestCount = mock.requests.length;
+    const invalidOptions = [
+      { costProfile: 'nope' },
+      { shippingSize: '6O' },
+      { ruleSet: 'nope' },
+      { thresholds: { recommend: 10, consider: 20 } },
+      { condition: 'broken' },
+      { attributes: { capacity: 'huge' } }
+    ];
+    
+    for (const options of invalidOptions) {
+      const response = await fetch(`${server.baseURL}/api/search/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ lots: [{ modelNumber: 'iPhone 11', auctionPrice: 30000 }], ...options })
+      });
+      assert.equal(response.status, 400, JSON.stringify(options));
+      assert.ok((await response.json()).error);
+    }
+    assert.equal(mock.requests.length, requestCount);
+  });
+  
+  test('CSV一括評価のオプションが不正なら、相場を取得する前に 400 を返す', async () => {
+    const requestCount = mock.requests.length;
+    
+    for (const query of ['costProfile=nope', 'shippingSize=6O', 'sources=nope', 'bundleMode=nope', 'condition=broken', 'ruleSet=nope']) {
+      const response = await fetch(`${server.baseURL}/api/search/csv?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: 'modelNumber,auctionPrice\r\niPhone 11,30000\r\n'
+      });
+      assert.equal(response.status, 400, query);
+      assert.ok((await response.json()).error);
+    }
+    assert.equal(mock.requests.length, requestCount);
+  });
+  
+  test('検索結果なしページは0件として扱う', async () => {
+    const { status, body } = await search({ modelNumber: 'iPhone 12 mini' });
+    
+    assert.equal(status, 200);
+    assert.equal(body.count, 0);
+    assert.equal(body.sources[0].strategy, 'no_results');
+  });
+  
+  test('リダイレクト先のページから取得する', async () => {
+    const { status, body } = await search({ modelNumber: 'iPhone 13 mini' });
+    
+    assert.equal(status, 200);
+    assert.ok(body.sources[0].count > 0);
+    assert.ok(mock.requests.some(request => request.url.endsWith('?redirected=1')));
+  });
+  
+  test('同時の検索は取得の順番待ちをして、待った時間を返す', async () => {
+    const results = await Promise.all([
+      search({ modelNumber: 'iPhone 13 Pro', includeListings: true }),
+      search({ modelNumber: 'iPhone 13 Pro', bundleMode: 'exclude' })
+    ]);
+    
+    results.forEach(({ status }) => assert.equal(status, 200));
+    const waits = results.map(({ body }) => body.sources[0].queue.waitedMs);
+    assert.ok(Math.max(...waits) >= 900, `待機: ${waits.join(', ')}ms`);
+    
+    const cached = await search({ modelNumber: 'iPhone 13 Pro', includeListings: true });
+    assert.equal(cached.body.cache.hit, true);
+    assert.equal(cached.body.sources[0].queue, undefined);
+    
+    const queue = await (await fetch(`${server.baseURL}/api/queue`)).json();
+    assert.equal(queue.ahead, 0);
+    assert.equal(queue.limiter.ratePerSecond, 1);
+    assert.ok(queue.limiter.totals.completed >= 5);
+  });
+  
+  test('LINE Webhook が検索中の返信と判定結果のプッシュを送る', async () => {
+    const body = JSON.stringify({
+      destination: 'Ubot',
+      events: [{
+        type: 'message',
+        replyToken: 'reply-token-1',
+        source: { type: 'user', userId: 'Uintegration' },
+        timestamp: Date.now(),
+        mode: 'active',
+        message: { id: '1', type: 'text', text: 'iPhone 13 Pro\n60000' }
+      }]
+    });
+    const signature = crypto.createHmac('sha256', LINE_SECRET).update(body).digest('base64');
+    
+    const response = await fetch(`${server.baseURL}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-line-signature': signature },
+      body
+    });
+    assert.equal(response.status, 200);
+    
+    const reply = mock.lineMessages.find(message => message.type === 'reply');
+    const push = mock.lineMessages.find(message => message.type === 'push');
+    assert.equal(reply.replyToken, 'reply-token-1');
+    assert.equal(reply.authorization, 'Bearer integration-token');
+    assert.match(reply.messages[0].text, /相場検索中/);
+    // キャッシュから返す検索は順番待ちを表示しない
+    assert.doesNotMatch(reply.messages[0].text, /順番待ち/);
+    assert.equal(push.to, 'Uintegration');
+    assert.match(push.messages[0].text, /iPhone 13 Pro/);
+  });
+  
+  test('一時的な 5xx は Retry-After に従って再試行する', async () => {
+    const { status, body } = await search({ modelNumber: 'iPhone 14 Pro Max' });
+    
+    assert.equal(status, 200);
+    assert.ok(body.sources[0].count > 0);
+    assert.equal(mock.requests.filter(request => request.url === `/search1/q-${encodeURIComponent('iPhone 14 Pro Max')}/`).length, 2);
+  });
+  
+  test('5xx エラー・タイムアウトは再試行後に取得失敗として返す', async () => {
+    const failed = await search({ modelNumber: 'iPhone 14 Plus' });
+    assert.equal(failed.status, 500);
+    assert.match(failed.body.error, /オークファンの相場取得に失敗しました/);
+    
+    const slow = await search({ modelNumber: 'iPhone 15 Pro' });
+    assert.equal(slow.status, 500);
+    assert.match(slow.body.error, /timeout/);
+  });
+  
+  test('失敗が続くとサーキットブレーカーを開いて即座に失敗し、/health に表示する', async () => {
+    await search({ modelNumber: 'iPhone 15 Plus' });
+    const requestCount = mock.requests.length;
+    
+    const { status, body } = await search({ modelNumber: 'iPhone 11' });
+    assert.equal(status, 500);
+    assert.match(body.error, /一時停止/);
+    assert.equal(mock.requests.length, requestCount);
+    
+    const health = await fetch(`${server.baseURL}/health`).then(response => response.json());
+    assert.equal(health.status, 'degraded');
+    assert.equal(health.circuitBreakers.aucfan.state, 'open');
+  });
+});
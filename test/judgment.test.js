@@ -0,0 +1,151 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadJudgmentRules, selectRuleSet } = require('../lib/judgment');
+const { withSilentConsole } = require('./support/fixtures');
+const { evaluatePurchase, extractKeywords } = withSilentConsole(() => require('../server'));
+
+describe('evaluatePurchase（標準ルール: 50% / 20% / 0%・最低3件）', () => {
+  // 標準コストは 落札価格 + 手数料5% + 消費税10%（100,000円 → 115,500円）
+  const auctionPrice = 100000;
+  const totalCost = 115500;
+  const saleAt = (rate) => Math.round(totalCost * (1 + rate / 100));
+  
+  test('利益率に応じた判定段階', () => {
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(60), 10).decision, '仕入れ推奨');
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(25), 10).decision, '仕入れ検討');
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(5), 10).decision, '慎重検討');
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(-10), 10).decision, '仕入れNG');
+  });
+  
+  test('境界値は上の段階に含む', () => {
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(50), 10).decision, '仕入れ推奨');
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(20), 10).decision, '仕入れ検討');
+  });
+  
+  test('総原価を返す', () => {
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(30), 10).totalCost, totalCost);
+  });
+  
+  test('数量指定時は1個あたりの原価を1個あたりの相場と比べる', () => {
+    const unitSale = Math.round((totalCost / 4) * 1.6);
+    assert.equal(evaluatePurchase(auctionPrice, unitSale, 10, { quantity: 4 }).decision, '仕入れ推奨');
+    assert.equal(evaluatePurchase(auctionPrice, unitSale, 10).decision, '仕入れNG');
+  });
+  
+  test('相場データなし・件数不足', () => {
+    assert.equal(evaluatePurchase(auctionPrice, 0, 0).decision, '判定不可');
+    assert.equal(evaluatePurchase(auctionPrice, saleAt(60), 2).decision, '判定困難');
+  });
+});
+
+// 一時ディレクトリに判定ルールファイルを書き出して読み込む
+function loadRules(definitions) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'judgment-rules-')), 'rules.json');
+  fs.writeFileSync(filePath, JSON.stringify(definitions));
+  return withSilentConsole(() => loadJudgmentRules(filePath));
+}
+
+describe('selectRuleSet（リポジトリの設定）', () => {
+  const rules = withSilentConsole(() => loadJudgmentRules(path.join(__dirname, '..', 'config', 'judgment-rules.json')));
+  
+  test('ブランド品は表記ゆれを揃えて luxury、ブランドのない家電は electronics', () => {
+    assert.equal(selectRuleSet('ルイヴィトン 財布 M42616', rules).name, 'luxury');
+    assert.equal(selectRuleSet('ルイヴィトン 財布 M42616', rules).matchedBy, 'brand:ルイヴィトン');
+    assert.equal(selectRuleSet('HERMES バーキン', rules).name, 'luxury');
+    assert.equal(selectRuleSet('iPhone 13 Pro 256GB', rules).name, 'electronics');
+  });
+  
+  test('一覧にないブランドは luxury にせず、次のルールセットで判定', () => {
+    const custom = loadRules({
+      luxury: { brands: ['HERMES', 'シャネル'], thresholds: { recommend: 70, consider: 35, caution: 10 } },
+      electronics: { categories: ['iPhone'], thresholds: { recommend: 35, consider: 15, caution: 0 } }
+    });
+    
+    assert.equal(selectRuleSet('GUCCI iPhone 13 ケース', custom).name, 'electronics');
+    assert.equal(selectRuleSet('CHANEL iPhone 13 ケース', custom).name, 'luxury');
+    assert.equal(selectRuleSet('GUCCI バッグ', custom).name, 'default');
+  });
+});
+
+describe('loadJudgmentRules', () => {
+  test('組み込みの default に設定ファイルのルールセットを追加し、省略した項目は既定値で補う', () => {
+    const rules = loadRules({ camera: { keywords: ['カメラ'], thresholds: { recommend: 40 } } });
+    
+    assert.deepEqual(Object.keys(rules), ['default', 'camera']);
+    assert.deepEqual(rules.camera.thresholds, { recommend: 40, consider: 20, caution: 0 });
+    assert.equal(rules.camera.minSamples, 3);
+    assert.equal(rules.camera.label, 'camera');
+    assert.deepEqual(rules.camera.brands, []);
+  });
+  
+  test('閾値の順序・minSamples・JSON が不正ならエラー', () => {
+    assert.throws(() => loadRules({ bad: { thresholds: { recommend: 10, consider: 20 } } }), /「bad」の閾値は recommend ≧ consider ≧ caution/);
+    assert.throws(() => loadRules({ bad: { thresholds: { recommend: 'abc' } } }), /「bad」の閾値が不正です/);
+    assert.throws(() => loadRules({ bad: { minSamples: 0 } }), /「bad」の minSamples が不正です/);
+    
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'judgment-rules-')), 'rules.json');
+    fs.writeFileSync(filePath, '{ broken');
+    assert.throws(() => loadJudgmentRules(filePath), /判定ルールの読込に失敗しました/);
+  });
+});
+
+describe('selectRuleSet', () => {
+  const rules = loadRules({
+    bags: { brands: ['PRADA'], thresholds: { recommend: 60, consider: 30, caution: 5 } },
+    phones: { categories: ['iPhone'], thresholds: { recommend: 35, consider: 15, caution: 0 }, minSamples: 5 },
+    games: { keywords: ['Switch', 'PS5'], thresholds: { recommend: 30, consider: 10, caution: 0 } }
+  });
+  
+  test('ブランド・カテゴリ・キーワードの順に、設定ファイルの並び順で最初に一致したルールセット', () => {
+    const select = (name) => {
+      const selected = selectRuleSet(name, rules);
+      return [selected.name, selected.matchedBy];
+    };
+    assert.deepEqual(select('プラダ トートバッグ'), ['bags', 'brand:プラダ']);
+    assert.deepEqual(select('PRADA iPhone 14 ケース'), ['bags', 'brand:PRADA']);
+    assert.deepEqual(select('iPhone 14 128GB'), ['phones', 'category:iPhone']);
+    assert.deepEqual(select('Nintendo switch 有機EL'), ['games', 'keyword:Switch']);
+  });
+  
+  test('どれにも一致しなければ default', () => {
+    const selected = selectRuleSet('ダイソン 掃除機 V12', rules);
+    assert.equal(selected.name, 'default');
+    assert.equal(selected.matchedBy, 'default');
+  });
+  
+  test('ruleSet の直接指定は自動選択より優先し、未登録の名前はエラー', () => {
+    const selected = selectRuleSet('iPhone 14 128GB', rules, { ruleSet: 'games' });
+    assert.equal(selected.name, 'games');
+    assert.equal(selected.matchedBy, 'request');
+    assert.throws(() => selectRuleSet('iPhone 14 128GB', rules, { ruleSet: 'unknown' }), /未登録の判定ルールです: unknown（利用可能: default, bags, phones, games）/);
+  });
+  
+  test('閾値の上書きは選んだルールセットに重ね、不正な値はエラー', () => {
+    const selected = selectRuleSet('iPhone 14 128GB', rules, { thresholds: { consider: 25, minSamples: 8 } });
+    assert.deepEqual(selected.thresholds, { recommend: 35, consider: 25, caution: 0 });
+    assert.equal(selected.minSamples, 8);
+    assert.equal(selected.matchedBy, 'category:iPhone+override');
+    // 上書きしても設定ファイルのルールセットは変わらない
+    assert.equal(rules.phones.thresholds.consider, 15);
+    
+    assert.throws(() => selectRuleSet('iPhone 14 128GB', rules, { thresholds: { consider: 40 } }), /閾値は recommend ≧ consider ≧ caution/);
+    assert.throws(() => selectRuleSet('iPhone 14 128GB', rules, { thresholds: { minSamples: -1 } }), /minSamples が不正です/);
+  });
+});
+
+describe('extractKeywords', () => {
+  test('ブランド＋カテゴリの組み合わせを先頭にする', () => {
+    const keywords = extractKeywords('ルイヴィトン 財布 M42616');
+    assert.equal(keywords[0], 'ルイヴィトン 財布');
+    assert.ok(keywords.includes('M42616'));
+  });
+  
+  test('最大3件で重複しない', () => {
+    const keywords = extractKeywords('iPhone 13 Pro MLUQ3J/A 256GB');
+    assert.ok(keywords.length <= 3);
+    assert.equal(new Set(keywords).size, keywords.length);
+  });
+});
@@ -0,0 +1,78 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPageSnapshotStore, resolveSnapshotMode } = require('../lib/page-snapshots');
+const { defineSource, collectFromSources } = require('../lib/sources');
+const { withSilentConsole } = require('./support/fixtures');
+
+// console 出力を止めて非同期処理を実行
+async function quietly(fn) {
+  const original = { log: console.log, error: console.error };
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+function createStore() {
+  return createPageSnapshotStore(fs.mkdtempSync(path.join(os.tmpdir(), 'page-snapshots-')));
+}
+
+describe('createPageSnapshotStore', () => {
+  test('ページを保存し、IDまたはソースとクエリの最新で読み込める', () => {
+    const store = createStore();
+    const first = withSilentConsole(() => store.save('aucfan', 'iPhone 13 Pro', { url: 'https://aucfan.com/search1/q-1/', html: '<p>1</p>', status: 200, headers: { 'Content-Type': 'text/html' } }));
+    
+    const loaded = store.load(first.id);
+    assert.equal(loaded.query, 'iPhone 13 Pro');
+    assert.equal(loaded.html, '<p>1</p>');
+    assert.deepEqual(loaded.headers, { 'content-type': 'text/html' });
+    assert.equal(store.latest('aucfan', 'iphone 13 pro').id, first.id);
+    assert.equal(store.latest('aucfan', 'iPhone 14'), null);
+    assert.deepEqual(store.list({ query: 'iPhone 13 Pro' }).map(snapshot => snapshot.id), [first.id]);
+  });
+  
+  test('不正なIDはエラー、存在しないIDは null', () => {
+    const store = createStore();
+    assert.throws(() => store.load('../secret'), /スナップショットIDが不正/);
+    assert.equal(store.load('aucfan-missing'), null);
+  });
+  
+  test('未対応のモードはエラー', () => {
+    assert.equal(resolveSnapshotMode('replay'), 'replay');
+    assert.throws(() => resolveSnapshotMode('record'), /未対応のスナップショットモード/);
+  });
+});
+
+describe('collectFromSources（スナップショット）', () => {
+  test('capture で保存したページを replay でネットワークなしに再現', async () => {
+    const store = createStore();
+    let fetchCount = 0;
+    const source = defineSource({
+      name: 'stub',
+      fetch: async () => {
+        fetchCount++;
+        return { url: 'https://example.com/search', html: 'iPhone 13 Pro|80000', status: 200, headers: {} };
+      },
+      parse: (page) => [{ title: page.html.split('|')[0], price: Number(page.html.split('|')[1]), platform: 'メルカリ' }]
+    });
+    
+    const captured = await quietly(() => collectFromSources('iPhone 13 Pro', [source], { snapshots: store, snapshotMode: 'capture' }));
+    const replayed = await quietly(() => collectFromSources('iPhone 13 Pro', [source], { snapshots: store, snapshotMode: 'replay' }));
+    
+    assert.equal(fetchCount, 1);
+    assert.deepEqual(replayed.results, captured.results);
+    assert.equal(replayed.sources[0].snapshot.id, captured.sources[0].snapshot.id);
+    assert.equal(replayed.sources[0].snapshot.replayed, true);
+    
+    await assert.rejects(
+      quietly(() => collectFromSources('iPhone 14', [source], { snapshots: store, snapshotMode: 'replay' })),
+      /再生するスナップショットがありません/
+    );
+  });
+});
@@ -0,0 +1,103 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createParserHealth } = require('../lib/parser-health');
+const { createAlertNotifier } = require('../lib/alerts');
+
+// console.warn を止めてアラート判定を実行
+function quietly(fn) {
+  const original = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = original;
+  }
+}
+
+describe('createParserHealth', () => {
+  test('抽出方式ごとに累計件数と直近の割合を集計', () => {
+    const health = createParserHealth();
+    ['direct', 'direct', 'fulltext', 'no_results'].forEach(strategy => health.record('aucfan', strategy));
+    
+    const { sources } = health.stats();
+    assert.deepEqual(sources.aucfan.totals, { direct: 2, fulltext: 1, no_results: 1 });
+    assert.equal(sources.aucfan.recent.samples, 3);
+    assert.equal(sources.aucfan.recent.fallbackRate, 1 / 3);
+  });
+  
+  test('セレクタ抽出も全文検索と同じくフォールバックとして数える', () => {
+    const health = createParserHealth();
+    ['direct', 'selector', 'selector', 'fulltext', 'no_results'].forEach(strategy => health.record('aucfan', strategy));
+    
+    const { recent } = health.stats().sources.aucfan;
+    assert.equal(recent.samples, 4);
+    assert.equal(recent.fallbackRate, 3 / 4);
+  });
+  
+  test('フォールバック率が閾値を超えたら通知し、クールダウン中は再送しない', () => {
+    const sent = [];
+    const health = createParserHealth({ minSamples: 4, fallbackRateThreshold: 0.5, notify: alert => sent.push(alert) });
+    
+    quietly(() => {
+      ['direct', 'direct', 'fulltext'].forEach(strategy => health.record('aucfan', strategy));
+      assert.equal(sent.length, 0);
+      
+      health.record('aucfan', 'fulltext');
+      health.record('aucfan', 'fulltext');
+    });
+    
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].type, 'fallback_rate');
+    assert.equal(sent[0].source, 'aucfan');
+    assert.equal(health.stats().recentAlerts.length, 1);
+  });
+  
+  test('検索結果なしページは0件抽出率に含めない', () => {
+    const sent = [];
+    const health = createParserHealth({ minSamples: 2, emptyRateThreshold: 0.5, notify: alert => sent.push(alert) });
+    
+    quietly(() => {
+      ['no_results', 'no_results', 'no_results', 'direct', 'direct'].forEach(strategy => health.record('aucfan', strategy));
+    });
+    assert.equal(sent.length, 0);
+    
+    quietly(() => {
+      health.record('aucfan', 'empty');
+      health.record('aucfan', 'empty');
+    });
+    assert.deepEqual(sent.map(alert => alert.type), ['empty_rate']);
+  });
+  
+  test('直近の件数は windowSize までに制限', () => {
+    const health = createParserHealth({ windowSize: 3 });
+    ['fulltext', 'direct', 'direct', 'direct'].forEach(strategy => health.record('aucfan', strategy));
+    assert.equal(health.stats().sources.aucfan.recent.fallbackRate, 0);
+  });
+});
+
+describe('createAlertNotifier', () => {
+  test('LINE管理者とWebhookの両方に送る', async () => {
+    const pushed = [];
+    const posted = [];
+    const notifier = createAlertNotifier({
+      lineClient: { pushMessage: async (to, message) => pushed.push({ to, message }) },
+      adminUserId: 'Uadmin',
+      webhookURL: 'https://example.com/hook',
+      httpClient: { post: async (url, body) => posted.push({ url, body }) }
+    });
+    
+    const original = console.log;
+    console.log = () => {};
+    try {
+      await notifier.notify({ type: 'fallback_rate', message: 'テスト' });
+    } finally {
+      console.log = original;
+    }
+    
+    assert.deepEqual(notifier.channels, ['line', 'webhook']);
+    assert.equal(pushed[0].to, 'Uadmin');
+    assert.equal(pushed[0].message.text, 'テスト');
+    assert.equal(posted[0].url, 'https://example.com/hook');
+    assert.equal(posted[0].body.type, 'fallback_rate');
+  });
+});
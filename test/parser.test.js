@@ -0,0 +1,103 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const iconv = require('iconv-lite');
+const { parseAucfanPage, extractPrice, extractDate, detectSaleStatus, decodeResponse } = require('../lib/sources/aucfan');
+const { listFixtures, loadFixture, parseFixture, diffItems, formatDiff } = require('./support/fixtures');
+
+describe('parseAucfanResults（保存済みHTMLフィクスチャ）', () => {
+  const names = listFixtures();
+  
+  test('フィクスチャが1件以上ある', () => {
+    assert.ok(names.length > 0);
+  });
+  
+  names.forEach(name => {
+    test(name, () => {
+      const fixture = loadFixture(name);
+      assert.ok(fixture.expected, `${name}.json が未記録です（node scripts/fixtures.js update ${name}）`);
+      
+      const parsed = parseFixture(fixture);
+      const diff = diffItems(fixture.expected.items, parsed.items);
+      assert.ok(diff.equal, `${formatDiff(name, diff)}\n意図した変更なら node scripts/fixtures.js update ${name} で期待結果を更新してください`);
+      assert.equal(parsed.strategy, fixture.expected.strategy, `${name} の抽出方式が変化しました`);
+    });
+  });
+});
+
+describe('parseAucfanPage', () => {
+  const html = `<ul>
+    <li><div class="item"><a href="/detail/1/">iPhone 13 Pro 256GB グラファイト 美品</a><span>メルカリ</span><span>88,000円</span></div></li>
+    <li><div class="item"><a href="/detail/2/">iPhone 13 Pro 128GB シエラブルー</a><span>ヤフオク</span><span>79,500円</span></div></li>
+  </ul>`;
+  
+  // console.log の出力を集めながら実行
+  function captureLogs(fn) {
+    const logs = [];
+    const original = console.log;
+    console.log = (...args) => logs.push(args.join(' '));
+    try {
+      return { result: fn(), logs };
+    } finally {
+      console.log = original;
+    }
+  }
+  
+  test('入れ子の要素から同じ商品を重複して取り出さない', () => {
+    const { result } = captureLogs(() => parseAucfanPage(html));
+    assert.equal(result.counts.direct, 2);
+    assert.deepEqual(result.items.slice(0, 2).map(item => item.price), [88000, 79500]);
+  });
+  
+  test('ページ構造の診断出力はデバッグモードのみ', () => {
+    const normal = captureLogs(() => parseAucfanPage(html, { debug: false }));
+    const debug = captureLogs(() => parseAucfanPage(html, { debug: true }));
+    assert.ok(!normal.logs.some(line => line.includes('HTML構造詳細分析')));
+    assert.ok(debug.logs.some(line => line.includes('HTML構造詳細分析')));
+  });
+});
+
+describe('extractPrice', () => {
+  test('カンマ・円記号を除いて数値にする', () => {
+    assert.equal(extractPrice('88,000円'), 88000);
+    assert.equal(extractPrice('¥1,234'), 1234);
+  });
+  
+  test('数字がなければ0', () => {
+    assert.equal(extractPrice(''), 0);
+    assert.equal(extractPrice('価格未定'), 0);
+    assert.equal(extractPrice(null), 0);
+  });
+});
+
+describe('extractDate', () => {
+  test('年付きの日付は YYYY-MM-DD に揃える', () => {
+    assert.equal(extractDate('終了日 2026/9/4'), '2026-09-04');
+    assert.equal(extractDate('2026年8月30日 21:00'), '2026-08-30');
+    assert.equal(extractDate('2025-01-05T10:00'), '2025-01-05');
+  });
+  
+  test('年なしの日付はそのまま返す', () => {
+    assert.equal(extractDate('落札 10月2日'), '10月2日');
+  });
+  
+  test('価格だけのテキストは日付にしない', () => {
+    assert.equal(extractDate('88,000円'), '');
+  });
+});
+
+describe('detectSaleStatus', () => {
+  test('出品中・落札済み・不明を判別', () => {
+    assert.equal(detectSaleStatus('129,800円 出品中'), 'listing');
+    assert.equal(detectSaleStatus('88,000円 落札'), 'sold');
+    assert.equal(detectSaleStatus('sold out'), 'sold');
+    assert.equal(detectSaleStatus('88,000円'), 'unknown');
+  });
+});
+
+describe('decodeResponse', () => {
+  test('UTF-8 と Shift_JIS を判別して復号', () => {
+    const text = 'メルカリ 88,000円';
+    assert.equal(decodeResponse(Buffer.from(text, 'utf8')), text);
+    assert.equal(decodeResponse(iconv.encode(text, 'shift_jis')), text);
+  });
+});
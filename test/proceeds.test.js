@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSellPlatforms, listShippingSizes, isKnownShippingSize, calculateNetProceeds } = require('../lib/proceeds');
+const { withSilentConsole } = require('./support/fixtures');
+
+const config = withSilentConsole(() => loadSellPlatforms());
+
+function listings(platform, prices) {
+  return prices.map(price => ({ platform, price }));
+}
+
+describe('loadSellPlatforms', () => {
+  test('組み込み設定と、ファイルによるプラットフォームの追加・上書き', () => {
+    assert.deepEqual(Object.keys(config.platforms), ['メルカリ', 'ヤフオク']);
+    assert.equal(config.minSamples, 3);
+    
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'sell-platforms-')), 'sell-platforms.json');
+    fs.writeFileSync(filePath, JSON.stringify({ minSamples: 5, platforms: { 'ラクマ': { feeRate: 0.066, shipping: { '60': 700, '80': 800 } } } }));
+    const custom = withSilentConsole(() => loadSellPlatforms(filePath));
+    
+    assert.equal(custom.minSamples, 5);
+    assert.equal(custom.defaultShippingSize, '60');
+    assert.deepEqual(Object.keys(custom.platforms), ['メルカリ', 'ヤフオク', 'ラクマ']);
+    assert.deepEqual(listShippingSizes(custom), ['60', '80']);
+    
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+  
+  test('全プラットフォームで定義された配送サイズのみ指定可能', () => {
+    assert.ok(isKnownShippingSize(config, 'nekopos'));
+    assert.ok(isKnownShippingSize(config, 100));
+    assert.ok(!isKnownShippingSize(config, '200'));
+  });
+});
+
+describe('calculateNetProceeds', () => {
+  test('販売手数料・送料を差し引いた手取りと利益を販路ごとに計算', () => {
+    const { channels } = calculateNetProceeds(listings('メルカリ', [10000, 10000, 10000]), 5000, config, { shippingSize: 'nekopos' });
+    
+    assert.deepEqual(channels[0], {
+      platform: 'メルカリ',
+      count: 3,
+      avgPrice: 10000,
+      medianPrice: 10000,
+      marketPrice: 10000,
+      feeRate: 0.10,
+      sellingFee: 1000,
+      shipping: 210,
+      netPayout: 8790,
+      profit: 3790,
+      profitRate: 76
+    });
+  });
+  
+  test('件数が minSamples 以上の販路から手取りが最も多いものを選ぶ', () => {
+    const results = [
+      ...listings('メルカリ', [30000, 30000, 30000]),
+      ...listings('ヤフオク', [50000, 50000])
+    ];
+    const proceeds = calculateNetProceeds(results, 0, config);
+    
+    // ヤフオクは手取りが多いが2件のみ
+    assert.equal(proceeds.channels[0].platform, 'ヤフオク');
+    assert.equal(proceeds.best.platform, 'メルカリ');
+  });
+  
+  test('minSamples に届く販路がなければ件数が最も多い販路', () => {
+    const results = [
+      ...listings('メルカリ', [30000, 30000]),
+      ...listings('ヤフオク', [50000])
+    ];
+    assert.equal(calculateNetProceeds(results, 0, config).best.platform, 'メルカリ');
+    assert.equal(calculateNetProceeds([], 0, config).best, null);
+  });
+  
+  test('統計値の指定で販売価格の基準を変える', () => {
+    const results = listings('メルカリ', [10000, 20000, 60000]);
+    assert.equal(calculateNetProceeds(results, 0, config).best.marketPrice, 30000);
+    assert.equal(calculateNetProceeds(results, 0, config, { statistic: 'median' }).best.marketPrice, 20000);
+  });
+  
+  test('未対応の配送サイズは送料0円とせずエラー', () => {
+    const results = listings('メルカリ', [10000, 10000, 10000]);
+    assert.throws(() => calculateNetProceeds(results, 0, config, { shippingSize: '6O' }), /未対応の配送サイズです: 6O（指定可能: 60, 80/);
+    assert.equal(calculateNetProceeds(results, 0, config, { shippingSize: 80 }).shippingSize, '80');
+  });
+});
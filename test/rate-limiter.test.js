@@ -0,0 +1,150 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('../lib/rate-limiter');
+const { defineSource, collectFromSources } = require('../lib/sources');
+const { createAucfanSource } = require('../lib/sources/aucfan');
+const { createCircuitBreaker } = require('../lib/upstream');
+
+// 外から完了させられる処理
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+// console 出力を止めて非同期処理を実行
+async function quietly(fn) {
+  const original = { log: console.log, error: console.error };
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+describe('createRateLimiter', () => {
+  test('同時実行数の上限を超えず、到着順に開始する', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 1000, burst: 10, maxConcurrency: 2 });
+    const started = [];
+    const tasks = [0, 1, 2, 3].map(() => deferred());
+    let running = 0;
+    let peak = 0;
+    
+    const done = tasks.map((task, index) => limiter.schedule(async () => {
+      started.push(index);
+      running++;
+      peak = Math.max(peak, running);
+      try {
+        return await task.promise;
+      } finally {
+        running--;
+      }
+    }));
+    
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(started, [0, 1]);
+    assert.equal(limiter.stats().queued, 2);
+    
+    tasks[1].resolve('b');
+    tasks[0].reject(new Error('失敗'));
+    tasks[2].resolve('c');
+    tasks[3].resolve('d');
+    
+    await assert.rejects(done[0], /失敗/);
+    assert.deepEqual(await Promise.all(done.slice(1)), ['b', 'c', 'd']);
+    assert.deepEqual(started, [0, 1, 2, 3]);
+    assert.equal(peak, 2);
+    assert.deepEqual(limiter.stats().totals, { scheduled: 4, completed: 3, failed: 1 });
+  });
+  
+  test('トークンがたまるまで開始を待たせ、前にいた件数と待った時間を渡す', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 20, burst: 1, maxConcurrency: 5 });
+    const startedAt = [];
+    const tickets = [];
+    
+    await Promise.all([0, 1, 2].map(() => limiter.schedule(async (ticket) => {
+      startedAt.push(Date.now());
+      tickets.push(ticket);
+    })));
+    
+    assert.deepEqual(tickets.map(ticket => ticket.ahead), [0, 0, 1]);
+    assert.equal(tickets[0].waitedMs, 0);
+    assert.ok(startedAt[1] - startedAt[0] >= 45, `間隔: ${startedAt[1] - startedAt[0]}ms`);
+    assert.ok(startedAt[2] - startedAt[1] >= 45, `間隔: ${startedAt[2] - startedAt[1]}ms`);
+    assert.ok(tickets[2].waitedMs >= 90);
+  });
+  
+  test('順番待ちの件数と待ち時間を見積もる', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 10, burst: 1, maxConcurrency: 5 });
+    assert.deepEqual(limiter.estimate(), { ahead: 0, waitMs: 0 });
+    
+    const queued = [];
+    const done = [0, 1, 2].map(() => limiter.schedule(async () => {}, { onQueued: ticket => queued.push(ticket) }));
+    assert.deepEqual(queued.map(ticket => ticket.ahead), [0, 0, 1]);
+    assert.equal(queued[0].waitMs, 0);
+    
+    const { ahead, waitMs } = limiter.estimate();
+    assert.equal(ahead, 2);
+    // トークンは1件目で使い切っているため、4件目は約3トークン分（300ms）待つ
+    assert.ok(waitMs > 250 && waitMs <= 300, `見込み: ${waitMs}ms`);
+    
+    await Promise.all(done);
+    assert.equal(limiter.stats().queued, 0);
+  });
+  
+  test('同時実行数が埋まっているときは所要時間の実績から見積もる', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 1000, burst: 10, maxConcurrency: 1, expectedDurationMs: 2000 });
+    const task = deferred();
+    const done = limiter.schedule(() => task.promise);
+    
+    assert.equal(limiter.estimate().waitMs, 2000);
+    task.resolve();
+    await done;
+  });
+});
+
+describe('collectFromSources（流量制限）', () => {
+  test('取得は流量制限を通し、ソースの結果に順番待ちを記録する', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 1000, burst: 10, maxConcurrency: 1 });
+    const source = defineSource({
+      name: 'stub',
+      fetch: (query, context) => context.schedule(async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { url: 'https://example.com/search', html: 'iPhone 13 Pro|80000' };
+      }),
+      parse: (page) => [{ title: page.html.split('|')[0], price: Number(page.html.split('|')[1]), platform: 'メルカリ' }]
+    });
+    
+    const [first, second, third] = await quietly(() => Promise.all(['iPhone 13 Pro', 'iPhone 13', 'iPhone 12'].map(query => collectFromSources(query, [source], { limiter }))));
+    
+    assert.deepEqual([first, second, third].map(result => result.sources[0].queue.ahead), [0, 0, 1]);
+    assert.equal(first.sources[0].queue.waitedMs, 0);
+    assert.ok(third.sources[0].queue.waitedMs >= 35, `待機: ${third.sources[0].queue.waitedMs}ms`);
+    assert.equal(third.results.length, 1);
+    assert.equal(limiter.stats().totals.completed, 3);
+  });
+  
+  test('再試行もリクエストごとに順番待ちし、ブレーカーが開いていれば順番待ちせずに失敗', async () => {
+    const limiter = createRateLimiter({ ratePerSecond: 1000, burst: 10, maxConcurrency: 1 });
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 60000 });
+    const unavailable = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, headers: {} } });
+    let calls = 0;
+    const client = { get: async () => { calls++; throw unavailable; } };
+    const source = createAucfanSource({ baseURL: 'http://127.0.0.1:1', client, breaker, retry: { retries: 1, baseDelayMs: 1 } });
+    
+    const failed = await quietly(() => collectFromSources('iPhone 13 Pro', [source], { limiter }).catch(error => error));
+    assert.match(failed.message, /取得に失敗/);
+    assert.equal(calls, 2);
+    assert.equal(limiter.stats().totals.scheduled, 2);
+    assert.equal(breaker.stats().state, 'open');
+    
+    await assert.rejects(quietly(() => collectFromSources('iPhone 13 Pro', [source], { limiter })), error => error.code === 'CIRCUIT_OPEN');
+    assert.equal(limiter.stats().totals.scheduled, 2);
+  });
+});
@@ -0,0 +1,62 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreRelevance, resolveRelevanceThreshold, filterByRelevance } = require('../lib/relevance');
+const { withSilentConsole } = require('./support/fixtures');
+
+describe('scoreRelevance', () => {
+  const query = 'iPhone 13 Pro';
+  
+  test('クエリの語がすべて含まれれば100（空白の有無は無視）', () => {
+    assert.equal(scoreRelevance('iPhone 13 Pro 256GB グラファイト', query).score, 100);
+    assert.equal(scoreRelevance('iPhone13Pro 128GB', query).score, 100);
+  });
+  
+  test('型番の数字が違う商品は低く評価し、数字は部分一致させない', () => {
+    const other = scoreRelevance('iPhone 14 Pro 128GB', query);
+    assert.deepEqual(other.missing, ['13']);
+    assert.ok(other.score < 50);
+    
+    assert.deepEqual(scoreRelevance('iPhone 13 128GB', query).matched, ['iphone', '13']);
+  });
+  
+  test('付属品・部品の語を含むと減点（「ケース付き」は本体として扱う）', () => {
+    const accessory = scoreRelevance('iPhone 13 Pro ケース 手帳型', query);
+    assert.deepEqual(accessory.accessories, ['ケース']);
+    assert.ok(accessory.score < 50);
+    
+    assert.deepEqual(scoreRelevance('iPhone 13 Pro ケース付き', query).accessories, []);
+    assert.deepEqual(scoreRelevance('iPhone 13 Pro ジャンク部品', query).accessories, ['ジャンク部品']);
+  });
+  
+  test('クエリに含まれる付属品の語は減点しない', () => {
+    assert.equal(scoreRelevance('iPhone 13 Pro ケース 手帳型', 'iPhone 13 Pro ケース').score, 100);
+  });
+  
+  test('ブランドは表記ゆれを同一視する', () => {
+    const result = scoreRelevance('ヴィトン 長財布 M42616', 'ルイヴィトン 財布 M42616');
+    assert.equal(result.score, 100);
+    assert.ok(scoreRelevance('GUCCI 財布 M42616', 'ルイヴィトン 財布 M42616').missing.includes('LOUIS VUITTON'));
+  });
+});
+
+describe('resolveRelevanceThreshold', () => {
+  test('省略時は既定値、範囲外はエラー', () => {
+    assert.equal(resolveRelevanceThreshold(), 50);
+    assert.equal(resolveRelevanceThreshold('70'), 70);
+    assert.equal(resolveRelevanceThreshold(0), 0);
+    assert.throws(() => resolveRelevanceThreshold(150), /0〜100/);
+  });
+});
+
+describe('filterByRelevance', () => {
+  test('閾値未満を除外し、スコアと除外理由を付ける', () => {
+    const { results, excluded } = withSilentConsole(() => filterByRelevance([
+      { title: 'iPhone 13 Pro 256GB', price: 88000 },
+      { title: 'iPhone 13 Pro 箱のみ', price: 1500 }
+    ], 'iPhone 13 Pro', 50));
+    
+    assert.deepEqual(results.map(item => item.relevance), [100]);
+    assert.equal(excluded[0].title, 'iPhone 13 Pro 箱のみ');
+    assert.deepEqual(excluded[0].reasons, ['付属品・部品: 箱のみ']);
+  });
+});
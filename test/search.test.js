@@ -0,0 +1,95 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerSource } = require('../lib/sources');
+const { withSilentConsole } = require('./support/fixtures');
+const { processQuery, evaluateLots } = withSilentConsole(() => require('../server'));
+
+// console 出力を止めて非同期処理を実行
+async function quietly(fn) {
+  const original = { log: console.log, error: console.error };
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+// 取得回数を数えるスタブのデータソース（商品名 → 価格の一覧を返し、一覧にない商品は取得失敗）
+function registerStubSource(name, pricesByQuery) {
+  const source = { name, calls: 0 };
+  withSilentConsole(() => registerSource({
+    name,
+    fetch: async (query) => {
+      source.calls++;
+      if (!pricesByQuery[query]) {
+        throw new Error(`取得失敗: ${query}`);
+      }
+      return { url: `https://example.com/${encodeURIComponent(query)}`, html: '', status: 200, headers: {} };
+    },
+    parse: (page, query) => (pricesByQuery[query] || []).map(price => ({
+      title: query,
+      price,
+      status: 'sold',
+      platform: 'メルカリ'
+    }))
+  }));
+  return source;
+}
+
+describe('processQuery', () => {
+  test('未登録のコストプロファイルは相場を取得する前にエラー', async () => {
+    const source = registerStubSource('stub-cost-profile', { 'Nintendo Switch 有機EL': [30000, 31000, 32000] });
+    
+    await quietly(() => assert.rejects(
+      processQuery('Nintendo Switch 有機EL', 20000, { sources: [source.name], costProfile: 'unknown' }),
+      /未登録のコストプロファイルです: unknown/
+    ));
+    assert.equal(source.calls, 0);
+  });
+  
+  test('未対応の配送サイズは相場を取得する前にエラー', async () => {
+    const source = registerStubSource('stub-shipping-size', { 'Nintendo Switch Lite': [15000, 16000, 17000] });
+    
+    await quietly(() => assert.rejects(
+      processQuery('Nintendo Switch Lite', 10000, { sources: [source.name], shippingSize: '6O' }),
+      /未対応の配送サイズです: 6O/
+    ));
+    assert.equal(source.calls, 0);
+  });
+});
+
+describe('evaluateLots', () => {
+  test('失敗したロットがあっても残りを評価し、利益率の高い順に順位を付ける', async () => {
+    const source = registerStubSource('stub-batch', {
+      'DJI Osmo Pocket 3': [60000, 61000, 62000],
+      'Anker Soundcore Liberty 4': [15000, 15500, 16000],
+      'Kindle Paperwhite': [14000, 14500, 15000]
+    });
+    const lots = [
+      { lotId: 'A', modelNumber: 'DJI Osmo Pocket 3', auctionPrice: 30000 },
+      { lotId: 'B', modelNumber: 'Anker Soundcore Liberty 4', auctionPrice: 20000 },
+      { lotId: 'C', modelNumber: 'Kindle Paperwhite', auctionPrice: 10000 },
+      { lotId: 'D', modelNumber: 'Fire TV Stick', auctionPrice: 3000 },
+      { lotId: 'E', modelNumber: '', auctionPrice: 3000 }
+    ];
+    
+    // 価格履歴に記録しないよう、出品中も含める条件で評価する
+    const { lots: lotResults, summary } = await quietly(() => evaluateLots(lots, { sources: [source.name], includeListings: true, concurrency: 2, delayMs: 0 }));
+    
+    assert.deepEqual(lotResults.map(lot => [lot.lotId, lot.ok]), [['A', true], ['B', true], ['C', true], ['D', false], ['E', false]]);
+    assert.equal(lotResults[3].error, '取得失敗: Fire TV Stick');
+    assert.equal(lotResults[4].error, '型番が指定されていません');
+    
+    assert.equal(summary.succeeded, 3);
+    assert.equal(summary.failed, 2);
+    assert.deepEqual(summary.ranking.map(lot => [lot.rank, lot.lotId, lot.judgment]), [
+      [1, 'A', '🟢 仕入れ推奨'],
+      [2, 'C', '🟠 慎重検討'],
+      [3, 'B', '🔴 仕入れNG']
+    ]);
+    assert.deepEqual(summary.decisions, { '仕入れ推奨': 1, '慎重検討': 1, '仕入れNG': 1 });
+    assert.ok(summary.ranking[0].profitRate > summary.ranking[1].profitRate);
+  });
+});
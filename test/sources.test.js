@@ -0,0 +1,112 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { defineSource, registerSource, getEnabledSources, collectFromSources } = require('../lib/sources');
+
+// console 出力を止めて非同期処理を実行
+async function quietly(fn) {
+  const original = { log: console.log, error: console.error };
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+// 固定の商品データを返すスタブのアダプタ
+function stubSource(name, items, extra = {}) {
+  return defineSource({
+    name,
+    fetch: async (query) => ({ url: `https://${name}.example.com/?q=${encodeURIComponent(query)}`, html: '', status: 200, headers: {} }),
+    parse: () => items,
+    ...extra
+  });
+}
+
+// 取得に失敗するスタブのアダプタ
+function failingSource(name, message) {
+  return stubSource(name, [], {
+    fetch: async () => {
+      throw new Error(message);
+    }
+  });
+}
+
+describe('collectFromSources', () => {
+  test('各ソースの結果を共通形式のレコードにしてマージする', async () => {
+    const sources = [
+      stubSource('alpha', [
+        { title: ' iPhone 13 Pro ', price: '80000', status: 'sold', platform: 'メルカリ' },
+        { title: '', price: 1000 },
+        { title: '価格なし', price: 0 }
+      ]),
+      stubSource('beta', [], {
+        parse: () => ({ items: [{ name: 'iPhone 13 Pro 256GB', yen: 85000 }], strategy: 'selector' }),
+        normalize: (item, page) => ({ title: item.name, price: item.yen, url: page.url, status: 'unknown-status', condition: 'mint' })
+      })
+    ];
+    
+    const { results, sources: summary } = await quietly(() => collectFromSources('iPhone 13 Pro', sources));
+    
+    assert.deepEqual(results.map(record => [record.source, record.title, record.price]), [
+      ['alpha', 'iPhone 13 Pro', 80000],
+      ['beta', 'iPhone 13 Pro 256GB', 85000]
+    ]);
+    assert.equal(results[1].url, 'https://beta.example.com/?q=iPhone%2013%20Pro');
+    assert.equal(results[1].status, 'unknown');
+    assert.equal(results[1].condition, 'unknown');
+    assert.equal(results[1].platform, 'その他');
+    assert.deepEqual(summary, [
+      { name: 'alpha', label: 'alpha', count: 1, strategy: null },
+      { name: 'beta', label: 'beta', count: 1, strategy: 'selector' }
+    ]);
+  });
+  
+  test('一部のソースが失敗しても残りの結果を返し、失敗したソースはエラーを記録する', async () => {
+    const sources = [
+      failingSource('broken', 'タイムアウト'),
+      stubSource('alpha', [{ title: 'iPad Air', price: 40000 }])
+    ];
+    
+    const { results, sources: summary } = await quietly(() => collectFromSources('iPad Air', sources));
+    
+    assert.equal(results.length, 1);
+    assert.deepEqual(summary, [
+      { name: 'broken', label: 'broken', count: 0, strategy: null, error: 'タイムアウト' },
+      { name: 'alpha', label: 'alpha', count: 1, strategy: null }
+    ]);
+  });
+  
+  test('パースに失敗したソースも失敗として扱う', async () => {
+    const sources = [
+      stubSource('unparsable', [], { parse: () => { throw new Error('レイアウト変更'); } }),
+      stubSource('alpha', [{ title: 'iPad Air', price: 40000 }])
+    ];
+    
+    const { sources: summary } = await quietly(() => collectFromSources('iPad Air', sources));
+    assert.equal(summary[0].error, 'レイアウト変更');
+  });
+  
+  test('全ソースが失敗したら最初のソースのエラーで失敗する', async () => {
+    const sources = [failingSource('first', 'HTTPエラー: 503'), failingSource('second', '接続拒否')];
+    
+    await quietly(() => assert.rejects(collectFromSources('iPad Air', sources), /HTTPエラー: 503/));
+  });
+  
+  test('0件のソースは失敗ではない', async () => {
+    const { results, sources: summary } = await quietly(() => collectFromSources('iPad Air', [stubSource('empty', [])]));
+    assert.deepEqual(results, []);
+    assert.equal(summary[0].count, 0);
+  });
+});
+
+describe('getEnabledSources', () => {
+  test('カンマ区切り・配列で指定し、重複と空白を除く', async () => {
+    await quietly(() => registerSource(stubSource('stub-enabled', [])));
+    
+    assert.deepEqual(getEnabledSources('stub-enabled, stub-enabled').map(source => source.name), ['stub-enabled']);
+    assert.deepEqual(getEnabledSources([' stub-enabled ']).map(source => source.name), ['stub-enabled']);
+    assert.throws(() => getEnabledSources(['stub-enabled', 'nope']), /未登録のデータソースです: nope/);
+  });
+});
@@ -0,0 +1,55 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { percentile, describePrices, resolveStatistic, pickStatistic } = require('../lib/stats');
+
+describe('percentile', () => {
+  test('順位の間は線形補間', () => {
+    const sorted = [10, 20, 30, 40];
+    assert.equal(percentile(sorted, 0), 10);
+    assert.equal(percentile(sorted, 25), 17.5);
+    assert.equal(percentile(sorted, 50), 25);
+    assert.equal(percentile(sorted, 75), 32.5);
+    assert.equal(percentile(sorted, 100), 40);
+  });
+  
+  test('空なら0、1件ならその値', () => {
+    assert.equal(percentile([], 50), 0);
+    assert.equal(percentile([12345], 25), 12345);
+  });
+});
+
+describe('describePrices', () => {
+  test('平均・中央値・四分位・標準偏差', () => {
+    const stats = describePrices([40, 10, 30, 20]);
+    assert.deepEqual(
+      [stats.avgPrice, stats.medianPrice, stats.p25Price, stats.p75Price, stats.maxPrice, stats.minPrice, stats.stdDev],
+      [25, 25, 18, 33, 40, 10, 11]
+    );
+  });
+  
+  test('信頼度は件数（6割）とばらつき（4割）で算出', () => {
+    // 20件・ばらつきなしは満点
+    assert.deepEqual(describePrices(new Array(20).fill(10000)).confidence, { score: 100, level: 'high', label: '高' });
+    // 3件未満はばらつきを評価しない（1件は件数面 log(2)/log(21) のみ）
+    assert.deepEqual(describePrices([10000]).confidence, { score: 14, level: 'low', label: '低' });
+    assert.deepEqual(describePrices([10000, 10000]).confidence, { score: 22, level: 'low', label: '低' });
+    // 3件からばらつき面を加える
+    assert.deepEqual(describePrices([10000, 10000, 10000]).confidence, { score: 67, level: 'medium', label: '中' });
+    // 変動係数 0.5 以上はばらつき面0点
+    const spread = describePrices([...new Array(10).fill(5000), ...new Array(10).fill(15000)]);
+    assert.deepEqual(spread.confidence, { score: 60, level: 'medium', label: '中' });
+    // 少数かつばらつきが大きいと低
+    assert.equal(describePrices([5000, 15000]).confidence.level, 'low');
+    assert.deepEqual(describePrices([]).confidence, { score: 0, level: 'none', label: 'なし' });
+  });
+});
+
+describe('resolveStatistic / pickStatistic', () => {
+  test('キーまたは日本語の表示名で指定し、対応するフィールドを取り出す', () => {
+    assert.equal(resolveStatistic(), 'mean');
+    assert.equal(resolveStatistic(' Median '), 'median');
+    assert.equal(resolveStatistic('下位25%'), 'p25');
+    assert.equal(pickStatistic({ p75Price: 123 }, 'p75'), 123);
+    assert.throws(() => resolveStatistic('mode'), /未対応の統計値/);
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { parseAucfanPage } = require('../../lib/sources/aucfan');
+
+// 保存済みHTMLと期待結果（同名の .html / .json）の置き場所
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'aucfan');
+
+/**
+ * console.log を止めて関数を実行（パーサーのデバッグ出力でテスト結果が埋もれないように）
+ */
+function withSilentConsole(fn) {
+  const original = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = original;
+  }
+}
+
+/**
+ * 保存済みフィクスチャ名の一覧（.html のファイル名）
+ */
+function listFixtures() {
+  if (!fs.existsSync(FIXTURE_DIR)) return [];
+  
+  return fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.html'))
+    .map(file => path.basename(file, '.html'))
+    .sort();
+}
+
+/**
+ * フィクスチャのHTMLと期待結果を読み込む（期待結果が未記録なら expected は null）
+ */
+function loadFixture(name) {
+  const htmlPath = path.join(FIXTURE_DIR, `${name}.html`);
+  const expectedPath = path.join(FIXTURE_DIR, `${name}.json`);
+  
+  return {
+    name,
+    html: fs.readFileSync(htmlPath, 'utf8'),
+    expected: fs.existsSync(expectedPath) ? JSON.parse(fs.readFileSync(expectedPath, 'utf8')) : null
+  };
+}
+
+/**
+ * フィクスチャのHTMLを現在のパーサーで解析
+ * @returns {{items: Object[], strategy: string, counts: Object}}
+ */
+function parseFixture(fixture) {
+  const pageURL = fixture.expected ? fixture.expected.pageURL : undefined;
+  return withSilentConsole(() => parseAucfanPage(fixture.html, { pageURL }));
+}
+
+/**
+ * HTMLと期待結果を保存（期待結果は現在のパーサーの出力）
+ * @param {string} name フィクスチャ名
+ * @param {string} html 検索結果ページのHTML
+ * @param {Object} [meta] { query, pageURL, note }
+ */
+function writeFixture(name, html, meta = {}) {
+  fs.mkdirSync(FIXTURE_DIR, { recursive: true });
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${name}.html`), html);
+  
+  const { items, strategy } = withSilentConsole(() => parseAucfanPage(html, { pageURL: meta.pageURL }));
+  const expected = {
+    query: meta.query || null,
+    pageURL: meta.pageURL || null,
+    note: meta.note || '',
+    recordedAt: new Date().toISOString(),
+    strategy,
+    items
+  };
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${name}.json`), JSON.stringify(expected, null, 2) + '\n');
+  
+  return expected;
+}
+
+/**
+ * 抽出結果の差分（タイトル＋プラットフォームが同じものは「変更」として扱う）
+ * @returns {{equal: boolean, added: Object[], removed: Object[], changed: Object[], reordered: boolean}}
+ */
+function diffItems(expected, actual) {
+  const remaining = actual.slice();
+  const removed = [];
+  const changed = [];
+  const itemKey = (item) => `${item.platform}|${item.title}`;
+  
+  expected.forEach(expectedItem => {
+    const exactIndex = remaining.findIndex(item => isDeepStrictEqual(item, expectedItem));
+    if (exactIndex >= 0) {
+      remaining.splice(exactIndex, 1);
+      return;
+    }
+    
+    const sameIndex = remaining.findIndex(item => itemKey(item) === itemKey(expectedItem));
+    if (sameIndex >= 0) {
+      const [actualItem] = remaining.splice(sameIndex, 1);
+      const fields = Object.keys({ ...expectedItem, ...actualItem })
+        .filter(field => !isDeepStrictEqual(expectedItem[field], actualItem[field]));
+      changed.push({ expected: expectedItem, actual: actualItem, fields });
+      return;
+    }
+    
+    removed.push(expectedItem);
+  });
+  
+  const equal = isDeepStrictEqual(expected, actual);
+  
+  return {
+    equal,
+    added: remaining,
+    removed,
+    changed,
+    reordered: !equal && remaining.length === 0 && removed.length === 0 && changed.length === 0
+  };
+}
+
+/**
+ * 差分を読みやすいテキストに整形
+ */
+function formatDiff(name, diff) {
+  if (diff.equal) {
+    return `✅ ${name}: 差分なし`;
+  }
+  
+  const describe = (item) => `${item.platform} ${item.price}円 "${item.title}"`;
+  const lines = [`❌ ${name}: 追加${diff.added.length}件, 削除${diff.removed.length}件, 変更${diff.changed.length}件`];
+  
+  diff.removed.forEach(item => lines.push(`  - ${describe(item)}`));
+  diff.added.forEach(item => lines.push(`  + ${describe(item)}`));
+  diff.changed.forEach(({ expected, actual, fields }) => {
+    lines.push(`  ~ ${describe(expected)}`);
+    fields.forEach(field => {
+      lines.push(`      ${field}: ${JSON.stringify(expected[field])} → ${JSON.stringify(actual[field])}`);
+    });
+  });
+  if (diff.reordered) {
+    lines.push('  （件数・内容は同じで並び順のみ変化）');
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  FIXTURE_DIR,
+  withSilentConsole,
+  listFixtures,
+  loadFixture,
+  parseFixture,
+  writeFixture,
+  diffItems,
+  formatDiff
+};
@@ -0,0 +1,153 @@
+/**
+ * 結合テスト用のオークファン・LINE Messaging API モックサーバー
+ *
+ * GET /search1/q-<検索語>/ は検索語ごとのシナリオで応答する
+ *   results: 保存済みの検索結果ページ（既定） / no_results: 検索結果なしページ
+ *   redirect: 別URLへリダイレクトしてから検索結果ページ / error: 5xx エラー / slow: 遅延してから検索結果ページ
+ *   error・slow は times を指定すると最初の times 回だけ失敗・遅延し、以降は検索結果ページを返す
+ * POST /v2/bot/message/reply・push は送信内容を記録して成功を返す（LINE_API_BASE_URL に指定）
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURE_DIR } = require('./fixtures');
+
+const SCENARIO_TYPES = ['results', 'no_results', 'redirect', 'error', 'slow'];
+const SEARCH_PATH = /^\/search1\/q-([^/]*)\/?$/;
+
+function readPage(fixture) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, `${fixture}.html`));
+}
+
+/**
+ * シナリオ指定を { type, ... } に揃える
+ */
+function normalizeScenario(scenario) {
+  const resolved = typeof scenario === 'string' ? { type: scenario } : { ...scenario };
+  if (!SCENARIO_TYPES.includes(resolved.type)) {
+    throw new Error(`未対応のシナリオです: ${resolved.type}（${SCENARIO_TYPES.join(' / ')}）`);
+  }
+  return resolved;
+}
+
+/**
+ * モックサーバーを生成（listen はしない）
+ * @param {Object} [options]
+ * @param {Object} [options.scenarios] 検索語 → シナリオ（文字列、または { type, status, retryAfter, delayMs, times, fixture }）
+ * @param {string} [options.defaultScenario] 指定のない検索語のシナリオ（既定は results）
+ * @param {string} [options.fixture] 検索結果ページに使うフィクスチャ名（既定は list-mixed）
+ */
+function createMockAucfan(options = {}) {
+  const scenarios = new Map();
+  const requests = [];
+  const lineMessages = [];
+  const timers = new Set();
+  const hits = new Map();
+  let defaultScenario = normalizeScenario(options.defaultScenario || 'results');
+  
+  Object.entries(options.scenarios || {}).forEach(([query, scenario]) => setScenario(query, scenario));
+  
+  function setScenario(query, scenario) {
+    scenarios.set(query, normalizeScenario(scenario));
+  }
+  
+  function setDefaultScenario(scenario) {
+    defaultScenario = normalizeScenario(scenario);
+  }
+  
+  function sendPage(res, fixture) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(readPage(fixture || options.fixture || 'list-mixed'));
+  }
+  
+  function handleSearch(req, res, query) {
+    const url = new URL(req.url, 'http://localhost');
+    const scenario = scenarios.get(query) || defaultScenario;
+    const hit = (hits.get(query) || 0) + 1;
+    hits.set(query, hit);
+    const isFailing = !scenario.times || hit <= scenario.times;
+    
+    if (scenario.type === 'no_results') {
+      return sendPage(res, 'no-results');
+    }
+    if (scenario.type === 'redirect' && !url.searchParams.has('redirected')) {
+      res.writeHead(scenario.status || 302, { Location: `${url.pathname}?redirected=1` });
+      return res.end();
+    }
+    if (scenario.type === 'error' && isFailing) {
+      const headers = { 'Content-Type': 'text/plain; charset=utf-8' };
+      if (scenario.retryAfter !== undefined) headers['Retry-After'] = String(scenario.retryAfter);
+      res.writeHead(scenario.status || 503, headers);
+      return res.end('Service Unavailable');
+    }
+    if (scenario.type === 'slow' && isFailing) {
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        sendPage(res, scenario.fixture);
+      }, scenario.delayMs || 5000);
+      timers.add(timer);
+      return;
+    }
+    
+    sendPage(res, scenario.fixture);
+  }
+  
+  function handleLineMessage(req, res, type) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      lineMessages.push({ type, authorization: req.headers.authorization, ...JSON.parse(body || '{}') });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  }
+  
+  const server = http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    requests.push({ method: req.method, url: req.url });
+    
+    const searchMatch = req.method === 'GET' && pathname.match(SEARCH_PATH);
+    if (searchMatch) {
+      return handleSearch(req, res, decodeURIComponent(searchMatch[1]));
+    }
+    
+    const lineMatch = req.method === 'POST' && pathname.match(/^\/v2\/bot\/message\/(reply|push)$/);
+    if (lineMatch) {
+      return handleLineMessage(req, res, lineMatch[1]);
+    }
+    
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not Found');
+  });
+  
+  /**
+   * 空いているポートで待ち受けを開始
+   * @returns {Promise<string>} ベースURL
+   */
+  function listen(port = 0) {
+    return new Promise(resolve => {
+      server.listen(port, '127.0.0.1', () => resolve(baseURL()));
+    });
+  }
+  
+  function baseURL() {
+    return `http://127.0.0.1:${server.address().port}`;
+  }
+  
+  /**
+   * 遅延中の応答と接続を破棄して停止
+   */
+  function close() {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+  
+  return { server, requests, lineMessages, setScenario, setDefaultScenario, listen, baseURL, close };
+}
+
+module.exports = {
+  SCENARIO_TYPES,
+  createMockAucfan
+};
@@ -0,0 +1,11 @@
+/**
+ * 結合テスト用: 親プロセスから渡された環境変数でサーバーを起動し、待ち受けポートを通知する
+ * （LINE設定などは読み込み時に決まるため、テストごとに子プロセスで起動する）
+ */
+const { app } = require('../../server');
+
+const server = app.listen(0, '127.0.0.1', () => {
+  process.send({ port: server.address().port });
+});
+
+process.on('disconnect', () => process.exit(0));
@@ -0,0 +1,155 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyError, parseRetryAfter, computeBackoff, fetchWithRetry, createCircuitBreaker } = require('../lib/upstream');
+const { createAucfanSource } = require('../lib/sources/aucfan');
+
+// axios と同じ形のエラー
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function codeError(code, message = code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// console 出力を止めて非同期処理を実行
+async function quietly(fn) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+describe('classifyError', () => {
+  test('5xx・429・タイムアウト・接続断は再試行、4xx・リダイレクト超過は再試行しない', () => {
+    assert.deepEqual(classifyError(httpError(503)), { type: 'server', retryable: true, status: 503 });
+    assert.equal(classifyError(httpError(429)).type, 'rate_limited');
+    assert.equal(classifyError(codeError('ECONNABORTED', 'timeout of 1000ms exceeded')).type, 'timeout');
+    assert.equal(classifyError(codeError('ECONNRESET')).type, 'network');
+    assert.equal(classifyError(httpError(404)).retryable, false);
+    assert.equal(classifyError(codeError('ERR_FR_TOO_MANY_REDIRECTS', 'Maximum number of redirects exceeded')).type, 'redirect');
+    assert.equal(classifyError(codeError('ENOTFOUND')).retryable, false);
+  });
+});
+
+describe('parseRetryAfter / computeBackoff', () => {
+  test('Retry-After は秒数とHTTP日付の両方に対応', () => {
+    const now = Date.parse('2026-10-01T00:00:00Z');
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter('Thu, 01 Oct 2026 00:00:10 GMT', now), 10000);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter(undefined), null);
+  });
+  
+  test('待ち時間は 0〜初期値×2^回数（上限あり）のランダム', () => {
+    assert.equal(computeBackoff(0, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 1), 100);
+    assert.equal(computeBackoff(2, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 1), 400);
+    assert.equal(computeBackoff(10, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 1), 1000);
+    assert.equal(computeBackoff(3, { baseDelayMs: 100, maxDelayMs: 1000 }, () => 0.5), 400);
+  });
+});
+
+describe('fetchWithRetry', () => {
+  test('一時的な失敗は再試行し、Retry-After があればその時間待つ', async () => {
+    const waits = [];
+    const failures = [httpError(503, { 'retry-after': '2' }), codeError('ECONNRESET')];
+    const result = await quietly(() => fetchWithRetry(async () => {
+      if (failures.length > 0) throw failures.shift();
+      return 'ok';
+    }, { retries: 2, baseDelayMs: 100, sleep: async ms => waits.push(ms), random: () => 1 }));
+    
+    assert.equal(result, 'ok');
+    assert.deepEqual(waits, [2000, 200]);
+  });
+  
+  test('再試行しないエラー・回数超過は分類と試行回数を付けて投げる', async () => {
+    let calls = 0;
+    await assert.rejects(
+      fetchWithRetry(async () => { calls++; throw httpError(404); }, { sleep: async () => {} }),
+      error => error.classification.type === 'client' && error.attempts === 1
+    );
+    assert.equal(calls, 1);
+    
+    await assert.rejects(
+      quietly(() => fetchWithRetry(async () => { throw httpError(502); }, { retries: 2, sleep: async () => {} })),
+      error => error.attempts === 3
+    );
+  });
+  
+  test('Retry-After が上限を超える場合は待たずに失敗', async () => {
+    const waits = [];
+    await assert.rejects(quietly(() => fetchWithRetry(async () => { throw httpError(503, { 'retry-after': '600' }); }, {
+      maxRetryAfterMs: 30000,
+      sleep: async ms => waits.push(ms)
+    })));
+    assert.deepEqual(waits, []);
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  test('連続失敗で開いて即座に失敗し、待機後の試行に成功すれば閉じる', async () => {
+    let time = 0;
+    const breaker = createCircuitBreaker({ name: 'aucfan', label: 'オークファン', failureThreshold: 2, resetTimeoutMs: 1000, now: () => time });
+    const fail = () => Promise.reject(httpError(503));
+    
+    await quietly(async () => {
+      await assert.rejects(breaker.execute(fail));
+      await assert.rejects(breaker.execute(fail));
+    });
+    assert.equal(breaker.stats().state, 'open');
+    
+    let called = false;
+    await assert.rejects(breaker.execute(async () => { called = true; }), error => error.code === 'CIRCUIT_OPEN' && /オークファン/.test(error.message));
+    assert.equal(called, false);
+    
+    time = 1000;
+    assert.equal(await quietly(() => breaker.execute(async () => 'ok')), 'ok');
+    assert.equal(breaker.stats().state, 'closed');
+    assert.deepEqual(breaker.stats().totals, { success: 1, failure: 2, rejected: 1 });
+  });
+  
+  test('待機後の試行に失敗すると再び開き、取得先が応答したエラーは障害に数えない', async () => {
+    let time = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => time });
+    
+    await quietly(() => assert.rejects(breaker.execute(() => Promise.reject(codeError('ETIMEDOUT')))));
+    time = 1500;
+    await quietly(() => assert.rejects(breaker.execute(() => Promise.reject(codeError('ETIMEDOUT')))));
+    assert.equal(breaker.stats().state, 'open');
+    assert.equal(breaker.stats().openedAt, new Date(1500).toISOString());
+    
+    time = 3000;
+    await assert.rejects(breaker.execute(() => Promise.reject(httpError(404))));
+    assert.equal(breaker.stats().state, 'closed');
+    assert.equal(breaker.stats().consecutiveFailures, 0);
+  });
+});
+
+describe('createAucfanSource', () => {
+  test('リダイレクトの上限超過は別経路で取り直さず、取得失敗にする', async () => {
+    const calls = [];
+    const client = {
+      get: async (url, config) => {
+        calls.push(config);
+        throw codeError('ERR_FR_TOO_MANY_REDIRECTS', 'Maximum number of redirects exceeded');
+      }
+    };
+    const source = createAucfanSource({ baseURL: 'http://127.0.0.1:1', client, retry: { retries: 2 } });
+    
+    await assert.rejects(
+      quietly(() => source.fetch('iPhone 13 Pro')),
+      error => /取得に失敗/.test(error.message) && error.classification.type === 'redirect'
+    );
+    assert.equal(calls.length, 1);
+    assert.equal(source.breaker.stats().totals.failure, 0);
+  });
+});
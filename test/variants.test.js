@@ -0,0 +1,58 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractAttributes, resolveAttributes, resolveVariant, withAttributes, selectByVariant, summarizeVariants } = require('../lib/variants');
+
+describe('extractAttributes', () => {
+  test('スマートフォンの容量・キャリア・カラー', () => {
+    assert.deepEqual(extractAttributes('iPhone 13 Pro 256GB グラファイト SIMフリー 美品'), { capacity: '256GB', carrier: 'SIMフリー', color: 'グラファイト' });
+    assert.deepEqual(extractAttributes('ｉＰｈｏｎｅ １２８ＧＢ ドコモ'), { capacity: '128GB', carrier: 'docomo' });
+  });
+  
+  test('バッグ・時計のサイズとカラー（表記ゆれは正規化）', () => {
+    assert.deepEqual(extractAttributes('ネヴァーフル MM モノグラム'), { color: 'モノグラム', size: 'MM' });
+    assert.deepEqual(extractAttributes('サブマリーナ 41mm 黒'), { color: 'ブラック', size: '41mm' });
+  });
+  
+  test('英単語の一部はキャリアとみなさない', () => {
+    assert.equal(extractAttributes('aucfan オークファン').carrier, undefined);
+    assert.equal(extractAttributes('iPhone 13 au版').carrier, 'au');
+  });
+});
+
+describe('resolveAttributes / resolveVariant', () => {
+  test('明示指定の属性を正規化し、クエリから抽出した属性を上書き', () => {
+    assert.deepEqual(resolveVariant('iPhone 13 Pro 256GB', { capacity: '512', color: '白' }), { capacity: '512GB', color: 'ホワイト' });
+  });
+  
+  test('未対応の属性・判別できない値はエラー', () => {
+    assert.throws(() => resolveAttributes({ weight: '200g' }), /未対応の属性/);
+    assert.throws(() => resolveAttributes({ capacity: 'たくさん' }), /判別できません/);
+  });
+});
+
+describe('selectByVariant / summarizeVariants', () => {
+  const results = [
+    ['128GB SIMフリー', 80000], ['128GB docomo', 76000], ['128GB SIMフリー', 81000],
+    ['256GB SIMフリー', 90000], ['256GB SIMフリー', 92000], ['256GB', 91000]
+  ].map(([title, price]) => withAttributes({ title: `iPhone 13 Pro ${title}`, price }));
+  
+  test('同じバリエーションだけで比較し、不足時は属性不明のデータを含める', () => {
+    const exact = selectByVariant(results, { capacity: '128GB' });
+    assert.equal(exact.match, 'exact');
+    assert.deepEqual(exact.results.map(item => item.price), [80000, 76000, 81000]);
+    
+    const withUnknown = selectByVariant(results, { capacity: '256GB', carrier: 'SIMフリー' });
+    assert.equal(withUnknown.match, 'with_unknown');
+    assert.equal(withUnknown.results.length, 3);
+    
+    assert.equal(selectByVariant(results, { capacity: '1TB' }).match, 'all');
+  });
+  
+  test('属性ごとの値別平均と価格差', () => {
+    const breakdown = summarizeVariants(results);
+    assert.deepEqual(breakdown.capacity.values.map(entry => [entry.value, entry.avgPrice]), [['128GB', 79000], ['256GB', 91000]]);
+    assert.equal(breakdown.capacity.spread, 12000);
+    assert.equal(breakdown.capacity.spreadRate, 15.2);
+    assert.equal(breakdown.color, undefined);
+  });
+});